@@ -0,0 +1,485 @@
+/**
+ * MSBuild binary logs (msbuild /bl, dotnet build -bl)
+ *
+ * A .binlog is a gzip stream: a 4-byte format version, the minimum reader
+ * version, then records. Strings are written once as String records and
+ * referenced by index; every other record carries its length, so records
+ * that are not needed here are skipped without being parsed. Errors and
+ * warnings are turned into canonical MSBuild lines
+ * ("File(12,5): error CS0103: message [Project.csproj]") and filtered like
+ * a text build log, then labeled with the target and task that reported them.
+ */
+
+const zlib = require('zlib');
+const { once } = require('events');
+const { filterBuildLog } = require('./build-log');
+
+// Oldest format with length-prefixed records (MSBuild 17.8), and the newest one this reader knows
+const MIN_FORMAT_VERSION = 18;
+const MAX_FORMAT_VERSION = 24;
+
+// Record kinds used here (Microsoft.Build.Logging.BinaryLogRecordKind)
+const RECORD = {
+    endOfFile: 0,
+    targetStarted: 5,
+    taskStarted: 7,
+    error: 9,
+    warning: 10,
+    string: 24
+};
+
+// BuildEventArgsFieldFlags: which optional base fields a record has
+const FIELD = {
+    buildEventContext: 1 << 0,
+    helpKeyword: 1 << 1,
+    message: 1 << 2,
+    senderName: 1 << 3,
+    threadId: 1 << 4,
+    timestamp: 1 << 5,
+    lineNumber: 1 << 10,
+    columnNumber: 1 << 11,
+    arguments: 1 << 14
+};
+
+// String references: 0 is null, 1 the empty string, 10 the first String record
+const STRING_START_INDEX = 10;
+
+// Largest decompressed binary log decoded in memory; streams and files are decoded as they are read
+const MAX_INFLATED_BYTES = 1024 * 1024 * 1024;
+
+/**
+ * Check if content starts like a binary log (gzip magic)
+ * @param {Buffer} buffer - Raw file content (or its first chunk)
+ * @returns {boolean}
+ */
+function isBinlog(buffer) {
+    return Buffer.isBuffer(buffer) && buffer.length >= 2 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+}
+
+/**
+ * Create a reader over decompressed binlog bytes (.NET BinaryReader encodings)
+ */
+function createReader(data) {
+    let offset = 0;
+    const reader = {
+        get offset() {
+            return offset;
+        },
+        set offset(value) {
+            offset = value;
+        },
+        get done() {
+            return offset >= data.length;
+        },
+        int32() {
+            const value = data.readInt32LE(offset);
+            offset += 4;
+            return value;
+        },
+        // 7-bit encoded int (negative values take 5 bytes)
+        varint() {
+            let value = 0;
+            let shift = 0;
+            let byte;
+            do {
+                if (offset >= data.length) {
+                    throw new Error('Truncated binary log');
+                }
+                byte = data[offset++];
+                value |= (byte & 0x7f) << shift;
+                shift += 7;
+            } while (byte & 0x80 && shift < 35);
+            return value | 0;
+        },
+        string() {
+            const length = reader.varint();
+            const text = data.toString('utf8', offset, offset + length);
+            offset += length;
+            return text;
+        }
+    };
+    return reader;
+}
+
+/**
+ * Read the fields every event starts with
+ * @returns {{ flags: number, message: string|null, context: number[]|null }}
+ */
+function readBaseFields(reader, readString) {
+    const flags = reader.varint();
+    const fields = { flags, message: null, context: null };
+    if (flags & FIELD.message) {
+        fields.message = readString();
+    }
+    if (flags & FIELD.buildEventContext) {
+        // NodeId, ProjectContextId, TargetId, TaskId, SubmissionId, ProjectInstanceId, EvaluationId
+        fields.context = Array.from({ length: 7 }, () => reader.varint());
+    }
+    if (flags & FIELD.threadId) {
+        reader.varint();
+    }
+    if (flags & FIELD.helpKeyword) {
+        readString();
+    }
+    if (flags & FIELD.senderName) {
+        fields.senderName = readString();
+    }
+    if (flags & FIELD.timestamp) {
+        reader.offset += 8;     // DateTime ticks
+        reader.varint();        // DateTimeKind
+    }
+    return fields;
+}
+
+/**
+ * Key of the target (or, with the task id, the task) an event belongs to
+ */
+function contextKey(context, withTask) {
+    const [node, projectContext, target, task] = context;
+    return withTask ? `${node}:${projectContext}:${target}:${task}` : `${node}:${projectContext}:${target}`;
+}
+
+/**
+ * Read a 7-bit encoded int from `data`, or null when it is cut off by the end of the data
+ * @returns {{ value: number, next: number }|null}
+ */
+function peekVarint(data, offset) {
+    let value = 0;
+    let shift = 0;
+    let byte;
+    do {
+        if (offset >= data.length) {
+            return null;
+        }
+        byte = data[offset++];
+        value |= (byte & 0x7f) << shift;
+        shift += 7;
+    } while (byte & 0x80 && shift < 35);
+    return { value: value | 0, next: offset };
+}
+
+/**
+ * Create a decoder that reads the records of decompressed binlog bytes as they arrive:
+ * only the unfinished last record is held back until the next write
+ * @returns {{ write: function(Buffer): void, end: function(): object }} end() returns the
+ *   result of decodeBinlog()
+ */
+function createRecordDecoder() {
+    let chunks = [];
+    let available = 0;          // Bytes in chunks
+    let needed = 8;             // Bytes needed before the next record can be read
+    let formatVersion = null;
+    let finished = false;       // EndOfFile record read
+
+    const strings = [];
+    const readString = (reader) => {
+        const index = reader.varint();
+        if (index === 0) {
+            return null;
+        }
+        if (index === 1) {
+            return '';
+        }
+        const text = strings[index - STRING_START_INDEX];
+        return text === undefined ? null : text;
+    };
+    const targets = new Map();  // Context key -> target name
+    const tasks = new Map();    // Context key with task -> task name
+    const diagnostics = [];
+
+    /**
+     * Read the format version and the minimum reader version
+     */
+    function readHeader(data) {
+        if (data.length < 4) {
+            return 0;
+        }
+        const version = data.readInt32LE(0);
+        if (version < MIN_FORMAT_VERSION) {
+            throw new Error(`Binary log format version ${version} is not supported (version ${MIN_FORMAT_VERSION} or later is needed; re-record it with MSBuild 17.8 or later)`);
+        }
+        if (data.length < 8) {
+            return 0;
+        }
+        const minimumReaderVersion = data.readInt32LE(4);
+        if (minimumReaderVersion > MAX_FORMAT_VERSION) {
+            throw new Error(`Binary log format version ${version} needs a newer reader (version ${minimumReaderVersion})`);
+        }
+        formatVersion = version;
+        return 8;
+    }
+
+    /**
+     * Read a record body: the targets and tasks diagnostics refer to, and the diagnostics
+     */
+    function readRecord(kind, body) {
+        if (kind === RECORD.string) {
+            strings.push(body.toString('utf8'));
+            return;
+        }
+        const reader = createReader(body);
+        const string = () => readString(reader);
+        if (kind === RECORD.targetStarted || kind === RECORD.taskStarted) {
+            const base = readBaseFields(reader, string);
+            if (kind === RECORD.taskStarted) {
+                if (base.flags & FIELD.lineNumber) reader.varint();
+                if (base.flags & FIELD.columnNumber) reader.varint();
+            }
+            const name = string();
+            if (base.context && name) {
+                if (kind === RECORD.targetStarted) {
+                    targets.set(contextKey(base.context, false), name);
+                } else {
+                    tasks.set(contextKey(base.context, true), name);
+                }
+            }
+        } else if (kind === RECORD.error || kind === RECORD.warning) {
+            const base = readBaseFields(reader, string);
+            const args = [];
+            if (base.flags & FIELD.arguments) {
+                const count = reader.varint();
+                for (let i = 0; i < count; i++) {
+                    args.push(string());
+                }
+            }
+            const message = (base.message || '').replace(/\{(\d+)\}/g, (text, i) => (args[i] !== undefined && args[i] !== null ? args[i] : text));
+            const subcategory = string();
+            const code = string();
+            const file = string();
+            const project = string();
+            diagnostics.push({
+                severity: kind === RECORD.error ? 'error' : 'warning',
+                code: code || null,
+                subcategory: subcategory || null,
+                message,
+                file: file || null,
+                lineNumber: reader.varint() || null,
+                column: reader.varint() || null,
+                endLineNumber: reader.varint() || null,
+                endColumn: reader.varint() || null,
+                project: project || null,
+                target: base.context ? targets.get(contextKey(base.context, false)) || null : null,
+                task: base.context ? tasks.get(contextKey(base.context, true)) || null : null,
+                sender: base.senderName || null
+            });
+        }
+    }
+
+    /**
+     * Read the complete records of `data`
+     * @returns {number} Offset of the first byte not read
+     */
+    function readRecords(data) {
+        let offset = 0;
+        if (formatVersion === null) {
+            offset = readHeader(data);
+            if (offset === 0) {
+                needed = 8;
+                return 0;
+            }
+        }
+        while (!finished) {
+            // Every record is its kind and length, then that many bytes (a String record's length is its text's)
+            const kind = peekVarint(data, offset);
+            if (kind && kind.value === RECORD.endOfFile) {
+                finished = true;
+                return data.length;
+            }
+            const length = kind && peekVarint(data, kind.next);
+            if (!length || length.next + length.value > data.length) {
+                needed = length ? length.next + length.value - offset : data.length - offset + 1;
+                return offset;
+            }
+            readRecord(kind.value, data.subarray(length.next, length.next + length.value));
+            offset = length.next + length.value;
+        }
+        return data.length;
+    }
+
+    return {
+        write(chunk) {
+            if (finished) {
+                return;
+            }
+            chunks.push(chunk);
+            available += chunk.length;
+            if (available < needed && formatVersion !== null) {
+                return;
+            }
+            const data = chunks.length === 1 ? chunks[0] : Buffer.concat(chunks);
+            const rest = data.subarray(readRecords(data));
+            chunks = rest.length > 0 ? [rest] : [];
+            available = rest.length;
+        },
+
+        end() {
+            if (formatVersion === null || (!finished && available > 0)) {
+                throw new Error('Truncated binary log');
+            }
+            return { formatVersion, diagnostics };
+        }
+    };
+}
+
+/**
+ * Decode the errors and warnings of a binary log held in memory
+ * @param {Buffer} buffer - The .binlog file content (gzip compressed)
+ * @returns {{ formatVersion: number, diagnostics: object[] }} Diagnostics in log order, each with
+ *   `severity`, `code`, `subcategory`, `message`, `file`, `lineNumber`, `column`, `endLineNumber`,
+ *   `endColumn`, `project`, `target`, `task` and `sender`
+ */
+function decodeBinlog(buffer) {
+    let data;
+    try {
+        data = zlib.gunzipSync(buffer, { maxOutputLength: MAX_INFLATED_BYTES });
+    } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+            throw new Error(`Binary log is larger than ${MAX_INFLATED_BYTES / 1024 / 1024} MB uncompressed; filter it from a file or stream instead`);
+        }
+        throw error;
+    }
+    const decoder = createRecordDecoder();
+    decoder.write(data);
+    return decoder.end();
+}
+
+/**
+ * Create a decoder for a binary log read in compressed chunks: it is
+ * decompressed and decoded as it arrives, so it never has to fit in memory
+ * @returns {{ write: function(Buffer): Promise<void>, end: function(): Promise<object> }} end()
+ *   returns the result of decodeBinlog()
+ */
+function createBinlogDecoder() {
+    const gunzip = zlib.createGunzip();
+    const records = createRecordDecoder();
+    let failure = null;
+    gunzip.on('data', data => {
+        try {
+            records.write(data);
+        } catch (error) {
+            gunzip.destroy(error);
+        }
+    });
+    gunzip.on('error', error => {
+        failure = failure || error;
+    });
+    const ended = once(gunzip, 'end');
+    ended.catch(() => {});
+
+    return {
+        async write(chunk) {
+            if (failure) {
+                throw failure;
+            }
+            if (!gunzip.write(chunk)) {
+                await once(gunzip, 'drain');
+            }
+        },
+
+        async end() {
+            if (failure) {
+                throw failure;
+            }
+            gunzip.end();
+            await ended;
+            return records.end();
+        }
+    };
+}
+
+/**
+ * Render a diagnostic the way MSBuild's console logger prints it
+ * @param {object} diagnostic - Diagnostic from decodeBinlog()
+ * @returns {string} e.g. "Program.cs(12,5): error CS0103: message [App.csproj]"
+ */
+function formatDiagnostic(diagnostic) {
+    const { file, lineNumber, column, endLineNumber, endColumn } = diagnostic;
+    let origin = file || diagnostic.project || 'MSBUILD';
+    if (file && lineNumber) {
+        const range = endLineNumber || endColumn
+            ? [lineNumber, column || 0, endLineNumber || lineNumber, endColumn || 0]
+            : [lineNumber].concat(column ? [column] : []);
+        origin += `(${range.join(',')})`;
+    }
+    const subcategory = diagnostic.subcategory ? `${diagnostic.subcategory} ` : '';
+    const code = diagnostic.code ? ` ${diagnostic.code}` : '';
+    const project = diagnostic.project && file && diagnostic.project !== file ? ` [${diagnostic.project}]` : '';
+    // "MSBUILD : error MSB1009: ...", "App.csproj : error NU1101: ..." without a line
+    const separator = file && lineNumber ? ':' : ' :';
+    // Multi-line messages (an Exec error echoing its command) are joined, so each diagnostic stays one line
+    const message = diagnostic.message.replace(/\s*\n\s*/g, ' ').trim();
+    return `${origin}${separator} ${subcategory}${diagnostic.severity}${code}: ${message}${project}`;
+}
+
+/**
+ * Decode a binary log into text build log lines, one per diagnostic
+ * @param {Buffer} buffer - The .binlog file content
+ * @returns {string} Build log text
+ */
+function binlogToText(buffer) {
+    return decodeBinlog(buffer).diagnostics.map(formatDiagnostic).join('\n');
+}
+
+/**
+ * Filter a binary log
+ * @param {Buffer} buffer - The .binlog file content
+ * @param {object} options - Build log filter options (see filterBuildLog); a
+ *   binary log has no surrounding output, so context lines are not added
+ * @returns {object} Filtered result, as from filterBuildLog(), with
+ *   `project`, `target` and `task` on each entry and `binlog` (format
+ *   version and per-project counts)
+ */
+function filterBinlog(buffer, options = {}) {
+    return filterDiagnostics(decodeBinlog(buffer), options);
+}
+
+/**
+ * Create a filter for a binary log read in compressed chunks (see createBinlogDecoder())
+ * @param {object} options - Build log filter options (as for filterBinlog)
+ * @returns {{ write: function(Buffer): Promise<void>, finish: function(): Promise<object> }}
+ *   finish() returns the result of filterBinlog()
+ */
+function createBinlogFilter(options = {}) {
+    const decoder = createBinlogDecoder();
+    return {
+        write: decoder.write,
+        async finish() {
+            return filterDiagnostics(await decoder.end(), options);
+        }
+    };
+}
+
+/**
+ * Filter decoded binlog diagnostics like a build log, labeled with their project, target and task
+ */
+function filterDiagnostics({ formatVersion, diagnostics }, options) {
+    const results = filterBuildLog(diagnostics.map(formatDiagnostic).join('\n'), { ...options, contextLines: 0, contextAfter: 0 });
+
+    // One line per diagnostic: the entry's line number is its index + 1
+    const projects = new Map();
+    results.errors.concat(results.warnings).forEach(entry => {
+        const source = diagnostics[entry.line - 1];
+        if (!source) {
+            return;
+        }
+        entry.project = source.project;
+        entry.target = source.target;
+        entry.task = source.task;
+        const name = source.project || '(none)';
+        if (!projects.has(name)) {
+            projects.set(name, { project: name, errors: 0, warnings: 0 });
+        }
+        projects.get(name)[entry.severity === 'error' ? 'errors' : 'warnings']++;
+    });
+    results.binlog = { formatVersion, projects: Array.from(projects.values()) };
+    results.summary.binlogFormatVersion = formatVersion;
+    return results;
+}
+
+module.exports = {
+    isBinlog,
+    decodeBinlog,
+    createBinlogFilter,
+    binlogToText,
+    filterBinlog
+};
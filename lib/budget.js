@@ -0,0 +1,300 @@
+/**
+ * Token-budget rendering
+ *
+ * Renders the most informative build log summary that fits a token
+ * budget: every error message first, then the errors' notes, then
+ * warnings, then context lines. Long paths are shortened and giant
+ * template argument lists elided, and a footer states what was left out.
+ */
+
+const { describeGroup } = require('./grouping');
+const { describeReflection } = require('./uht');
+
+// Rough token estimate (about 4 characters per token for log text)
+const CHARS_PER_TOKEN = 4;
+
+// Tokens kept back for the footer
+const FOOTER_RESERVE = 80;
+
+// Template argument lists longer than this are elided
+const MAX_TEMPLATE_LENGTH = 40;
+
+// Paths with more segments than this keep only the last ones
+const KEEP_PATH_SEGMENTS = 2;
+
+// Omitted error lines listed in the footer before "+N more"
+const MAX_LISTED_LINES = 10;
+
+// Absolute-looking paths: optional drive, then 3+ separated segments
+const pathPattern = /(?:[A-Za-z]:)?(?:[\\/][^\\/:*?"<>|()\r\n]+){3,}/g;
+
+/**
+ * Estimate the token count of a text
+ * @param {string} text
+ * @returns {number}
+ */
+function estimateTokens(text) {
+    return Math.ceil(text.length / CHARS_PER_TOKEN);
+}
+
+/**
+ * Shorten long paths to their last segments ("...\Player\LCCharacterBase.cpp")
+ * @param {string} text
+ * @returns {{ text: string, count: number }}
+ */
+function shortenPaths(text) {
+    let count = 0;
+    const shortened = text.replace(pathPattern, (fullPath) => {
+        const separator = fullPath.includes('\\') ? '\\' : '/';
+        const segments = fullPath.split(/[\\/]/).filter(Boolean);
+        if (segments.length <= KEEP_PATH_SEGMENTS + 1) {
+            return fullPath;
+        }
+        count++;
+        return `...${separator}${segments.slice(-KEEP_PATH_SEGMENTS).join(separator)}`;
+    });
+    return { text: shortened, count };
+}
+
+/**
+ * Elide template argument lists longer than maxLength ("TMap<...>")
+ * @param {string} text
+ * @param {number} [maxLength=40]
+ * @returns {{ text: string, count: number }}
+ */
+function elideTemplates(text, maxLength = MAX_TEMPLATE_LENGTH) {
+    let count = 0;
+    let output = '';
+    let i = 0;
+    while (i < text.length) {
+        const open = text.indexOf('<', i);
+        if (open === -1) {
+            break;
+        }
+        // Only "Name<" opens a template argument list
+        if (open === 0 || !/\w/.test(text[open - 1])) {
+            output += text.slice(i, open + 1);
+            i = open + 1;
+            continue;
+        }
+
+        let depth = 0;
+        let close = -1;
+        for (let j = open; j < text.length; j++) {
+            if (text[j] === '<') {
+                depth++;
+            } else if (text[j] === '>' && text[j - 1] !== '-') {
+                depth--;
+                if (depth === 0) {
+                    close = j;
+                    break;
+                }
+            }
+        }
+
+        if (close !== -1 && close - open - 1 > maxLength) {
+            output += text.slice(i, open) + '<...>';
+            count++;
+            i = close + 1;
+        } else {
+            output += text.slice(i, open + 1);
+            i = open + 1;
+        }
+    }
+    return { text: output + text.slice(i), count };
+}
+
+/**
+ * Render a diagnostic compactly for the budget output
+ * @param {object} entry - Error or warning
+ * @param {object} parts - Which optional parts to include ({ notes, context })
+ * @returns {string[]}
+ */
+function renderItem(entry, parts) {
+    const lines = [];
+    if (parts.context && hasContext(entry)) {
+        lines.push(`[Line ${entry.line}]`);
+        lines.push('```');
+        (entry.context || []).forEach(l => lines.push(`  ${l}`));
+        lines.push(`> ${entry.message}`);
+        (entry.contextAfter || []).forEach(l => lines.push(`  ${l}`));
+        lines.push('```');
+    } else {
+        lines.push(`[Line ${entry.line}] ${entry.message}`);
+    }
+    if (parts.notes) {
+        (entry.includedFrom || []).forEach(inc => lines.push(`  ${inc.message}`));
+        (entry.notes || []).forEach(note => lines.push(`  ${note.message}`));
+    }
+    if (entry.reflection) {
+        lines.push(`  (${describeReflection(entry)})`);
+    }
+    if (entry.occurrences > 1) {
+        lines.push(`  (${describeGroup(entry)})`);
+    }
+    return lines;
+}
+
+/**
+ * Whether a diagnostic has notes or an include chain to add in a later pass
+ */
+function hasNotes(entry) {
+    return (entry.includedFrom || []).length > 0 || (entry.notes || []).length > 0;
+}
+
+/**
+ * Whether a diagnostic has context lines to add in a later pass
+ */
+function hasContext(entry) {
+    return (entry.context || []).length > 0 || (entry.contextAfter || []).length > 0;
+}
+
+/**
+ * List line numbers, capped at MAX_LISTED_LINES
+ */
+function listLines(entries) {
+    const listed = entries.slice(0, MAX_LISTED_LINES).map(entry => entry.line).join(', ');
+    const more = entries.length > MAX_LISTED_LINES ? `, +${entries.length - MAX_LISTED_LINES} more` : '';
+    return `${listed}${more}`;
+}
+
+/**
+ * Render filter results to fit a token budget
+ * @param {object} results - Build log results (errors, warnings, summary)
+ * @param {object} options
+ * @param {number} options.tokenBudget - Maximum estimated tokens of the output
+ * @param {boolean} [options.showWarnings=true] - Include warnings
+ * @returns {{ lines: string[], budget: object }} Output lines and what was shown/omitted
+ */
+function renderWithBudget(results, options) {
+    const { tokenBudget, showWarnings = true } = options;
+    let shortenedPaths = 0;
+    let elidedTemplates = 0;
+
+    const compact = (line) => {
+        const paths = shortenPaths(line);
+        const templates = elideTemplates(paths.text);
+        shortenedPaths += paths.count;
+        elidedTemplates += templates.count;
+        return templates.text;
+    };
+
+    const header = [
+        '# Build Log Filtered Output',
+        `# Original: ${results.summary.totalLines} lines`,
+        `# Found: ${results.summary.errorCount} errors, ${results.summary.warningCount} warnings`,
+        `# Token budget: ${tokenBudget}`,
+        ''
+    ];
+    let used = estimateTokens(header.join('\n'));
+    const available = tokenBudget - FOOTER_RESERVE;
+
+    const cost = (entry, parts) => estimateTokens(renderItem(entry, parts).map(compact).join('\n') + '\n');
+
+    // Each pass upgrades the items that fit, in order of importance
+    const errors = results.errors.map(entry => ({ entry, parts: null }));
+    const warnings = (showWarnings ? results.warnings : []).map(entry => ({ entry, parts: null }));
+
+    const addPass = (items, upgrade, eligible) => {
+        for (const item of items) {
+            if (!eligible(item)) {
+                continue;
+            }
+            const parts = upgrade(item.parts);
+            const extra = cost(item.entry, parts) - (item.parts ? cost(item.entry, item.parts) : 0);
+            if (used + extra > available) {
+                return;
+            }
+            used += extra;
+            item.parts = parts;
+        }
+    };
+
+    addPass(errors, () => ({ notes: false, context: false }), () => true);
+    addPass(errors, parts => ({ ...parts, notes: true }), item => item.parts && hasNotes(item.entry));
+    addPass(warnings, () => ({ notes: true, context: false }), () => true);
+    addPass(errors, parts => ({ ...parts, context: true }), item => item.parts && hasContext(item.entry));
+
+    // The passes above also ran `compact`; count the final output only
+    shortenedPaths = 0;
+    elidedTemplates = 0;
+
+    const output = header.slice();
+    const shownErrors = errors.filter(item => item.parts);
+    const shownWarnings = warnings.filter(item => item.parts);
+
+    output.push(`## ERRORS (${shownErrors.length} of ${results.errors.length})`);
+    output.push('');
+    shownErrors.forEach(item => renderItem(item.entry, item.parts).forEach(l => output.push(compact(l))));
+    if (results.errors.length === 0) {
+        output.push('No errors found!');
+    }
+
+    if (warnings.length > 0) {
+        output.push('');
+        output.push(`## WARNINGS (${shownWarnings.length} of ${warnings.length})`);
+        output.push('');
+        shownWarnings.forEach(item => renderItem(item.entry, item.parts).forEach(l => output.push(compact(l))));
+    }
+
+    const omittedErrors = errors.filter(item => !item.parts).map(item => item.entry);
+    const omitted = [];
+    if (omittedErrors.length > 0) {
+        omitted.push(`${omittedErrors.length} of ${errors.length} errors (lines ${listLines(omittedErrors)})`);
+    }
+    if (warnings.length - shownWarnings.length > 0) {
+        omitted.push(`${warnings.length - shownWarnings.length} of ${warnings.length} warnings`);
+    }
+    const notesOmitted = shownErrors.filter(item => hasNotes(item.entry) && !item.parts.notes).length;
+    if (notesOmitted > 0) {
+        omitted.push(`notes of ${notesOmitted} errors`);
+    }
+    const contextOmitted = shownErrors.filter(item => hasContext(item.entry) && !item.parts.context).length;
+    if (contextOmitted > 0) {
+        omitted.push(`context of ${contextOmitted} errors`);
+    }
+
+    const compacted = [];
+    if (results.summary.duplicatesCollapsed) {
+        compacted.push(`collapsed ${results.summary.duplicatesCollapsed} duplicate diagnostics`);
+    }
+    if (shortenedPaths > 0) {
+        compacted.push(`shortened ${shortenedPaths} paths`);
+    }
+    if (elidedTemplates > 0) {
+        compacted.push(`elided ${elidedTemplates} template argument lists`);
+    }
+
+    output.push('');
+    output.push('---');
+    output.push(`# Omitted to fit ${tokenBudget} tokens: ${omitted.length > 0 ? omitted.join(', ') : 'nothing'}`);
+    if (compacted.length > 0) {
+        output.push(`# Compacted: ${compacted.join('; ')}`);
+    }
+
+    const estimatedTokens = estimateTokens(output.join('\n'));
+    output.push(`# Estimated size: ~${estimatedTokens} tokens`);
+
+    return {
+        lines: output,
+        budget: {
+            tokenBudget,
+            estimatedTokens,
+            shownErrors: shownErrors.length,
+            shownWarnings: shownWarnings.length,
+            omittedErrors: omittedErrors.length,
+            omittedWarnings: warnings.length - shownWarnings.length,
+            omittedNotes: notesOmitted,
+            omittedContext: contextOmitted,
+            shortenedPaths,
+            elidedTemplates
+        }
+    };
+}
+
+module.exports = {
+    estimateTokens,
+    shortenPaths,
+    elideTemplates,
+    renderWithBudget
+};
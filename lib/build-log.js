@@ -0,0 +1,672 @@
+/**
+ * Build log filtering (UE5 / Visual Studio / MSBuild / UBT output)
+ */
+
+const { DEFAULT_RULES, matchRule } = require('./rules');
+const { parseDiagnostic } = require('./diagnostics');
+const { matchTranslationUnit, diagnosticKey, startGroup, addToGroup, describeGroup } = require('./grouping');
+const { createContextTracker, renderContextBlock } = require('./context');
+const { renderWithBudget } = require('./budget');
+const { simplifyMessage } = require('./simplify');
+const { createUbtTracker, moduleTable } = require('./ubt');
+const { parseGeneratedFile, createReflectionTracker, describeReflection } = require('./uht');
+const { createProjectTracker, projectTable, findProjectRow, describeProject } = require('./vs-projects');
+const { isSummaryStart, isSummaryEnd, repeatKey, isContinuation } = require('./dotnet');
+
+// File pattern to match file references like "LCCharacterBase.cpp(123):"
+const filePattern = /([a-zA-Z0-9_]+\.(cpp|cc|cxx|c|h|hpp|inl|cs))\b\(?(\d+)?\)?/;
+
+/**
+ * Classify a single log line against the rule set
+ * @param {string} line - Raw log line
+ * @param {object} [rules] - Compiled rule set (see lib/rules.js)
+ * @returns {object|null} Structured diagnostic (see lib/diagnostics.js) plus
+ *   the matching rule id, category, attach and adopt modes, or null
+ */
+function classifyLine(line, rules = DEFAULT_RULES) {
+    const match = matchRule(line, rules);
+    if (!match || match.severity === 'ignore') {
+        return null;
+    }
+
+    const diagnostic = parseDiagnostic(line, match);
+
+    // Fall back to the generic file reference when the line has no location
+    if (!diagnostic.file) {
+        const fileMatch = line.match(filePattern);
+        if (fileMatch) {
+            diagnostic.file = fileMatch[1];
+            diagnostic.lineNumber = fileMatch[3] ? parseInt(fileMatch[3]) : null;
+        }
+    }
+
+    return {
+        ...diagnostic,
+        rule: match.rule,
+        category: match.category,
+        attach: match.attach,
+        adopt: match.adopt
+    };
+}
+
+/**
+ * Resolve the active file filters from the `fileFilter`/`fileFilters` options
+ */
+function getActiveFilters(fileFilter, fileFilters) {
+    if (Array.isArray(fileFilters) && fileFilters.length > 0) {
+        return fileFilters;
+    }
+    return fileFilter ? [fileFilter] : [];
+}
+
+/**
+ * Check whether any of a diagnostic's files is selected by the active file filters
+ */
+function matchesFileFilters(fileNames, activeFilters) {
+    if (activeFilters.length === 0) {
+        return true;
+    }
+    // If no file reference in line, skip it when filtering
+    return fileNames.some(fileName => fileName && activeFilters.some(filter =>
+        fileName.includes(filter) || filter.includes(fileName)
+    ));
+}
+
+/**
+ * Build the attached-note record for a note/include-chain line
+ */
+function toNote(line, match) {
+    return {
+        line: line.number,
+        message: line.text.trim(),
+        code: match.code,
+        file: match.file || null,
+        path: match.path,
+        lineNumber: match.lineNumber,
+        column: match.column,
+        text: match.text
+    };
+}
+
+/**
+ * Describe the target frameworks a merged dotnet diagnostic was reported for
+ */
+function describeFrameworks(entry) {
+    return `target frameworks: ${entry.targetFrameworks.join(', ')}`;
+}
+
+/**
+ * Whether a diagnostic was reported for more than one target framework
+ */
+function hasFrameworks(entry) {
+    return Boolean(entry.targetFrameworks) && entry.targetFrameworks.length > 1;
+}
+
+/**
+ * Render the include chain, message and notes of a diagnostic
+ */
+function diagnosticLines(entry) {
+    const lines = [];
+    (entry.includedFrom || []).forEach(inc => lines.push(inc.message));
+    lines.push(entry.message);
+    (entry.notes || []).forEach(note => lines.push(`  ${note.message}`));
+    if (entry.reflection) {
+        lines.push(`  (${describeReflection(entry)})`);
+    }
+    if (hasFrameworks(entry)) {
+        lines.push(`  (${describeFrameworks(entry)})`);
+    }
+    if (entry.occurrences > 1) {
+        lines.push(`  (${describeGroup(entry)})`);
+    }
+    return lines;
+}
+
+/**
+ * Render merged context blocks, error lines marked with ">"
+ */
+function renderBlocks(results, blocks) {
+    const byLine = new Map(results.errors.map(err => [err.line, err]));
+    const output = [];
+    blocks.forEach(block => {
+        output.push(block.errorLines.length === 1
+            ? `### Error at line ${block.errorLines[0]}`
+            : `### Errors at lines ${block.errorLines.join(', ')}`);
+        output.push('```');
+        renderContextBlock(block).forEach(l => output.push(l));
+        output.push('```');
+        block.errorLines.forEach(lineNumber => {
+            const err = byLine.get(lineNumber);
+            if (err.reflection) {
+                output.push(`(Line ${lineNumber} ${describeReflection(err)})`);
+            }
+            if (hasFrameworks(err)) {
+                output.push(`(Line ${lineNumber} ${describeFrameworks(err)})`);
+            }
+            if (err.occurrences > 1) {
+                output.push(`(Line ${lineNumber} ${describeGroup(err)})`);
+            }
+        });
+        output.push('');
+    });
+    return output;
+}
+
+/**
+ * Describe a UBT target ("LastCourierEditor (Win64 Development)")
+ */
+function describeTarget(target) {
+    const variant = [target.platform, target.configuration].filter(Boolean).join(' ');
+    return variant ? `${target.name} (${variant})` : target.name;
+}
+
+/**
+ * Split diagnostics into one section per project when a parallel build
+ * named several projects (a single untitled section otherwise)
+ * @returns {{ title: string|null, entries: object[] }[]}
+ */
+function projectSections(results, entries) {
+    if (!results.projects || results.projects.length < 2) {
+        return [{ title: null, entries }];
+    }
+    return results.projects
+        .map(row => ({ title: describeProject(row), entries: entries.filter(entry => findProjectRow(results.projects, entry) === row) }))
+        .filter(section => section.entries.length > 0);
+}
+
+/**
+ * Render collected results as markdown (the "full" format)
+ */
+function renderFull(results, options) {
+    const { fileFilter = null } = options;
+
+    let output = [];
+    output.push(`# Build Log Filtered Output`);
+    output.push(`# Original: ${results.summary.totalLines} lines`);
+    output.push(`# Found: ${results.summary.errorCount} errors, ${results.summary.warningCount} warnings`);
+    if (fileFilter) {
+        output.push(`# Filter: ${fileFilter}`);
+    }
+    (results.targets || []).forEach(target => output.push(`# Target: ${describeTarget(target)}`));
+    output.push(`# Generated: ${new Date().toISOString()}`);
+    output.push('');
+
+    if (results.modules && results.modules.length > 0) {
+        output.push('## MODULES');
+        output.push('');
+        output.push('| Module | Errors | Warnings |');
+        output.push('|--------|--------|----------|');
+        results.modules.forEach(m => output.push(`| ${m.module} | ${m.errors} | ${m.warnings} |`));
+        output.push('');
+    }
+
+    if (results.projects && results.projects.length > 1) {
+        output.push('## PROJECTS');
+        output.push('');
+        output.push('| Project | Configuration | Errors | Warnings |');
+        output.push('|---------|---------------|--------|----------|');
+        results.projects.forEach(p => output.push(`| ${p.project} | ${p.configuration || ''} | ${p.errors} | ${p.warnings} |`));
+        output.push('');
+    }
+
+    if (results.errors.length > 0) {
+        output.push(`## ERRORS (${results.errors.length})`);
+        output.push('');
+
+        projectSections(results, results.errors).forEach(section => {
+            if (section.title) {
+                output.push(`### ${section.title}: ${section.entries.length} error${section.entries.length === 1 ? '' : 's'}`);
+                output.push('');
+            }
+            if (results.contextBlocks) {
+                const lines = new Set(section.entries.map(err => err.line));
+                renderBlocks(results, results.contextBlocks.filter(block => lines.has(block.errorLines[0]))).forEach(l => output.push(l));
+            } else {
+                section.entries.forEach(err => {
+                    output.push(`[Line ${err.line}] ${diagnosticLines(err).join('\n')}`);
+                    output.push('');
+                });
+            }
+        });
+    } else {
+        output.push('## No errors found!');
+    }
+
+    if (results.warnings.length > 0) {
+        output.push('');
+        output.push(`## WARNINGS (${results.warnings.length})`);
+        output.push('');
+        projectSections(results, results.warnings).forEach((section, index) => {
+            if (section.title) {
+                output.push(`${index > 0 ? '\n' : ''}### ${section.title}: ${section.entries.length} warning${section.entries.length === 1 ? '' : 's'}`);
+                output.push('');
+            }
+            section.entries.forEach(warn => {
+                output.push(`[Line ${warn.line}] ${diagnosticLines(warn).join('\n')}`);
+            });
+        });
+    }
+
+    return output;
+}
+
+/**
+ * One-line reflection, target framework and occurrence notes for the minimal format
+ */
+function groupSuffix(entry) {
+    const reflection = entry.reflection ? ` (${describeReflection(entry)})` : '';
+    const frameworks = hasFrameworks(entry) ? ` (${describeFrameworks(entry)})` : '';
+    return reflection + frameworks + (entry.occurrences > 1 ? ` (${describeGroup(entry)})` : '');
+}
+
+/**
+ * Render collected results as plain text (the "minimal" format)
+ */
+function renderMinimal(results, options) {
+    const { showWarnings = true } = options;
+
+    const pushEntries = (entries) => projectSections(results, entries).forEach(section => {
+        if (section.title) {
+            output.push(`--- ${section.title} ---`);
+        }
+        section.entries.forEach(e => output.push(`[Line ${e.line}] ${e.message}${groupSuffix(e)}`));
+    });
+
+    let output = [];
+    output.push('=== ERRORS ===\n');
+    pushEntries(results.errors);
+    if (results.errors.length === 0) output.push('(no errors found)');
+
+    // Only show warnings if showWarnings is true
+    if (showWarnings) {
+        output.push('\n=== WARNINGS ===\n');
+        pushEntries(results.warnings);
+        if (results.warnings.length === 0) output.push('(no warnings found)');
+    }
+
+    if (results.modules && results.modules.length > 0) {
+        output.push('\n=== MODULES ===\n');
+        results.modules.forEach(m => output.push(`${m.module}: ${m.errors} errors, ${m.warnings} warnings`));
+    }
+
+    if (results.projects && results.projects.length > 1) {
+        output.push('\n=== PROJECTS ===\n');
+        results.projects.forEach(p => output.push(`${describeProject(p)}: ${p.errors} errors, ${p.warnings} warnings`));
+    }
+
+    return output;
+}
+
+/**
+ * Create a line-by-line build log scanner. Lines are pushed one at a time
+ * and only the reported diagnostics (and the few lines a context window
+ * can still reach) are kept, so logs of any size can be streamed through.
+ * @param {object} options - Filter options
+ * @param {string} [options.format='full'] - Output format: 'full' (markdown) or 'minimal' (plain text)
+ * @param {boolean} [options.showWarnings=true] - Include warnings
+ * @param {number} [options.contextLines=0] - Lines of context captured before each error
+ * @param {number} [options.contextAfter=0] - Lines of context captured after each error
+ * @param {number} [options.maxErrors=9999] - Maximum number of errors to include
+ * @param {number} [options.maxWarnings=9999] - Maximum number of warnings to include
+ * @param {string} [options.fileFilter] - Only keep diagnostics referencing this file
+ * @param {string[]} [options.fileFilters] - Only keep diagnostics referencing one of these files
+ * @param {object} [options.rules] - Compiled rule set (defaults to the built-in packs)
+ * @param {boolean} [options.groupDuplicates=false] - Collapse repeated (code, file, line, message)
+ *   diagnostics into one entry with `occurrences`, `translationUnits` and `projects`
+ * @param {boolean} [options.simplifyMessages=false] - Simplify C++ type names in messages and
+ *   context (see lib/simplify.js); the original line is kept as `originalMessage`
+ * @param {number} [options.tokenBudget=0] - Render the most informative output that fits this
+ *   many (estimated) tokens instead of `format` (see lib/budget.js); implies groupDuplicates
+ * @returns {{ push: function(string): void, finish: function(): object, repeatKeys: number }}
+ */
+function createBuildLogScanner(options = {}) {
+    const {
+        showWarnings = true,
+        contextLines = 0,
+        contextAfter = 0,
+        maxErrors = 9999,
+        maxWarnings = 9999,
+        fileFilter = null,
+        fileFilters = [],
+        rules = DEFAULT_RULES,
+        simplifyMessages = false,
+        tokenBudget = 0
+    } = options;
+    const groupDuplicates = options.groupDuplicates === true || tokenBudget > 0;
+
+    const results = {
+        summary: {
+            totalLines: 0,
+            errorCount: 0,
+            warningCount: 0,
+            filteredLines: 0
+        },
+        errors: [],
+        warnings: [],
+        filteredContent: '',
+        files: []  // List of unique files with errors
+    };
+
+    const filesSet = new Set();
+    const activeFilters = getActiveFilters(fileFilter, fileFilters);
+    const withContext = contextLines > 0 || contextAfter > 0;
+
+    // Parallel builds interleave the output of several projects ("3>..."):
+    // notes, include chains and context only come from the same project's lines
+    const streams = new Map();
+    const projects = createProjectTracker();
+    const ubt = createUbtTracker();
+
+    // dotnet/MSBuild repeat diagnostics once per target framework and in the
+    // summary after "Build FAILED."; repeats fold into the first report
+    const repeats = new Map();  // Repeat key -> reported entry (only reported lines, so memory stays bounded)
+    let inSummary = false;
+    const reflection = createReflectionTracker();
+    const groups = new Map();
+    let duplicateCount = 0;
+
+    let lineNumber = 0;
+
+    /**
+     * Simplify the type names of a diagnostic or note, keeping the original
+     */
+    function simplify(record) {
+        if (simplifyMessages) {
+            const message = simplifyMessage(record.message);
+            if (message !== record.message) {
+                record.originalMessage = record.message;
+                record.message = message;
+                record.text = simplifyMessage(record.text);
+            }
+        }
+        return record;
+    }
+
+    /**
+     * State of the output stream of one node (one stream without prefixes)
+     */
+    function streamFor(node) {
+        if (!streams.has(node)) {
+            streams.set(node, {
+                context: withContext
+                    ? createContextTracker({ before: contextLines, after: contextAfter, transform: simplifyMessages ? simplifyMessage : undefined })
+                    : null,
+                // Notes attach to the last reported diagnostic; include chains
+                // ("In file included from") wait for the next one
+                lastEntry: null,
+                pendingNotes: [],
+                adoptingEntry: null,
+                translationUnit: null
+            });
+        }
+        return streams.get(node);
+    }
+
+    /**
+     * Attach a note to a reported diagnostic, widening its context window
+     */
+    function attachNote(stream, entry, note) {
+        entry.notes = entry.notes || [];
+        entry.notes.push(simplify(note));
+        if (stream.context && entry.severity === 'error') {
+            stream.context.extend(entry, note.line);
+        }
+    }
+
+    /**
+     * Scan the next log line
+     */
+    function push(line) {
+        lineNumber++;
+        const node = projects.node(line);
+        const stream = streamFor(node);
+        const { context } = stream;
+        if (context) {
+            context.track(lineNumber, line);
+        }
+
+        const match = classifyLine(line, rules);
+        if (!match) {
+            if (isSummaryStart(line)) {
+                inSummary = true;
+            } else if (isSummaryEnd(line)) {
+                inSummary = false;
+                repeats.clear();
+            }
+            stream.pendingNotes = [];
+            stream.translationUnit = matchTranslationUnit(line) || stream.translationUnit;
+            projects.line(line);
+            ubt.line(line);
+            reflection.line(line);
+            return;
+        }
+
+        if (match.severity === 'note') {
+            const note = toNote({ number: lineNumber, text: line }, match);
+            reflection.note(note);
+            if (match.attach === 'next') {
+                stream.pendingNotes.push(simplify(note));
+                if (context) {
+                    context.retain(stream.pendingNotes.length);
+                }
+            } else if (stream.lastEntry) {
+                attachNote(stream, stream.lastEntry, note);
+            }
+            return;
+        }
+
+        const key = repeatKey(line);
+        const repeatOf = repeats.get(key);
+        if (repeatOf && (inSummary || match.targetFramework)) {
+            if (match.targetFramework && repeatOf.targetFrameworks && !repeatOf.targetFrameworks.includes(match.targetFramework)) {
+                repeatOf.targetFrameworks.push(match.targetFramework);
+            }
+            stream.lastEntry = null;
+            return;
+        }
+
+        // The next line of a multi-line message (NuGet dependency paths)
+        if (isContinuation(line, match, stream.lastEntry)) {
+            attachNote(stream, stream.lastEntry, toNote({ number: lineNumber, text: line }, match));
+            repeats.set(key, stream.lastEntry);
+            return;
+        }
+
+        // MSVC C2220: the warning after it is the reason for the error
+        const { adoptingEntry } = stream;
+        if (adoptingEntry && match.severity === adoptingEntry.adopt) {
+            attachNote(stream, adoptingEntry.entry, toNote({ number: lineNumber, text: line }, match));
+            stream.adoptingEntry = null;
+            stream.pendingNotes = [];
+            return;
+        }
+        stream.adoptingEntry = null;
+
+        const includedFrom = stream.pendingNotes;
+        stream.pendingNotes = [];
+        stream.lastEntry = null;
+
+        // Collect all files with errors (regardless of the file filter)
+        if (match.file) {
+            filesSet.add(match.file);
+        }
+
+        // A generated file also matches a filter on the header it came from
+        const generated = parseGeneratedFile(match.path || match.file);
+        const candidateFiles = [match.file, generated && generated.header].concat(includedFrom.map(inc => inc.file));
+        if (!matchesFileFilters(candidateFiles, activeFilters)) {
+            return;
+        }
+
+        const entry = {
+            line: lineNumber,
+            message: line.trim(),
+            severity: match.severity,
+            tool: match.tool,
+            code: match.code,
+            file: match.file,
+            path: match.path,
+            lineNumber: match.lineNumber,
+            column: match.column,
+            project: match.project,
+            module: match.module,
+            text: match.text,
+            rule: match.rule,
+            category: match.category
+        };
+        if (includedFrom.length > 0) {
+            entry.includedFrom = includedFrom;
+        }
+        if (match.targetFramework) {
+            entry.targetFrameworks = [match.targetFramework];
+        }
+        if (match.package) {
+            entry.package = match.package;
+        }
+        simplify(entry);
+
+        // Attribute to the UBT module/action being built (the file's own
+        // module may be an engine module its headers come from). UBT's own
+        // messages are about the whole build, not the last action.
+        const { target, action } = ubt.current();
+        if (action && match.category !== 'ubt') {
+            entry.action = { index: action.index, total: action.total, verb: action.verb, file: action.file };
+            entry.module = action.module || entry.module;
+        }
+        if (target) {
+            entry.target = target.name;
+        }
+        reflection.label(entry);
+
+        // Attribute to the project its node is building (an msbuild
+        // "[Game.vcxproj]" suffix names the project already)
+        const project = projects.current(node);
+        if (project) {
+            entry.project = entry.project || project.project;
+            entry.configuration = project.configuration;
+        }
+        if (node !== null) {
+            entry.node = node;
+        }
+
+        // Clang names the translation unit at the top of the include chain
+        entry.translationUnit = includedFrom.length > 0 ? includedFrom[0].file : stream.translationUnit;
+
+        const groupKey = groupDuplicates ? diagnosticKey(entry) : null;
+        if (groupKey && groups.has(groupKey)) {
+            addToGroup(groups.get(groupKey), entry);
+            repeats.set(key, groups.get(groupKey));
+            duplicateCount++;
+            return;
+        }
+
+        if (match.severity === 'error' && results.errors.length < maxErrors) {
+            // Add context if requested
+            if (context) {
+                context.addError(entry);
+            }
+            results.errors.push(entry);
+            stream.lastEntry = entry;
+        } else if (match.severity === 'warning' && showWarnings && results.warnings.length < maxWarnings) {
+            results.warnings.push(entry);
+            stream.lastEntry = entry;
+        }
+
+        if (groupKey && stream.lastEntry === entry) {
+            groups.set(groupKey, startGroup(entry));
+        }
+        if (stream.lastEntry === entry) {
+            repeats.set(key, entry);
+        }
+        if (match.adopt && stream.lastEntry === entry) {
+            stream.adoptingEntry = { entry, adopt: match.adopt };
+        }
+    }
+
+    /**
+     * Finish the scan and render the output
+     */
+    function finish() {
+        results.summary.totalLines = lineNumber;
+        if (withContext) {
+            // Overlapping windows of nearby errors are merged into one block
+            results.contextBlocks = Array.from(streams.values())
+                .reduce((blocks, stream) => blocks.concat(stream.context.finish()), [])
+                .sort((a, b) => a.startLine - b.startLine);
+        }
+
+        reflection.finish(results.errors.concat(results.warnings));
+        results.files = Array.from(filesSet).sort();
+        if (ubt.seen()) {
+            results.targets = ubt.targets;
+            results.modules = moduleTable(results.errors, results.warnings);
+        }
+        if (projects.seen()) {
+            results.projects = projectTable(projects.projects, results.errors, results.warnings);
+        }
+        results.summary.errorCount = results.errors.length;
+        results.summary.warningCount = results.warnings.length;
+        if (groupDuplicates) {
+            results.summary.duplicatesCollapsed = duplicateCount;
+        }
+
+        let output;
+        if (tokenBudget > 0) {
+            const rendered = renderWithBudget(results, { tokenBudget, showWarnings });
+            output = rendered.lines;
+            results.summary.budget = rendered.budget;
+        } else if (options.format === 'minimal') {
+            output = renderMinimal(results, options);
+            results.summary.format = 'minimal';
+        } else {
+            output = renderFull(results, options);
+        }
+        results.filteredContent = output.join('\n');
+        results.summary.filteredLines = results.filteredContent.split('\n').length;
+
+        return results;
+    }
+
+    return {
+        push,
+        finish,
+        // Diagnostics remembered for folding repeats: only reported ones, so memory stays bounded
+        get repeatKeys() {
+            return repeats.size;
+        }
+    };
+}
+
+/**
+ * Call a function for every line of a string without splitting it into an array
+ * @param {string} content - Text
+ * @param {function(string): void} fn - Called with each line (including a trailing empty one)
+ */
+function forEachLine(content, fn) {
+    let start = 0;
+    let end;
+    while ((end = content.indexOf('\n', start)) !== -1) {
+        fn(content.slice(start, end));
+        start = end + 1;
+    }
+    fn(content.slice(start));
+}
+
+/**
+ * Filter build log to extract errors and warnings
+ * @param {string} logContent - Raw build log content
+ * @param {object} options - Filter options (see createBuildLogScanner)
+ * @returns {object} Filtered result with stats and content
+ */
+function filterBuildLog(logContent, options = {}) {
+    const scanner = createBuildLogScanner(options);
+    forEachLine(logContent, scanner.push);
+    return scanner.finish();
+}
+
+module.exports = {
+    filterBuildLog,
+    createBuildLogScanner,
+    forEachLine,
+    classifyLine
+};
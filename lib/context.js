@@ -0,0 +1,161 @@
+/**
+ * Context windows around errors
+ *
+ * Each error gets a window of log lines before and after it (widened to
+ * cover its include chain and attached notes). Overlapping or adjacent
+ * windows are merged so nearby errors share one block instead of
+ * repeating the same lines.
+ *
+ * The tracker sees the log one line at a time and only keeps the lines a
+ * window can still reach, so memory does not grow with the log size.
+ * Windows are counted in the lines the tracker is given, not in log line
+ * numbers: a tracker fed one project's lines of a parallel build (see
+ * lib/vs-projects.js) takes its context from that project only.
+ */
+
+// Lines allowed between a window and a note that still widens it
+// (clang prints the source line and caret before the note)
+const NOTE_GAP = 4;
+
+/**
+ * Create a context tracker for a line-by-line scan
+ * @param {object} options
+ * @param {number} options.before - Lines of context before each error
+ * @param {number} options.after - Lines of context after each error
+ * @param {function(string): string} [options.transform] - Applied to every context line
+ * @returns {object} Tracker: track(), retain(), addError(), extend(), finish()
+ */
+function createContextTracker({ before, after, transform = (text) => text }) {
+    const recent = [];      // Last lines seen: { position, line, text }
+    const blocks = [];      // Merged windows
+    const awaiting = [];    // Errors still collecting `contextAfter` lines
+    let open = null;        // Block still receiving lines
+    let retained = 0;       // Extra lines kept for a pending include chain
+    let position = 0;       // Lines tracked so far
+
+    /**
+     * Position of a recent log line (the current line if it is no longer kept)
+     */
+    function positionOf(line) {
+        const seen = recent.find(l => l.line === line);
+        return seen ? seen.position : position;
+    }
+
+    /**
+     * Append the lines an open block has reached but not yet copied
+     */
+    function fill() {
+        if (!open) {
+            return;
+        }
+        recent.forEach(({ position: at, line, text }) => {
+            if (at > open.filledTo && at <= open.endPosition) {
+                open.lines.push({ line, text: transform(text.trimEnd()), match: open.errorLines.includes(line) });
+                open.filledTo = at;
+            }
+        });
+    }
+
+    return {
+        /**
+         * Record the next log line (call before classifying it)
+         */
+        track(line, text) {
+            fill();
+            awaiting.forEach(pending => pending.entry.contextAfter.push(transform(text.trim())));
+            while (awaiting.length > 0 && awaiting[0].entry.contextAfter.length >= after) {
+                awaiting.shift();
+            }
+
+            position++;
+            recent.push({ position, line, text });
+            while (recent.length > before + retained + 1 + (open ? NOTE_GAP : 0)) {
+                recent.shift();
+            }
+        },
+
+        /**
+         * Keep `count` extra lines (an include chain waiting for its diagnostic)
+         */
+        retain(count) {
+            retained = count;
+        },
+
+        /**
+         * Open or extend a window for an error on the current line
+         * @param {object} entry - Error entry (gets `context`/`contextAfter`)
+         */
+        addError(entry) {
+            const previous = recent.filter(l => l.line < entry.line);
+            if (before > 0) {
+                entry.context = previous.slice(-before).map(l => transform(l.text.trim()));
+            }
+            if (after > 0) {
+                entry.contextAfter = [];
+                awaiting.push({ entry });
+            }
+
+            const first = Math.min(position, ...(entry.includedFrom || []).map(inc => positionOf(inc.line)));
+            const start = Math.max(1, first - before);
+            if (open && start <= open.endPosition + 1) {
+                open.endPosition = Math.max(open.endPosition, position + after);
+                open.errorLines.push(entry.line);
+                return;
+            }
+
+            if (open) {
+                blocks.push(open);
+            }
+            open = {
+                endPosition: position + after,
+                errorLines: [entry.line],
+                lines: [],
+                filledTo: Math.max(start, recent[0].position) - 1
+            };
+        },
+
+        /**
+         * Widen the current window to a note attached to one of its errors
+         * @param {object} entry - Error the note was attached to
+         * @param {number} line - Line number of the note
+         */
+        extend(entry, line) {
+            const at = positionOf(line);
+            if (open && open.errorLines.includes(entry.line) && at <= open.endPosition + 1 + NOTE_GAP) {
+                open.endPosition = Math.max(open.endPosition, at + after);
+            }
+        },
+
+        /**
+         * Close the last window
+         * @returns {object[]} Blocks: { startLine, endLine, errorLines, lines: [{ line, text, match }] }
+         */
+        finish() {
+            fill();
+            if (open) {
+                blocks.push(open);
+            }
+            return blocks.map(block => ({
+                startLine: block.lines[0].line,
+                endLine: block.lines[block.lines.length - 1].line,
+                errorLines: block.errorLines,
+                lines: block.lines
+            }));
+        }
+    };
+}
+
+/**
+ * Render a merged block as text, marking the error lines with ">"
+ * @param {object} block - Block from the tracker's finish()
+ * @returns {string[]}
+ */
+function renderContextBlock(block) {
+    const width = String(block.endLine).length;
+    return block.lines.map(l => `${l.match ? '>' : ' '} ${String(l.line).padStart(width)} | ${l.text}`);
+}
+
+module.exports = {
+    createContextTracker,
+    renderContextBlock
+};
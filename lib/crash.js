@@ -0,0 +1,515 @@
+/**
+ * Unreal Engine crash reports
+ *
+ * Extracts what a crash is about from the critical error block of a
+ * runtime log, a pasted crash reporter text or a
+ * Saved/Crashes/<id>/CrashContext.runtime-xml: the exception type, the
+ * assertion expression, the faulting module and the callstack. Frames
+ * below `callstackDepth` are only kept when they are project code, so the
+ * kernel and engine loop frames at the bottom of every crash are dropped.
+ */
+
+const { decodeEntities } = require('./xml');
+
+// Runtime log prefix: "[2026.01.21-20.00.05:600][ 15]LogWindows: Error: ", "LogCore: Error: "
+const logPrefixPattern = /^(?:\[[\d.:-]+\]\[\s*\d+\](\w+)|(Log\w*)):\s*(?:(Fatal|Error|Warning|Display|Log|Verbose|VeryVerbose):\s*)?/;
+
+// Frames always shown before trimming engine/system frames
+const DEFAULT_CALLSTACK_DEPTH = 10;
+
+// Lines of message text kept after an assertion or fatal error
+const MAX_MESSAGE_LINES = 5;
+
+// Lines read after the headline of a crash before its callstack must start
+const MAX_HEADER_LINES = 20;
+
+// Start of a crash: "=== Critical error: ===", "Fatal error!", or the headline itself
+const crashStartPattern = /^(?:=== Critical error: ===|Fatal error!|Unhandled Exception:|Assertion failed:|Fatal error:|Caught signal)/;
+
+// Start of a CrashContext.runtime-xml: '<?xml version="1.0" encoding="UTF-8"?>\n<FGenericCrashContext>'
+const crashContextPattern = /^\uFEFF?\s*(?:<\?xml[^>]*\?>\s*)?<FGenericCrashContext\b/;
+
+// Marker of the critical error block: a crash for certain, callstack or not
+const criticalMarkerPattern = /^(?:=== Critical error: ===|Fatal error!)$/;
+
+// "Unhandled Exception: EXCEPTION_ACCESS_VIOLATION reading address 0x00000010",
+// "Unhandled Exception: SIGSEGV: invalid attempt to read memory at address 0x0"
+const exceptionPattern = /^Unhandled Exception:\s*([A-Z_][A-Z0-9_]*):?\s*(.*)$/;
+
+// "Caught signal 11 Segmentation fault"
+const signalPattern = /^Caught signal (\d+)\s*(.*)$/;
+
+// "Assertion failed: IsValid(Foo) [File:D:\Game\Source\X.cpp] [Line: 42]"
+const assertionPattern = /^Assertion failed:\s*(.*?)\s*(?:\[File:\s*(.*?)\]\s*\[Line:\s*(\d+)\])?\s*$/;
+
+// "Fatal error: [File:D:\UE\Engine\Source\Runtime\X.cpp] [Line: 123]"
+const fatalPattern = /^Fatal error:\s*(?:\[File:\s*(.*?)\]\s*\[Line:\s*(\d+)\])?\s*(.*)$/;
+
+// Frame: "[Callstack] 0x00007ffb1234abcd UnrealEditor-LastCourier.dll!ALCCharacterBase::Tick() [D:\...\LCCharacterBase.cpp:120]"
+// or, in CrashContext XML, "UnrealEditor_LastCourier!ALCCharacterBase::Tick() [D:\...\LCCharacterBase.cpp:120]"
+const framePattern = /^(?:\[Callstack\]\s*)?(?:0x([0-9a-fA-F]+)\s+)?([\w.+-]+)!(.+?)(?:\s+\[([^\]]*)\])?\s*$/;
+
+// Bare frame without symbols ("kernel32", "[Callstack] 0x00007ffb1234abcd ntdll.dll")
+const bareFramePattern = /^(?:\[Callstack\]\s*)?(?:0x([0-9a-fA-F]+)\s+)?([\w.+-]+)\s*$/;
+
+// Operating system and driver binaries
+const systemModulePattern = /^(?:kernel32|kernelbase|ntdll|user32|ucrtbase|vcruntime\d*|msvcp\d*|msvcrt|libc|libpthread|libstdc\+\+|libsystem_\w+|libdyld|dyld|d3d\d+\w*|dxgi|nvwgf2umx|nvlddmkm|amdxx64|atidxx64|unknownmodule)$/i;
+
+// Frames of the crash handler itself, skipped when looking for the faulting frame
+const handlerFunctionPattern = /^(?:FDebug::|UE::Assert::|FGenericPlatformMisc::RaiseException|F\w+PlatformMisc::RaiseException|RaiseException|AssertFailedImplV|CheckVerifyFailedImpl|DispatchCheckVerify|StaticFailDebug|ReportAssert|FOutputDevice\w*::|FMsg::|FError::|FWindowsErrorOutputDevice::|FUnixErrorOutputDevice::|FMacErrorOutputDevice::|LowLevelFatalErrorHandler|UnknownFunction)/;
+
+// UE binary name: "UnrealEditor-Core.dll", "UnrealEditor_Core", "libUnrealEditor-Core.so", "UE4Editor-Engine-Win64-Debug.dll"
+const ueBinaryPattern = /^(?:lib)?(?:UnrealEditor|UnrealGame|UE4Editor|UE4Game|UE4|UnrealClient|UnrealServer)[-_]([A-Za-z0-9]+)(?:-\w+-\w+)?(?:\.(?:dll|so|dylib))?$/;
+
+/**
+ * Remove the runtime log prefix ("[timestamp][frame]LogWindows: Error: ")
+ */
+function stripLogPrefix(line) {
+    return line.trim().replace(logPrefixPattern, '').trim();
+}
+
+/**
+ * Read the category and verbosity of a runtime log line
+ * @returns {{ category: string, verbosity: string }|null} null for lines without a log prefix
+ */
+function logContext(line) {
+    const match = line.trim().match(logPrefixPattern);
+    return match ? { category: match[1] || match[2], verbosity: match[3] || 'Log' } : null;
+}
+
+/**
+ * Check if content is a CrashContext.runtime-xml: the root element, after
+ * the XML declaration, starts the document
+ * @param {string} content - Raw content (or its first part)
+ * @returns {boolean}
+ */
+function isCrashContextXml(content) {
+    return crashContextPattern.test(content);
+}
+
+/**
+ * Check if content is a crash report: a CrashContext XML, or text whose
+ * first line is the crash headline (a pasted crash reporter message)
+ * @param {string} content - Raw content (or its first part)
+ * @returns {boolean}
+ */
+function isCrashReport(content) {
+    if (isCrashContextXml(content)) {
+        return true;
+    }
+    const firstLine = content.split('\n', 20).map(stripLogPrefix).find(Boolean);
+    return Boolean(firstLine) && crashStartPattern.test(firstLine);
+}
+
+/**
+ * Split a "[D:\Src\Foo.cpp:120]" frame location into path and line
+ */
+function parseFrameLocation(location) {
+    const match = location && location.match(/^(.*?)(?::(\d+))?$/);
+    if (!match || !match[1]) {
+        return { path: null, line: null };
+    }
+    return { path: match[1], line: match[2] ? parseInt(match[2]) : null };
+}
+
+/**
+ * Parse a callstack frame
+ * @param {string} text - Frame text without the log prefix
+ * @param {boolean} [allowBare=false] - Accept frames without a symbol ("kernel32")
+ * @returns {object|null} { address, binary, module, function, path, file, line, kind }
+ */
+function parseFrame(text, allowBare = false) {
+    let match = text.match(framePattern);
+    let binary, func, location, address;
+    if (match) {
+        [, address, binary, func, location] = match;
+    } else if ((allowBare || text.startsWith('[Callstack]')) && (match = text.match(bareFramePattern))) {
+        [, address, binary] = match;
+        func = null;
+    } else {
+        return null;
+    }
+
+    const { path, line } = parseFrameLocation(location);
+    const ueBinary = binary.match(ueBinaryPattern);
+    const module = ueBinary ? ueBinary[1] : binary.replace(/\.(?:dll|exe|so|dylib)$/i, '');
+
+    let kind = 'engine';
+    if (systemModulePattern.test(module) || (!ueBinary && !path)) {
+        kind = 'system';
+    } else if (path && !/[\\/]Engine[\\/]/i.test(path)) {
+        kind = 'project';
+    }
+
+    return {
+        address: address ? `0x${address}` : null,
+        binary,
+        module,
+        function: func && func !== 'UnknownFunction' ? func : null,
+        path,
+        file: path ? path.split(/[\\/]/).pop() : null,
+        line,
+        kind
+    };
+}
+
+/**
+ * Create a scanner that picks the first crash out of log lines
+ *
+ * A headline logged as a warning or message ("LogX: Warning: Assertion
+ * failed: ...") is not a crash. Other headlines are only taken for a crash
+ * once its callstack follows, unless the critical error marker or a Fatal
+ * line announced it: until then their lines are not claimed, and the
+ * header is given up after MAX_HEADER_LINES lines or at a log line of
+ * another category or verbosity.
+ * @returns {{ push: function(string): boolean, finish: function(): object|null }}
+ *   push() returns true for lines that belong to a confirmed crash block
+ */
+function createCrashScanner() {
+    let crash = null;
+    let state = 'searching';     // searching -> header -> frames -> done
+    let confirmed = false;       // Announced by the critical error marker or a Fatal line, or callstack seen
+    let context = null;          // Log prefix of the line the crash started on
+    let headerLines = 0;
+    let lineNumber = 0;
+
+    const startCrash = () => {
+        crash = {
+            line: lineNumber,
+            type: null,
+            exception: null,
+            headline: null,
+            message: [],
+            assertion: null,
+            frames: []
+        };
+        state = 'header';
+        headerLines = 0;
+    };
+
+    // Whether a line is outside the block that started the crash
+    const leavesHeader = (lineContext) => ++headerLines > MAX_HEADER_LINES || Boolean(lineContext &&
+        (!context || lineContext.category !== context.category || lineContext.verbosity !== context.verbosity));
+
+    return {
+        push(line) {
+            lineNumber++;
+            if (state === 'done') {
+                return false;
+            }
+            const text = stripLogPrefix(line);
+            const lineContext = logContext(line);
+            if (state === 'header' && leavesHeader(lineContext)) {
+                if (confirmed) {
+                    state = 'done';
+                    return false;
+                }
+                crash = null;
+                state = 'searching';
+            }
+            if (state === 'searching') {
+                if (!crashStartPattern.test(text) || (lineContext && !['Fatal', 'Error'].includes(lineContext.verbosity))) {
+                    return false;
+                }
+                startCrash();
+                context = lineContext;
+                confirmed = criticalMarkerPattern.test(text) || Boolean(lineContext && lineContext.verbosity === 'Fatal');
+            }
+
+            // Crash reporter texts list frames without symbols as a bare module name
+            const frame = parseFrame(text, state === 'frames');
+            if (frame) {
+                crash.frames.push(frame);
+                state = 'frames';
+                confirmed = true;
+                return true;
+            }
+            if (state === 'frames') {
+                if (text) {
+                    state = 'done';
+                    return false;
+                }
+                return true;
+            }
+
+            let match;
+            if (!text || criticalMarkerPattern.test(text)) {
+                return confirmed;
+            }
+            if ((match = text.match(exceptionPattern))) {
+                crash.type = crash.type || 'exception';
+                crash.exception = match[1];
+                crash.headline = text;
+            } else if ((match = text.match(signalPattern))) {
+                crash.type = crash.type || 'exception';
+                crash.exception = crash.exception || `signal ${match[1]}`;
+                crash.headline = crash.headline || text;
+            } else if ((match = text.match(assertionPattern))) {
+                crash.type = 'assertion';
+                crash.headline = text;
+                crash.assertion = {
+                    expression: match[1],
+                    path: match[2] || null,
+                    line: match[3] ? parseInt(match[3]) : null
+                };
+            } else if ((match = text.match(fatalPattern)) && !crash.type) {
+                crash.type = 'fatal';
+                crash.headline = text;
+                if (match[1]) {
+                    crash.assertion = { expression: null, path: match[1], line: parseInt(match[2]) };
+                }
+                if (match[3]) {
+                    crash.message.push(match[3]);
+                }
+            } else if (crash.message.length < MAX_MESSAGE_LINES) {
+                crash.message.push(text);
+            }
+            return confirmed;
+        },
+
+        finish() {
+            return crash && (crash.headline || crash.frames.length > 0) ? crash : null;
+        }
+    };
+}
+
+/**
+ * Parse a CrashContext.runtime-xml
+ * @param {string} xml - File content
+ * @returns {object|null} Crash (as from createCrashScanner) plus game/engine/build details
+ */
+function parseCrashContextXml(xml) {
+    const field = (name) => {
+        const match = xml.match(new RegExp(`<${name}>([\\s\\S]*?)</${name}>`));
+        return match ? decodeEntities(match[1]).trim() : null;
+    };
+
+    const scanner = createCrashScanner();
+    const errorMessage = field('ErrorMessage') || '';
+    errorMessage.split(/\r?\n/).forEach(line => scanner.push(line));
+    const crash = scanner.finish() || { line: 1, type: null, exception: null, headline: errorMessage.split('\n')[0] || null, message: [], assertion: null, frames: [] };
+
+    const crashType = (field('CrashType') || '').toLowerCase();
+    if (crashType === 'assert' && !crash.type) {
+        crash.type = 'assertion';
+    } else if (crashType === 'ensure') {
+        crash.type = 'ensure';
+    } else if (crashType === 'gpucrash') {
+        crash.type = 'gpu';
+    } else if (crashType === 'hang') {
+        crash.type = 'hang';
+    }
+
+    crash.frames = (field('CallStack') || '').split(/\r?\n/)
+        .map(line => parseFrame(line.trim(), true))
+        .filter(Boolean);
+    crash.game = field('GameName');
+    crash.engineVersion = field('EngineVersion');
+    crash.buildConfiguration = field('BuildConfiguration');
+    return crash;
+}
+
+/**
+ * Find the frame the crash happened in (skipping the crash handler)
+ */
+function faultingFrame(frames) {
+    return frames.find(frame => frame.kind !== 'system' && !(frame.function && handlerFunctionPattern.test(frame.function))) || null;
+}
+
+/**
+ * Keep the top `depth` frames, and project frames below them
+ * @returns {{ frames: object[], omitted: number }} Frames with their original `index`
+ */
+function trimFrames(frames, depth) {
+    const kept = frames
+        .map((frame, index) => ({ ...frame, index }))
+        .filter(frame => frame.index < depth || frame.kind === 'project');
+    return { frames: kept, omitted: frames.length - kept.length };
+}
+
+/**
+ * Describe a frame ("UnrealEditor-LastCourier.dll!ALCCharacterBase::Tick() [D:\...\LCCharacterBase.cpp:120]")
+ */
+function describeFrame(frame) {
+    const location = frame.path ? ` [${frame.path}${frame.line ? `:${frame.line}` : ''}]` : '';
+    return `${frame.binary}${frame.function ? `!${frame.function}` : ''}${location}`;
+}
+
+/**
+ * Describe the crash kind for the header
+ */
+function describeCrash(crash) {
+    switch (crash.type) {
+        case 'exception': return `Unhandled exception ${crash.exception}`;
+        case 'assertion': return 'Assertion failed';
+        case 'ensure': return 'Ensure failed';
+        case 'fatal': return 'Fatal error';
+        case 'gpu': return 'GPU crash';
+        case 'hang': return 'Hang';
+        default: return 'Crash';
+    }
+}
+
+/**
+ * Render a crash as markdown lines (the CRASH and CALLSTACK sections)
+ * @param {object} crash - Crash from createCrashScanner / parseCrashContextXml
+ * @param {object} [options]
+ * @param {number} [options.callstackDepth=10] - Frames always shown; below that only project frames
+ * @param {string} [options.format='full'] - 'full' (markdown) or 'minimal' (plain text)
+ * @returns {string[]}
+ */
+function renderCrash(crash, options = {}) {
+    const { callstackDepth = DEFAULT_CALLSTACK_DEPTH, format = 'full' } = options;
+    const faulting = faultingFrame(crash.frames);
+    const { frames, omitted } = trimFrames(crash.frames, callstackDepth);
+    const output = [];
+
+    output.push(format === 'minimal' ? '=== CRASH ===\n' : '## CRASH');
+    if (format !== 'minimal') {
+        output.push('');
+    }
+    output.push(`Type: ${describeCrash(crash)}`);
+    if (crash.headline) {
+        output.push(crash.headline);
+    }
+    if (crash.assertion && crash.assertion.expression) {
+        output.push(`Expression: ${crash.assertion.expression}`);
+    }
+    if (crash.assertion && crash.assertion.path) {
+        output.push(`Location: ${crash.assertion.path}:${crash.assertion.line}`);
+    }
+    crash.message.forEach(line => output.push(line));
+    if (faulting) {
+        output.push(`Faulting module: ${faulting.module}${faulting.function ? ` (${faulting.function})` : ''}`);
+    }
+
+    if (frames.length > 0) {
+        output.push('');
+        output.push(format === 'minimal'
+            ? `=== CALLSTACK (${frames.length} of ${crash.frames.length} frames) ===\n`
+            : `## CALLSTACK (${frames.length} of ${crash.frames.length} frames)`);
+        if (format !== 'minimal') {
+            output.push('');
+            output.push('```');
+        }
+        const width = String(crash.frames.length - 1).length;
+        frames.forEach(frame => {
+            const marker = frame.index === crash.frames.indexOf(faulting) ? '>' : ' ';
+            output.push(`${marker} #${String(frame.index).padEnd(width)} ${describeFrame(frame)}`);
+        });
+        if (format !== 'minimal') {
+            output.push('```');
+        }
+        if (omitted > 0) {
+            output.push(`(${omitted} engine/system frames below depth ${callstackDepth} omitted)`);
+        }
+    }
+    return output;
+}
+
+/**
+ * Summarize a crash for JSON consumers
+ * @returns {object} { crashType, exceptionType, assertion, faultingModule, faultingFunction, frameCount, shownFrames, omittedFrames }
+ */
+function crashSummary(crash, options = {}) {
+    const { callstackDepth = DEFAULT_CALLSTACK_DEPTH } = options;
+    const faulting = faultingFrame(crash.frames);
+    const { frames, omitted } = trimFrames(crash.frames, callstackDepth);
+    return {
+        crashType: crash.type,
+        exceptionType: crash.exception,
+        assertion: crash.assertion ? crash.assertion.expression : null,
+        faultingModule: faulting ? faulting.module : null,
+        faultingFunction: faulting ? faulting.function : null,
+        frameCount: crash.frames.length,
+        shownFrames: frames.length,
+        omittedFrames: omitted
+    };
+}
+
+/**
+ * Build the filter result for a crash (format 'crash-report')
+ * @param {object} crash - Parsed crash
+ * @param {object} options - Filter options (format, callstackDepth)
+ * @param {number} totalLines - Lines in the original content
+ * @returns {object} Filtered result; the crash is also reported as a single error
+ */
+function crashResult(crash, options, totalLines) {
+    const faulting = faultingFrame(crash.frames);
+    const location = crash.assertion && crash.assertion.path
+        ? { path: crash.assertion.path, line: crash.assertion.line }
+        : faulting && faulting.path ? { path: faulting.path, line: faulting.line } : null;
+
+    const output = [];
+    if (options.format !== 'minimal') {
+        output.push('# Crash Report - Filtered Output');
+        output.push(`# Original: ${totalLines} lines`);
+        if (crash.game || crash.engineVersion) {
+            output.push(`# Game: ${[crash.game, crash.engineVersion, crash.buildConfiguration].filter(Boolean).join(' | ')}`);
+        }
+        output.push(`# Generated: ${new Date().toISOString()}`);
+        output.push('');
+    }
+    renderCrash(crash, options).forEach(line => output.push(line));
+    const filteredContent = output.join('\n');
+
+    return {
+        summary: {
+            totalLines,
+            errorCount: 1,
+            warningCount: 0,
+            filteredLines: filteredContent.split('\n').length,
+            ...crashSummary(crash, options)
+        },
+        crash,
+        errors: [{
+            line: crash.line,
+            message: crash.headline || describeCrash(crash),
+            severity: 'error',
+            tool: 'crash',
+            code: crash.exception,
+            file: location ? location.path.split(/[\\/]/).pop() : null,
+            path: location ? location.path : null,
+            lineNumber: location ? location.line : null,
+            module: faulting ? faulting.module : null,
+            text: crash.headline || describeCrash(crash)
+        }],
+        warnings: [],
+        files: [],
+        filteredContent
+    };
+}
+
+/**
+ * Filter a crash report (CrashContext XML or crash text)
+ * @param {string} content - Raw content
+ * @param {object} options - Filter options
+ * @param {number} [options.callstackDepth=10] - Frames always shown; below that only project frames
+ * @param {string} [options.format='full'] - Output format
+ * @returns {object|null} Filtered result, or null when no crash was found
+ */
+function filterCrashReport(content, options = {}) {
+    const totalLines = content.split('\n').length;
+    let crash;
+    if (isCrashContextXml(content)) {
+        crash = parseCrashContextXml(content);
+    } else {
+        const scanner = createCrashScanner();
+        content.split('\n').forEach(line => scanner.push(line));
+        crash = scanner.finish();
+    }
+    return crash ? crashResult(crash, options, totalLines) : null;
+}
+
+module.exports = {
+    DEFAULT_CALLSTACK_DEPTH,
+    isCrashContextXml,
+    isCrashReport,
+    parseFrame,
+    createCrashScanner,
+    parseCrashContextXml,
+    renderCrash,
+    crashSummary,
+    crashResult,
+    filterCrashReport
+};
@@ -0,0 +1,154 @@
+/**
+ * Structured diagnostic parsing
+ *
+ * Turns a matched log line into fields consumers can use without
+ * re-parsing the message: severity, tool, code, file path, line, column,
+ * project, target framework, NuGet package, module and message text.
+ */
+
+const { parsePackage } = require('./dotnet');
+
+// MSVC-style location: "D:\Src\Foo.cpp(42): " or "Foo.cpp(42,7): "
+const msvcLocationPattern = /^\s*(?:\d+>)?\s*((?:[A-Za-z]:)?[^:*?"<>|()]+?)\((\d+)(?:,(\d+))?\)\s*:/;
+
+// Clang/GCC-style location: "/src/Foo.cpp:42:7: "
+const clangLocationPattern = /^\s*(?:\d+>)?\s*((?:[A-Za-z]:)?[^:*?"<>|]+?):(\d+):(?:(\d+):)?\s/;
+
+// Diagnostic code after the severity keyword: "error C2065:", "warning LNK4098:"
+const codePattern = /\b(?:fatal\s+)?(?:error|warning|note)\s+([A-Z]+\d+)\s*:/i;
+
+// Clang warning flag: "[-Wunused-variable]"
+const clangFlagPattern = /\[(-W[\w-]+)(?:,[^\]]*)?\]\s*$/;
+
+// Message text after the severity keyword (and optional code)
+const textPattern = /\b(?:fatal\s+)?(?:error|warning|note)\b(?:\s+[A-Z]+\d+)?\s*:\s*(.*)$/i;
+
+// MSBuild project suffix: "... [D:\Src\Game.vcxproj]", "... [/src/App.csproj::TargetFramework=net8.0]"
+const projectSuffixPattern = /\s*\[([^\]]+\.(?:vcxproj|csproj|vbproj|fsproj|proj|sln|targets))(?:::TargetFramework=([^\]]+))?\]\s*$/i;
+
+// Project file as the origin of a diagnostic: "/src/App.csproj : error NU1101: ..."
+const projectOriginPattern = /^\s*(?:\d+>)?\s*((?:[A-Za-z]:)?[^:]+?\.(?:vcxproj|csproj|vbproj|fsproj|proj))\s*:\s*(?:[\w ]+ )?(?:error|warning)\b/i;
+
+// UE engine source is grouped by category before the module directory
+const ENGINE_SOURCE_GROUPS = ['Runtime', 'Editor', 'Developer', 'Programs', 'ThirdParty'];
+
+// Tools implied by a diagnostic code prefix
+const CODE_TOOLS = [
+    { prefix: /^LNK/i, tool: 'link' },
+    { prefix: /^MSB/i, tool: 'msbuild' },
+    { prefix: /^CS/i, tool: 'csc' },
+    { prefix: /^NU\d/i, tool: 'nuget' },
+    { prefix: /^NETSDK/i, tool: 'dotnet' },
+    { prefix: /^C\d/i, tool: 'cl' }
+];
+
+/**
+ * Return the last path segment (file name) of a Windows or POSIX path
+ */
+function baseName(filePath) {
+    return filePath ? filePath.split(/[\\/]/).pop() : filePath;
+}
+
+/**
+ * Parse the source location at the start of a diagnostic line
+ * @param {string} line - Raw log line
+ * @returns {{ path: string, lineNumber: number, column: number|null }|null}
+ */
+function parseLocation(line) {
+    const match = line.match(msvcLocationPattern) || line.match(clangLocationPattern);
+    if (!match) {
+        return null;
+    }
+    return {
+        path: match[1].trim(),
+        lineNumber: parseInt(match[2]),
+        column: match[3] ? parseInt(match[3]) : null
+    };
+}
+
+/**
+ * Derive the UE module name from a source path
+ * (".../Source/<Module>/..." or ".../Engine/Source/Runtime/<Module>/...")
+ * @param {string} filePath - Source file path
+ * @returns {string|null}
+ */
+function moduleFromPath(filePath) {
+    if (!filePath) {
+        return null;
+    }
+    const parts = filePath.split(/[\\/]/);
+    const sourceIndex = parts.lastIndexOf('Source');
+    if (sourceIndex === -1 || sourceIndex >= parts.length - 2) {
+        return null;
+    }
+    let module = parts[sourceIndex + 1];
+    if (ENGINE_SOURCE_GROUPS.includes(module) && sourceIndex + 2 < parts.length - 1) {
+        module = parts[sourceIndex + 2];
+    }
+    return module;
+}
+
+/**
+ * Work out which tool produced a diagnostic
+ */
+function toolFor(code, match) {
+    if (match.tool) {
+        return match.tool;
+    }
+    if (code) {
+        const known = CODE_TOOLS.find(entry => entry.prefix.test(code));
+        if (known) {
+            return known.tool;
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse a matched log line into a structured diagnostic
+ * @param {string} line - Raw log line
+ * @param {object} match - Rule match from lib/rules.js matchRule()
+ * @returns {object} { severity, tool, code, file, path, lineNumber, column, project,
+ *   targetFramework, package, module, text }
+ */
+function parseDiagnostic(line, match) {
+    const trimmed = line.trim();
+    const location = match.file ? null : parseLocation(line);
+
+    const filePath = match.file || (location && location.path) || null;
+    const lineNumber = match.lineNumber || (location && location.lineNumber) || null;
+    const column = match.column || (location && location.column) || null;
+
+    const codeMatch = trimmed.match(codePattern);
+    const flagMatch = trimmed.match(clangFlagPattern);
+    const code = match.code || (codeMatch && codeMatch[1]) || (flagMatch && flagMatch[1]) || null;
+
+    const projectMatch = trimmed.match(projectSuffixPattern);
+    const withoutProject = projectMatch ? trimmed.slice(0, projectMatch.index) : trimmed;
+    const textMatch = withoutProject.match(textPattern);
+    const text = textMatch ? textMatch[1].trim() : withoutProject;
+    const originMatch = location ? null : line.match(projectOriginPattern);
+    const projectPath = (projectMatch && projectMatch[1]) || (originMatch && originMatch[1]);
+
+    return {
+        severity: match.severity,
+        tool: toolFor(code, match),
+        code,
+        file: baseName(filePath),
+        path: filePath,
+        lineNumber,
+        column,
+        project: projectPath ? baseName(projectPath.trim()).replace(/\.[^.]+$/, '') : null,
+        targetFramework: projectMatch && projectMatch[2] ? projectMatch[2] : null,
+        package: parsePackage(code, text),
+        module: moduleFromPath(filePath),
+        text
+    };
+}
+
+module.exports = {
+    parseDiagnostic,
+    parseLocation,
+    moduleFromPath,
+    baseName
+};
@@ -0,0 +1,100 @@
+/**
+ * dotnet CLI / MSBuild console output
+ *
+ * `dotnet build` names the project (and, for multi-targeted projects, the
+ * target framework) after every diagnostic
+ * ("A.cs(1,34): error CS0103: ... [/src/App/App.csproj::TargetFramework=net8.0]"),
+ * so a project built for two frameworks reports each diagnostic twice, and
+ * the summary after "Build FAILED." prints all of them once more. NuGet
+ * restore failures are reported against the project file
+ * ("/src/App/App.csproj : error NU1101: Unable to find package Foo. ..."),
+ * with each line of a multi-line message repeated under the same code.
+ */
+
+// End of the build; the diagnostics after it repeat earlier ones
+const summaryPattern = /^\s*Build (?:FAILED|succeeded)\.\s*$/;
+
+// Last line of the summary: "Time Elapsed 00:00:01.45"
+const summaryEndPattern = /^\s*Time Elapsed \d/;
+
+// Target framework inside the project suffix: "[App.csproj::TargetFramework=net8.0]"
+const targetFrameworkPattern = /::TargetFramework=[^\]]*\]\s*$/;
+
+// Continuation line of a multi-line message: "App.csproj : error NU1605:  App -> Lib (>= 1.0.0)"
+const continuationPattern = /\b(?:error|warning) [A-Z]+\d+: {2}\S/;
+
+// Package a NuGet diagnostic is about, by message
+const packagePatterns = [
+    /\bUnable to find (?:a stable )?package ([\w.-]+)/,                 // NU1101, NU1102, NU1103
+    /\bDetected package downgrade: ([\w.-]+) from/,                     // NU1605
+    /\brequires ([\w.-]+) \([^)]*\) but version/,                       // NU1608
+    /\bbut ([\w.-]+) [\w.-]+ was not found/,                            // NU1603
+    /\bVersion conflict detected for ([\w.-]+)/,                        // NU1107
+    /\bPackage '([\w.-]+)[ ']/                                          // NU1701, NU1902-NU1904
+];
+
+/**
+ * Whether a line ends the build and starts the summary
+ * @param {string} line - Raw log line
+ * @returns {boolean}
+ */
+function isSummaryStart(line) {
+    return summaryPattern.test(line);
+}
+
+/**
+ * Whether a line ends the summary (another build may follow)
+ * @param {string} line - Raw log line
+ * @returns {boolean}
+ */
+function isSummaryEnd(line) {
+    return summaryEndPattern.test(line);
+}
+
+/**
+ * Key under which a diagnostic line repeats: without the node prefix and target framework
+ * @param {string} line - Raw log line
+ * @returns {string}
+ */
+function repeatKey(line) {
+    return line.trim().replace(/^\d+>\s*/, '').replace(targetFrameworkPattern, ']');
+}
+
+/**
+ * Whether a diagnostic line continues the message of a reported diagnostic
+ * @param {string} line - Raw log line
+ * @param {object} match - Classified line (see lib/build-log.js classifyLine())
+ * @param {object|null} entry - Last reported diagnostic of the same output stream
+ * @returns {boolean}
+ */
+function isContinuation(line, match, entry) {
+    return Boolean(entry) && match.code === entry.code && match.project === entry.project &&
+        match.severity === entry.severity && continuationPattern.test(line);
+}
+
+/**
+ * Package ID named by a NuGet diagnostic
+ * @param {string|null} code - Diagnostic code ("NU1101")
+ * @param {string} text - Message text
+ * @returns {string|null}
+ */
+function parsePackage(code, text) {
+    if (!code || !/^NU\d+$/i.test(code)) {
+        return null;
+    }
+    for (const pattern of packagePatterns) {
+        const match = text.match(pattern);
+        if (match) {
+            return match[1].replace(/\.$/, '');
+        }
+    }
+    return null;
+}
+
+module.exports = {
+    isSummaryStart,
+    isSummaryEnd,
+    repeatKey,
+    isContinuation,
+    parsePackage
+};
@@ -0,0 +1,116 @@
+/**
+ * Duplicate diagnostic grouping
+ *
+ * Unity/adaptive and multi-platform builds report the same header warning
+ * once per translation unit. Grouping collapses diagnostics with the same
+ * (code, file, line, normalized message) into one entry that records how
+ * often it occurred and which translation units/projects hit it.
+ */
+
+// Translation unit announced by cl.exe ("1>LCCharacterBase.cpp")
+const clTranslationUnitPattern = /^\s*(?:\d+>)?\s*([\w.+-]+\.(?:cpp|cc|cxx|c))\s*$/i;
+
+// Translation unit compiled by UBT ("[12/40] Compile Module.Foo.cpp", "[3/9] Compile [x64] Foo.cpp")
+const ubtTranslationUnitPattern = /^\s*(?:\d+>)?\s*\[\d+\/\d+\]\s+Compil(?:e|ing)\s+(?:\[[^\]]*\]\s+)?(\S+\.(?:cpp|cc|cxx|c))\b/i;
+
+/**
+ * Detect a line announcing the translation unit being compiled
+ * @param {string} line - Raw log line
+ * @returns {string|null} Translation unit file name
+ */
+function matchTranslationUnit(line) {
+    const match = line.match(ubtTranslationUnitPattern) || line.match(clTranslationUnitPattern);
+    return match ? match[1].split(/[\\/]/).pop() : null;
+}
+
+/**
+ * Normalize a message for duplicate comparison
+ */
+function normalizeText(text) {
+    return (text || '').replace(/\s+/g, ' ').trim().toLowerCase();
+}
+
+/**
+ * Normalize a path for duplicate comparison (case and separators)
+ */
+function normalizePath(filePath) {
+    return (filePath || '').replace(/\\/g, '/').toLowerCase();
+}
+
+/**
+ * Grouping key of a diagnostic
+ * @param {object} entry - Structured diagnostic
+ * @returns {string}
+ */
+function diagnosticKey(entry) {
+    return [
+        entry.severity,
+        entry.code || '',
+        normalizePath(entry.path || entry.file),
+        entry.lineNumber || '',
+        normalizeText(entry.text || entry.message)
+    ].join('|');
+}
+
+/**
+ * Add a value to a list if it is not already there
+ */
+function addUnique(list, value) {
+    if (value && !list.includes(value)) {
+        list.push(value);
+    }
+}
+
+/**
+ * Start a group from the first occurrence of a diagnostic
+ * @param {object} entry - Structured diagnostic (modified in place)
+ * @returns {object} The entry with occurrence tracking fields
+ */
+function startGroup(entry) {
+    entry.occurrences = 1;
+    entry.lines = [entry.line];
+    entry.translationUnits = [];
+    entry.projects = [];
+    addUnique(entry.translationUnits, entry.translationUnit);
+    addUnique(entry.projects, entry.project);
+    return entry;
+}
+
+/**
+ * Fold a repeated occurrence into its group
+ * @param {object} group - Entry returned by startGroup
+ * @param {object} entry - Repeated diagnostic
+ */
+function addToGroup(group, entry) {
+    group.occurrences++;
+    group.lines.push(entry.line);
+    addUnique(group.translationUnits, entry.translationUnit);
+    addUnique(group.projects, entry.project);
+}
+
+/**
+ * Describe where a grouped diagnostic occurred, for the text outputs
+ * @param {object} group - Grouped diagnostic
+ * @param {number} [maxSources=5] - Sources listed before "+N more"
+ * @returns {string} e.g. "repeated 12x in 3 translation units: A.cpp, B.cpp, C.cpp"
+ */
+function describeGroup(group, maxSources = 5) {
+    const sources = group.translationUnits.length > 0 ? group.translationUnits : group.projects;
+    const kind = group.translationUnits.length > 0 ? 'translation unit' : 'project';
+
+    let description = `repeated ${group.occurrences}x`;
+    if (sources.length > 0) {
+        const shown = sources.slice(0, maxSources).join(', ');
+        const more = sources.length > maxSources ? `, +${sources.length - maxSources} more` : '';
+        description += ` in ${sources.length} ${kind}${sources.length === 1 ? '' : 's'}: ${shown}${more}`;
+    }
+    return description;
+}
+
+module.exports = {
+    matchTranslationUnit,
+    diagnosticKey,
+    startGroup,
+    addToGroup,
+    describeGroup
+};
@@ -0,0 +1,268 @@
+/**
+ * Build Log Filter - shared filtering core
+ *
+ * Every entry point (web server, Vercel API, MCP servers, test script)
+ * filters through this module so they all give the same answer for the
+ * same log.
+ *
+ * Public API:
+ *   filterLog(content, options)              - auto-detect and filter (format 'full', 'minimal', 'sarif' or 'junit')
+ *   filterBuildLog(logContent, options)      - filter a build log
+ *   filterStream(stream, options)            - auto-detect and filter a readable stream, line by line
+ *   filterFile(filePath, options)            - stream-filter a file from disk
+ *   createBuildLogScanner(options)           - push-based build log scanner (push(line), finish())
+ *   filterUnityTestResults(xml, options)     - filter Unity NUnit XML
+ *   createUnityTestScanner(options)          - push-based Unity NUnit XML scanner (push(line), finish())
+ *   filterTestResults(xml, options)          - filter VSTest .trx, xUnit v2, NUnit 2 or GoogleTest XML
+ *   filterUeAutomationReport(json, options)  - filter an Unreal Automation report (Saved/Automation/Reports/index.json)
+ *   filterUnityEditorLog(content, options)   - filter a Unity Editor.log (compiler, reload and import failures)
+ *   filterUnityPlayerLog(content, options)   - filter a Unity Player.log (exceptions with stack traces)
+ *   filterUeLog(content, options)            - filter an Unreal Engine runtime log (Saved/Logs/*.log)
+ *   filterCrashReport(content, options)      - parse a UE crash (CrashContext.runtime-xml or crash text)
+ *   filterBinlog(buffer, options)            - filter an MSBuild binary log (.binlog)
+ *   binlogToText(buffer)                     - decode a .binlog into build log lines
+ *   filterSarif(content, options)            - filter a SARIF log from an analyzer (MSVC /analyze, Roslyn, clang-tidy)
+ *   sarifToText(content)                     - decode a SARIF log into build log lines
+ *   toSarif(result)                          - convert a filter result into a SARIF 2.1.0 log
+ *   toJunit(result)                          - convert a filter result into JUnit XML
+ *   applyOutputFormat(result, options)       - render a filter result as SARIF or JUnit (see lib/output.js)
+ *   detectLogType(content)                   - 'unity-test-results' | 'trx-test-results' | 'xunit-test-results' | 'nunit2-test-results' | 'gtest-test-results' | 'unity-editor-log' | 'unity-player-log' | 'ue-runtime-log' | 'crash-report' | 'msbuild-binlog' | 'sarif' | 'ue-automation-report' | 'build-log'
+ *   isUnityTestXml(content)                  - Unity NUnit XML check
+ *   detectTestResultFormat(content)          - 'trx' | 'xunit' | 'nunit2' | 'gtest' | null
+ *   isUnityEditorLog(content)                - Unity Editor.log check
+ *   isUnityPlayerLog(content)                - Unity Player.log check
+ *   isUeRuntimeLog(content)                  - Unreal Engine runtime log check
+ *   isBinlog(buffer)                         - MSBuild binary log check
+ *   isSarif(content)                         - SARIF log check
+ *   isUeAutomationReport(content)            - Unreal Automation report check
+ *   normalizeOptions(raw)                    - coerce loosely typed request options
+ *   loadRules(options)                       - load the project rule config (see lib/rules.js)
+ *   compileRules(config)                     - compile a rule config object
+ *   parseDiagnostic(line, match)             - parse a matched line into structured fields
+ */
+
+const { filterBuildLog, createBuildLogScanner } = require('./build-log');
+const { filterStream, filterFile } = require('./stream');
+const { isUnityTestXml, createUnityTestScanner, filterUnityTestResults } = require('./unity-tests');
+const { detectTestResultFormat, isTestResultXml, filterTestResults } = require('./test-results');
+const { isUnityEditorLog, isUnityPlayerLog, filterUnityEditorLog, filterUnityPlayerLog } = require('./unity-log');
+const { isUeRuntimeLog, filterUeLog } = require('./ue-log');
+const { isCrashReport, filterCrashReport } = require('./crash');
+const { isBinlog, filterBinlog, binlogToText } = require('./binlog');
+const { isSarif, filterSarif, sarifToText } = require('./sarif-input');
+const { isUeAutomationReport, filterUeAutomationReport } = require('./ue-automation');
+const { BUILTIN_PACKS, compileRules, loadRules } = require('./rules');
+const { parseDiagnostic } = require('./diagnostics');
+const { toSarif } = require('./sarif');
+const { toJunit } = require('./junit');
+const { applyOutputFormat } = require('./output');
+
+/**
+ * Detect the kind of content being filtered
+ * @param {string|Buffer} content - Raw content (a Buffer for binary logs)
+ * @returns {'unity-test-results'|'trx-test-results'|'xunit-test-results'|'nunit2-test-results'|'gtest-test-results'|'unity-editor-log'|'unity-player-log'|'ue-runtime-log'|'crash-report'|'msbuild-binlog'|'sarif'|'ue-automation-report'|'build-log'}
+ */
+function detectLogType(content) {
+    if (isBinlog(content)) {
+        return 'msbuild-binlog';
+    }
+    if (isSarif(content)) {
+        return 'sarif';
+    }
+    if (isUeAutomationReport(content)) {
+        return 'ue-automation-report';
+    }
+    if (isUnityTestXml(content)) {
+        return 'unity-test-results';
+    }
+    const testFormat = detectTestResultFormat(content);
+    if (testFormat) {
+        return `${testFormat}-test-results`;
+    }
+    if (isUnityEditorLog(content)) {
+        return 'unity-editor-log';
+    }
+    if (isUnityPlayerLog(content)) {
+        return 'unity-player-log';
+    }
+    if (isUeRuntimeLog(content)) {
+        return 'ue-runtime-log';
+    }
+    return isCrashReport(content) ? 'crash-report' : 'build-log';
+}
+
+/**
+ * Coerce loosely typed options (HTTP bodies, MCP tool arguments) into
+ * the option shape the filters expect. Missing values fall back to the
+ * given defaults, then to the filter defaults.
+ * @param {object} raw - Options as received
+ * @param {object} [defaults] - Entry-point specific defaults
+ * @returns {object} Normalized options
+ */
+function normalizeOptions(raw = {}, defaults = {}) {
+    const pick = (key) => (raw[key] !== undefined && raw[key] !== null && raw[key] !== '' ? raw[key] : defaults[key]);
+    const toInt = (value) => {
+        const parsed = parseInt(value);
+        return Number.isNaN(parsed) ? undefined : parsed;
+    };
+
+    // Query strings carry booleans as 'true'/'false' and repeat list keys
+    const isFalse = (value) => value === false || value === 'false';
+    const isTrue = (value) => value === true || value === 'true';
+    // List options also accept comma-separated strings ("LogNet, LogTemp")
+    const toList = (value) => [].concat(value || [])
+        .flatMap(item => String(item).split(','))
+        .map(item => item.trim())
+        .filter(Boolean);
+
+    const options = {
+        format: pick('format') || 'full',
+        showWarnings: !isFalse(pick('showWarnings')),
+        showStackTraces: !isFalse(pick('showStackTraces')),
+        showOutput: !isFalse(pick('showOutput')),
+        groupDuplicates: isTrue(pick('groupDuplicates')),
+        simplifyMessages: isTrue(pick('simplifyMessages')),
+        fileFilter: pick('fileFilter') || null,
+        fileFilters: [].concat(pick('fileFilters') || []),
+        categories: toList(pick('categories')),
+        excludeCategories: toList(pick('excludeCategories')),
+        minVerbosity: pick('minVerbosity') || null
+    };
+
+    ['contextLines', 'contextAfter', 'maxErrors', 'maxWarnings', 'maxMessages', 'tokenBudget', 'callstackDepth'].forEach(key => {
+        const value = toInt(pick(key));
+        if (value !== undefined) {
+            options[key] = value;
+        }
+    });
+
+    return options;
+}
+
+/**
+ * Filter any supported content, auto-detecting its type
+ * @param {string|Buffer} content - Build log, UE runtime log, crash report, Unity Editor.log / Player.log, test
+ *   result XML (Unity, TRX, xUnit, NUnit 2, GoogleTest) or SARIF log, or an MSBuild binary log as a Buffer
+ * @param {object} options - Filter options (see filterBuildLog / filterUeLog / filterCrashReport / filterUnityEditorLog / filterUnityTestResults);
+ *   `format: 'sarif'` renders the result as a SARIF 2.1.0 log and `format: 'junit'` as JUnit XML (see lib/output.js)
+ * @returns {object} Filtered result; `format` names the detected content type
+ */
+function filterLog(content, options = {}) {
+    return applyOutputFormat(filterByType(content, options), options);
+}
+
+/**
+ * Filter content with the filter for its detected type
+ */
+function filterByType(content, options) {
+    const type = detectLogType(content);
+
+    if (type === 'msbuild-binlog') {
+        return {
+            ...filterBinlog(content, options),
+            format: type
+        };
+    }
+
+    if (type === 'sarif') {
+        return {
+            ...filterSarif(content, options),
+            format: type
+        };
+    }
+
+    if (type === 'ue-automation-report') {
+        return {
+            ...filterUeAutomationReport(content, options),
+            format: type
+        };
+    }
+
+    if (type === 'unity-test-results') {
+        return {
+            ...filterUnityTestResults(content, options),
+            format: type
+        };
+    }
+
+    if (type.endsWith('-test-results')) {
+        return {
+            ...filterTestResults(content, options),
+            format: type
+        };
+    }
+
+    if (type === 'unity-editor-log') {
+        return {
+            ...filterUnityEditorLog(content, options),
+            format: type
+        };
+    }
+
+    if (type === 'unity-player-log') {
+        return {
+            ...filterUnityPlayerLog(content, options),
+            format: type
+        };
+    }
+
+    if (type === 'ue-runtime-log') {
+        return {
+            ...filterUeLog(content, options),
+            format: type
+        };
+    }
+
+    // A crash headline without a crash after it is filtered as a build log
+    const crash = type === 'crash-report' ? filterCrashReport(content, options) : null;
+    if (crash) {
+        return {
+            ...crash,
+            format: type
+        };
+    }
+
+    return {
+        ...filterBuildLog(content, options),
+        format: 'build-log'
+    };
+}
+
+module.exports = {
+    filterLog,
+    filterBuildLog,
+    filterStream,
+    filterFile,
+    createBuildLogScanner,
+    filterUnityTestResults,
+    createUnityTestScanner,
+    filterTestResults,
+    filterUeAutomationReport,
+    filterUnityEditorLog,
+    filterUnityPlayerLog,
+    filterUeLog,
+    filterCrashReport,
+    filterBinlog,
+    binlogToText,
+    filterSarif,
+    sarifToText,
+    toSarif,
+    toJunit,
+    applyOutputFormat,
+    detectLogType,
+    isUnityTestXml,
+    isTestResultXml,
+    detectTestResultFormat,
+    isUnityEditorLog,
+    isUnityPlayerLog,
+    isUeRuntimeLog,
+    isCrashReport,
+    isBinlog,
+    isSarif,
+    isUeAutomationReport,
+    normalizeOptions,
+    BUILTIN_PACKS,
+    compileRules,
+    loadRules,
+    parseDiagnostic
+};
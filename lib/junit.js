@@ -0,0 +1,164 @@
+/**
+ * JUnit XML output
+ *
+ * CI dashboards read JUnit XML: test suites of test cases, each passed or
+ * with a <failure>. Failed tests (Unity, TRX, xUnit, NUnit 2, GoogleTest) keep their name, message, stack trace
+ * and console output. Build errors become one failed "compile" test case per
+ * file, with the file's error lines (and their notes) as the failure text;
+ * Unity compilation, reload and import failures and exceptions are failed
+ * test cases of their own. A build without errors is one passed test case.
+ */
+
+// Characters XML 1.0 does not allow, even escaped
+const invalidXmlPattern = /[\u0000-\u0008\u000B\u000C\u000E-\u001F\uFFFE\uFFFF]/g;
+
+/**
+ * Escape text for an XML attribute or element
+ * @param {*} value
+ * @returns {string}
+ */
+function escapeXml(value) {
+    return String(value)
+        .replace(invalidXmlPattern, '')
+        .replace(/&/g, '&amp;')
+        .replace(/</g, '&lt;')
+        .replace(/>/g, '&gt;')
+        .replace(/"/g, '&quot;');
+}
+
+/**
+ * Render a test case element
+ * @param {{ classname: string, name: string, failure?: { message: string, type: string, text: string }, output?: string }} testCase
+ * @returns {string[]}
+ */
+function renderTestCase(testCase) {
+    const open = `    <testcase classname="${escapeXml(testCase.classname)}" name="${escapeXml(testCase.name)}"`;
+    if (!testCase.failure && !testCase.output) {
+        return [`${open}/>`];
+    }
+    const lines = [`${open}>`];
+    if (testCase.failure) {
+        const { message, type, text } = testCase.failure;
+        lines.push(`      <failure message="${escapeXml(message)}" type="${escapeXml(type)}">${escapeXml(text)}</failure>`);
+    }
+    if (testCase.output) {
+        lines.push(`      <system-out>${escapeXml(testCase.output)}</system-out>`);
+    }
+    lines.push('    </testcase>');
+    return lines;
+}
+
+/**
+ * Render a test suite element
+ * @param {string} name - Suite name
+ * @param {object[]} testCases - Test cases (see renderTestCase())
+ * @param {{ tests: number, failures: number, skipped: number }} counts
+ * @returns {string[]}
+ */
+function renderSuite(name, testCases, counts) {
+    return [
+        `  <testsuite name="${escapeXml(name)}" tests="${counts.tests}" failures="${counts.failures}" errors="0" skipped="${counts.skipped}">`,
+        ...testCases.flatMap(renderTestCase),
+        '  </testsuite>'
+    ];
+}
+
+/**
+ * Convert a failed test into a test case
+ */
+function testCase(test) {
+    const name = test.name || 'Unknown Test';
+    const fullname = test.fullname || name;
+    const classname = test.fixture || (fullname.endsWith(`.${name}`) ? fullname.slice(0, -(name.length + 1)) : fullname);
+    const message = (test.message || '').trim();
+    return {
+        classname,
+        name,
+        failure: {
+            message: message.split('\n')[0],
+            type: 'test-failure',
+            text: [message, (test.stackTrace || '').trim()].filter(Boolean).join('\n\n')
+        },
+        output: (test.output || '').trim()
+    };
+}
+
+/**
+ * Group build errors into one failed "compile" test case per file (errors
+ * without a file, such as linker errors, are grouped by tool)
+ */
+function compileTestCases(errors) {
+    const files = new Map();
+    errors.forEach(entry => {
+        const file = entry.path || entry.file || entry.tool || '(no file)';
+        if (!files.has(file)) {
+            files.set(file, []);
+        }
+        files.get(file).push(entry);
+    });
+    return Array.from(files, ([file, entries]) => {
+        const first = entries[0].code ? `${entries[0].code}: ${entries[0].text}` : entries[0].text || entries[0].message;
+        return {
+            classname: 'compile',
+            name: file,
+            failure: {
+                message: entries.length > 1 ? `${first} (and ${entries.length - 1} more)` : first,
+                type: 'compile',
+                text: entries.map(entry => [entry.message]
+                    .concat((entry.notes || []).map(note => `  ${note.message}`))
+                    .join('\n')).join('\n')
+            }
+        };
+    });
+}
+
+/**
+ * Convert a filter result into a JUnit XML document
+ * @param {object} result - Result of any filter (see lib/index.js filterLog())
+ * @returns {string} JUnit XML with one test suite
+ */
+function toJunit(result) {
+    let suite;
+    if (result.summary.totalTests !== undefined) {
+        // Passed tests are counted but not listed: the result keeps failures only,
+        // up to maxErrors, while the suite counts every failed test
+        const failures = Math.max(result.summary.failed || 0, result.errors.length);
+        suite = renderSuite(result.summary.testFormat ? `${result.summary.testFormat} tests` : 'Unity tests', result.errors.map(testCase), {
+            tests: Math.max(result.summary.totalTests, failures),
+            failures,
+            skipped: result.summary.skipped || 0
+        });
+    } else {
+        const testCases = (result.failures || []).map(failure => ({
+            classname: 'unity',
+            name: failure.assembly ? `${failure.kind}: ${failure.assembly}` : failure.kind,
+            failure: { message: failure.message, type: failure.kind, text: failure.message }
+        })).concat(
+            compileTestCases(result.errors),
+            (result.exceptions || []).map(entry => ({
+                classname: 'exception',
+                name: entry.exceptionType || 'Exception',
+                failure: { message: entry.text || entry.message, type: 'exception', text: [entry.message].concat(entry.trace || []).join('\n') }
+            }))
+        );
+        if (testCases.length === 0) {
+            testCases.push({ classname: 'compile', name: 'build' });
+        }
+        suite = renderSuite('compile', testCases, {
+            tests: testCases.length,
+            failures: testCases.filter(testCase => testCase.failure).length,
+            skipped: 0
+        });
+    }
+
+    return [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<testsuites name="build-log-filter">',
+        ...suite,
+        '</testsuites>'
+    ].join('\n');
+}
+
+module.exports = {
+    toJunit
+};
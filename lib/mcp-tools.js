@@ -0,0 +1,437 @@
+/**
+ * MCP tool definitions and handlers shared by the stdio server,
+ * the HTTP server and the Vercel deployment
+ */
+
+const fs = require('fs');
+const {
+    CallToolRequestSchema,
+    ListToolsRequestSchema,
+} = require('@modelcontextprotocol/sdk/types.js');
+const {
+    filterUnityTestResults,
+    filterTestResults,
+    isTestResultXml,
+    filterUeAutomationReport,
+    isUeAutomationReport,
+    filterLog,
+    filterFile,
+    detectLogType,
+    normalizeOptions,
+    applyOutputFormat
+} = require('./index');
+const { crashResult } = require('./crash');
+
+// Defaults advertised in the tool schemas below
+const BUILD_LOG_DEFAULTS = {
+    format: 'full',
+    contextLines: 10,
+    maxErrors: 100,
+    maxWarnings: 20
+};
+
+const UNITY_DEFAULTS = {
+    maxErrors: 100
+};
+
+const CRASH_DEFAULTS = {
+    callstackDepth: 10
+};
+
+const TOOLS = [
+    {
+        name: 'filter_build_log',
+        description: 'Filter a build log to extract errors and warnings. Reduces large logs (3000+ lines) to ~100 lines showing only errors with optional context. Unreal Engine runtime logs (Saved/Logs/*.log) are detected and filtered by category and verbosity, with the results of an automation run (pass/fail counts, failed tests and a RunTests command for them); Unity Editor.log files are detected and reduced to compiler errors per assembly plus compilation, domain reload and import failures; Unity Editor and Player logs keep managed exceptions with their stack traces, repeats collapsed; SARIF logs from analyzers (MSVC /analyze, Roslyn, clang-tidy) are read as their errors and warnings.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                logContent: {
+                    type: 'string',
+                    description: 'The full build log content to filter'
+                },
+                format: {
+                    type: 'string',
+                    enum: ['full', 'minimal', 'sarif', 'junit'],
+                    description: 'Output format: full (with context), minimal (errors only), sarif (SARIF 2.1.0 JSON for code-scanning and IDE SARIF viewers) or junit (JUnit XML, one failed compile test case per file)',
+                    default: 'full'
+                },
+                showWarnings: {
+                    type: 'boolean',
+                    description: 'Include warnings in output',
+                    default: true
+                },
+                contextLines: {
+                    type: 'number',
+                    description: 'Number of lines of context before each error (0-50)',
+                    default: 10
+                },
+                contextAfter: {
+                    type: 'number',
+                    description: 'Number of lines of context after each error (0-50). Overlapping windows of nearby errors are merged into one block',
+                    default: 0
+                },
+                maxErrors: {
+                    type: 'number',
+                    description: 'Maximum number of errors to include',
+                    default: 100
+                },
+                maxWarnings: {
+                    type: 'number',
+                    description: 'Maximum number of warnings to include',
+                    default: 20
+                },
+                groupDuplicates: {
+                    type: 'boolean',
+                    description: 'Collapse diagnostics repeated across translation units into one entry with an occurrence count',
+                    default: false
+                },
+                simplifyMessages: {
+                    type: 'boolean',
+                    description: 'Simplify C++ type names in messages (drop default template arguments such as allocators, collapse lambda names); the original line stays in the JSON as originalMessage',
+                    default: false
+                },
+                tokenBudget: {
+                    type: 'number',
+                    description: 'Fit the output into about this many tokens: errors before warnings, duplicates collapsed, paths shortened, long template names elided, with a footer listing what was omitted. Overrides format',
+                    default: 0
+                },
+                categories: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'UE runtime logs: only keep these log categories (e.g. ["LogNet", "LogTemp"])'
+                },
+                excludeCategories: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'UE runtime logs: drop these log categories'
+                },
+                maxMessages: {
+                    type: 'number',
+                    description: 'UE runtime logs: maximum number of messages below Warning to include (with minVerbosity Display or lower)',
+                    default: 1000
+                },
+                minVerbosity: {
+                    type: 'string',
+                    enum: ['Fatal', 'Error', 'Warning', 'Display', 'Log', 'Verbose', 'VeryVerbose'],
+                    description: 'UE runtime logs: least severe verbosity kept',
+                    default: 'Warning'
+                },
+                showStackTraces: {
+                    type: 'boolean',
+                    description: 'Unity Editor/Player logs: include exception stack traces',
+                    default: true
+                }
+            },
+            required: ['logContent']
+        }
+    },
+    {
+        name: 'filter_unity_test_results',
+        description: 'Filter test result XML to extract failed tests with error messages, stack traces, and console output: Unity NUnit 3 results, VSTest .trx, xUnit v2, legacy NUnit 2 and GoogleTest XML are detected automatically. Unreal Automation reports (Saved/Automation/Reports/index.json) are read too: failed tests with their errors, warnings and screenshot artifacts, plus a RunTests command that reruns only the failing tests.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                xmlContent: {
+                    type: 'string',
+                    description: 'The test result XML content (Unity TestResults.xml, .trx, xUnit, NUnit 2 or GoogleTest XML), or an Unreal Automation index.json'
+                },
+                showStackTraces: {
+                    type: 'boolean',
+                    description: 'Include stack traces in output',
+                    default: true
+                },
+                showOutput: {
+                    type: 'boolean',
+                    description: 'Include console output in output',
+                    default: true
+                },
+                maxErrors: {
+                    type: 'number',
+                    description: 'Maximum number of failed tests to include',
+                    default: 100
+                },
+                format: {
+                    type: 'string',
+                    enum: ['full', 'sarif', 'junit'],
+                    description: 'Output format (sarif: SARIF 2.1.0 JSON, each failed test located at its stack trace; junit: JUnit XML with message, stack trace and output)',
+                    default: 'full'
+                }
+            },
+            required: ['xmlContent']
+        }
+    },
+    {
+        name: 'analyze_crash',
+        description: 'Extract an Unreal Engine crash: exception type, assertion expression, faulting module and a trimmed callstack. Accepts a runtime log containing the critical error, a crash reporter text or a Saved/Crashes/*/CrashContext.runtime-xml.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                content: {
+                    type: 'string',
+                    description: 'The log, crash text or CrashContext.runtime-xml content'
+                },
+                filePath: {
+                    type: 'string',
+                    description: 'Absolute path to the log or CrashContext.runtime-xml (instead of content)'
+                },
+                callstackDepth: {
+                    type: 'number',
+                    description: 'Frames always shown; below this depth only project frames are kept',
+                    default: 10
+                },
+                format: {
+                    type: 'string',
+                    enum: ['full', 'minimal', 'sarif', 'junit'],
+                    description: 'Output format (sarif: SARIF 2.1.0 JSON; junit: JUnit XML)',
+                    default: 'full'
+                }
+            }
+        }
+    },
+    {
+        name: 'detect_log_type',
+        description: 'Detect whether content is a Unity, VSTest (.trx), xUnit, NUnit 2 or GoogleTest test result XML, a Unity Editor.log or Player.log, an Unreal Engine runtime log, an Unreal Engine crash report, a SARIF log or a build log.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                content: {
+                    type: 'string',
+                    description: 'The content to analyze'
+                }
+            },
+            required: ['content']
+        }
+    },
+    {
+        name: 'filter_file',
+        description: 'Filter a build log or test results file (Unity, .trx, xUnit, NUnit 2, GoogleTest) from disk. Build logs and test result XML are streamed as they are read, so multi-gigabyte files are fine. MSBuild binary logs (.binlog, from msbuild /bl) are decoded and their errors and warnings filtered like a build log, labeled with project, target and task; SARIF logs (.sarif) from MSVC /analyze, Roslyn or clang-tidy are read as their errors and warnings, labeled with the analysis tool.',
+        inputSchema: {
+            type: 'object',
+            properties: {
+                filePath: {
+                    type: 'string',
+                    description: 'Absolute path to the log file (text log, test result XML, .sarif or .binlog)'
+                },
+                format: {
+                    type: 'string',
+                    enum: ['full', 'minimal', 'sarif', 'junit'],
+                    description: 'Output format (sarif: SARIF 2.1.0 JSON; junit: JUnit XML)',
+                    default: 'full'
+                },
+                showWarnings: {
+                    type: 'boolean',
+                    description: 'Include warnings',
+                    default: true
+                },
+                contextLines: {
+                    type: 'number',
+                    description: 'Context lines before errors',
+                    default: 10
+                },
+                groupDuplicates: {
+                    type: 'boolean',
+                    description: 'Collapse repeated diagnostics',
+                    default: false
+                },
+                simplifyMessages: {
+                    type: 'boolean',
+                    description: 'Simplify C++ type names in messages',
+                    default: false
+                },
+                tokenBudget: {
+                    type: 'number',
+                    description: 'Fit the output into about this many tokens (build logs)',
+                    default: 0
+                },
+                categories: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'UE runtime logs: only keep these log categories (e.g. ["LogNet", "LogTemp"])'
+                },
+                excludeCategories: {
+                    type: 'array',
+                    items: { type: 'string' },
+                    description: 'UE runtime logs: drop these log categories'
+                },
+                maxMessages: {
+                    type: 'number',
+                    description: 'UE runtime logs: maximum number of messages below Warning to include',
+                    default: 1000
+                },
+                minVerbosity: {
+                    type: 'string',
+                    enum: ['Fatal', 'Error', 'Warning', 'Display', 'Log', 'Verbose', 'VeryVerbose'],
+                    description: 'UE runtime logs: least severe verbosity kept',
+                    default: 'Warning'
+                }
+            },
+            required: ['filePath']
+        }
+    }
+];
+
+/**
+ * Build a successful tool result from a filter result. The markdown goes in
+ * the text content; the parsed diagnostics go in structuredContent so
+ * clients don't have to re-parse the messages. With a token budget only the
+ * diagnostics shown in the text are included.
+ */
+function toolResult(result) {
+    const budget = result.summary.budget;
+    const summary = result.summary.totalTests !== undefined
+        ? `**Summary:** ${result.summary.totalTests} total | ${result.summary.passed} passed | ${result.summary.failed} failed | ${result.summary.skipped} skipped`
+        : `**Summary:** ${result.summary.errorCount} errors, ${result.summary.warningCount} warnings (filtered from ${result.summary.totalLines} lines to ${result.summary.filteredLines} lines)`;
+
+    return {
+        content: [
+            {
+                type: 'text',
+                text: result.filteredContent
+            },
+            {
+                type: 'text',
+                text: `\n\n---\n${summary}`
+            }
+        ],
+        structuredContent: {
+            summary: result.summary,
+            errors: budget ? result.errors.slice(0, budget.shownErrors) : result.errors,
+            warnings: budget ? result.warnings.slice(0, budget.shownWarnings) : result.warnings || [],
+            files: result.files || [],
+            ...(result.categories ? { categories: result.categories } : {}),
+            ...(result.assemblies ? { assemblies: result.assemblies, failures: result.failures, exceptions: result.exceptions } : {}),
+            ...(result.projects ? { projects: result.projects } : {}),
+            ...(result.crash ? { crash: result.crash } : {}),
+            ...(result.binlog ? { binlog: result.binlog } : {}),
+            ...(result.sarif ? { sarif: result.sarif } : {}),
+            ...(result.automation ? { automation: result.automation } : {}),
+            ...(result.rerunCommand ? { rerunCommand: result.rerunCommand } : {})
+        }
+    };
+}
+
+/**
+ * Build an error tool result
+ */
+function toolError(text) {
+    return {
+        content: [
+            {
+                type: 'text',
+                text
+            }
+        ],
+        isError: true
+    };
+}
+
+/**
+ * Execute a tool call
+ * @param {string} name - Tool name
+ * @param {object} args - Tool arguments
+ * @param {object} [config] - Server configuration
+ * @param {object} [config.rules] - Compiled rule set used for build logs
+ * @returns {Promise<object>} MCP tool result
+ */
+async function callTool(name, args = {}, config = {}) {
+    const withRules = (options) => (config.rules ? { ...options, rules: config.rules } : options);
+
+    try {
+        switch (name) {
+            case 'filter_build_log': {
+                return toolResult(filterLog(args.logContent, withRules(normalizeOptions(args, BUILD_LOG_DEFAULTS))));
+            }
+
+            case 'filter_unity_test_results': {
+                const options = normalizeOptions(args, UNITY_DEFAULTS);
+                const filter = isUeAutomationReport(args.xmlContent) ? filterUeAutomationReport
+                    : isTestResultXml(args.xmlContent) ? filterTestResults : filterUnityTestResults;
+                return toolResult(applyOutputFormat(filter(args.xmlContent, options), options));
+            }
+
+            case 'analyze_crash': {
+                const options = normalizeOptions(args, CRASH_DEFAULTS);
+                let result;
+                if (args.filePath) {
+                    if (!fs.existsSync(args.filePath)) {
+                        return toolError(`Error: File not found: ${args.filePath}`);
+                    }
+                    result = await filterFile(args.filePath, options);
+                } else if (args.content) {
+                    result = filterLog(args.content, options);
+                } else {
+                    return toolError('Error: content or filePath is required');
+                }
+
+                if (!result.crash) {
+                    return toolError('No crash found: expected a critical error ("Unhandled Exception:", "Assertion failed:") with its callstack, or a CrashContext.runtime-xml');
+                }
+                return toolResult(applyOutputFormat(crashResult(result.crash, options, result.summary.totalLines), options));
+            }
+
+            case 'detect_log_type': {
+                const lineCount = args.content.split('\n').length;
+                const descriptions = {
+                    'unity-test-results': `Detected: **Unity Test Results XML** (${lineCount} lines)\n\nUse \`filter_unity_test_results\` tool to process this content.`,
+                    'trx-test-results': `Detected: **VSTest TRX Results** (${lineCount} lines)\n\nUse \`filter_unity_test_results\` tool to process this content.`,
+                    'xunit-test-results': `Detected: **xUnit v2 Test Results XML** (${lineCount} lines)\n\nUse \`filter_unity_test_results\` tool to process this content.`,
+                    'nunit2-test-results': `Detected: **NUnit 2 Test Results XML** (${lineCount} lines)\n\nUse \`filter_unity_test_results\` tool to process this content.`,
+                    'gtest-test-results': `Detected: **GoogleTest XML Results** (${lineCount} lines)\n\nUse \`filter_unity_test_results\` tool to process this content.`,
+                    'ue-automation-report': `Detected: **Unreal Automation Report** (${lineCount} lines)\n\nUse \`filter_unity_test_results\` tool to process this content (failed tests and a RunTests command for them).`,
+                    'unity-editor-log': `Detected: **Unity Editor Log** (${lineCount} lines)\n\nUse \`filter_build_log\` tool to process this content (compiler errors per assembly, compilation, domain reload and import failures).`,
+                    'unity-player-log': `Detected: **Unity Player Log** (${lineCount} lines)\n\nUse \`filter_build_log\` tool to process this content (managed exceptions with stack traces, repeats collapsed).`,
+                    'crash-report': `Detected: **Unreal Engine Crash Report** (${lineCount} lines)\n\nUse \`analyze_crash\` tool to process this content.`,
+                    'msbuild-binlog': 'Detected: **MSBuild Binary Log**\n\nUse `filter_file` tool with the path of the .binlog to process it (errors and warnings labeled with project, target and task).',
+                    'sarif': `Detected: **SARIF Log** (${lineCount} lines)\n\nUse \`filter_build_log\` tool to process this content (analyzer errors and warnings, as in a build log).`,
+                    'ue-runtime-log': `Detected: **Unreal Engine Runtime Log** (${lineCount} lines)\n\nUse \`filter_build_log\` tool to process this content (filter with \`categories\`, \`excludeCategories\` and \`minVerbosity\`).`,
+                    'build-log': `Detected: **Build Log** (${lineCount} lines)\n\nUse \`filter_build_log\` tool to process this content.`
+                };
+
+                return {
+                    content: [
+                        {
+                            type: 'text',
+                            text: descriptions[detectLogType(args.content)]
+                        }
+                    ]
+                };
+            }
+
+            case 'filter_file': {
+                const filePath = args.filePath;
+
+                if (!fs.existsSync(filePath)) {
+                    return toolError(`Error: File not found: ${filePath}`);
+                }
+
+                // Streamed line by line, so the file can be larger than memory
+                return toolResult(await filterFile(filePath, withRules(normalizeOptions(args, { contextLines: BUILD_LOG_DEFAULTS.contextLines }))));
+            }
+
+            default:
+                return toolError(`Unknown tool: ${name}`);
+        }
+    } catch (error) {
+        return toolError(`Error: ${error.message}\n\n${error.stack}`);
+    }
+}
+
+/**
+ * Register the tool list and call handlers on an MCP server
+ * @param {import('@modelcontextprotocol/sdk/server/index.js').Server} server
+ * @param {object} [config] - Server configuration passed to callTool
+ */
+function registerTools(server, config = {}) {
+    server.setRequestHandler(ListToolsRequestSchema, async () => ({ tools: TOOLS }));
+
+    server.setRequestHandler(CallToolRequestSchema, async (request) => {
+        const { name, arguments: args } = request.params;
+        return callTool(name, args, config);
+    });
+}
+
+module.exports = {
+    TOOLS,
+    callTool,
+    registerTools
+};
@@ -0,0 +1,37 @@
+/**
+ * Output formats
+ *
+ * The filters render `full` and `minimal` themselves; the machine-readable
+ * formats are built from the filter result afterwards, so every filter and
+ * entry point supports them the same way.
+ */
+
+const { toSarif } = require('./sarif');
+const { toJunit } = require('./junit');
+
+const RENDERERS = {
+    sarif: result => JSON.stringify(toSarif(result), null, 2),
+    junit: toJunit
+};
+
+/**
+ * Render a filter result in the requested output format: `sarif` replaces
+ * the filtered content with the SARIF log as JSON, `junit` with JUnit XML.
+ * @param {object} result - Filter result (modified in place)
+ * @param {object} [options]
+ * @param {string} [options.format] - 'full', 'minimal', 'sarif' or 'junit'
+ * @returns {object} The result
+ */
+function applyOutputFormat(result, options = {}) {
+    if (!Object.prototype.hasOwnProperty.call(RENDERERS, options.format)) {
+        return result;
+    }
+    result.filteredContent = RENDERERS[options.format](result);
+    result.summary.format = options.format;
+    result.summary.filteredLines = result.filteredContent.split('\n').length;
+    return result;
+}
+
+module.exports = {
+    applyOutputFormat
+};
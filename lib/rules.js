@@ -0,0 +1,245 @@
+/**
+ * Declarative rule packs for error/warning detection
+ *
+ * A rule pack is a JSON document with a list of named patterns:
+ *
+ *   {
+ *     "name": "studio",
+ *     "rules": [
+ *       {
+ *         "id": "studio.codegen-error",
+ *         "pattern": "^CodeGen: (\\S+)\\((\\d+)\\): error",
+ *         "flags": "i",
+ *         "severity": "error",
+ *         "category": "codegen",
+ *         "file": 1,
+ *         "line": 2
+ *       }
+ *     ]
+ *   }
+ *
+ * `severity` is 'error', 'warning', 'note' or 'ignore' (drop matching lines).
+ * Notes are attached to a diagnostic instead of being reported on their
+ * own: `"attach": "previous"` (the default) adds them to the diagnostic
+ * before them, `"attach": "next"` (e.g. include chains) to the one after.
+ * `"adopt": "warning"` on an error rule attaches the next warning to it as a
+ * note (MSVC's C2220 "the following warning is treated as an error").
+ * `file`/`line`/`column`/`code` are optional capture group numbers; without
+ * them the location and code are parsed from the line (lib/diagnostics.js).
+ * `tool` names the producing tool (cl, link, UBT, ...) when the diagnostic
+ * code does not imply it.
+ *
+ * A project config (build-log-filter.rules.json, or the file named by the
+ * BUILD_LOG_FILTER_RULES environment variable) selects built-in packs and
+ * extends or overrides them:
+ *
+ *   {
+ *     "packs": ["unity", "clang", "ubt", "dotnet", "msvc", "./ci/studio-pack.json"],
+ *     "rules": [ ... ],
+ *     "disable": ["ubt.error"]
+ *   }
+ *
+ * Project rules are checked first, in the order given; a project rule with
+ * the id of a built-in rule replaces it. Built-in rules are checked errors
+ * first, so an error pattern always wins over a warning pattern.
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const BUILTIN_PACKS = {
+    clang: require('./rule-packs/clang.json'),
+    dotnet: require('./rule-packs/dotnet.json'),
+    msvc: require('./rule-packs/msvc.json'),
+    ubt: require('./rule-packs/ubt.json'),
+    unity: require('./rule-packs/unity.json')
+};
+
+const DEFAULT_PACKS = ['unity', 'clang', 'ubt', 'dotnet', 'msvc'];
+
+const CONFIG_FILE_NAME = 'build-log-filter.rules.json';
+
+const SEVERITIES = ['error', 'warning', 'note', 'ignore'];
+
+const ATTACH_MODES = ['previous', 'next'];
+
+const ADOPT_SEVERITIES = ['error', 'warning'];
+
+/**
+ * Compile a single declarative rule into a matcher
+ */
+function compileRule(rule, source) {
+    if (!rule || typeof rule.pattern !== 'string') {
+        throw new Error(`Invalid rule in ${source}: "pattern" must be a string`);
+    }
+    const id = rule.id || rule.name;
+    if (!id) {
+        throw new Error(`Invalid rule in ${source}: "id" is required`);
+    }
+    const severity = rule.severity || 'error';
+    if (!SEVERITIES.includes(severity)) {
+        throw new Error(`Invalid rule "${id}" in ${source}: severity must be one of ${SEVERITIES.join(', ')}`);
+    }
+
+    const attach = rule.attach || 'previous';
+    if (!ATTACH_MODES.includes(attach)) {
+        throw new Error(`Invalid rule "${id}" in ${source}: attach must be one of ${ATTACH_MODES.join(', ')}`);
+    }
+
+    const adopt = rule.adopt || null;
+    if (adopt && !ADOPT_SEVERITIES.includes(adopt)) {
+        throw new Error(`Invalid rule "${id}" in ${source}: adopt must be one of ${ADOPT_SEVERITIES.join(', ')}`);
+    }
+
+    let regex;
+    try {
+        regex = new RegExp(rule.pattern, (rule.flags || '').replace(/g/g, ''));
+    } catch (error) {
+        throw new Error(`Invalid rule "${id}" in ${source}: ${error.message}`);
+    }
+
+    return {
+        id,
+        severity,
+        category: rule.category || null,
+        tool: rule.tool || null,
+        attach,
+        adopt,
+        regex,
+        fileGroup: Number.isInteger(rule.file) ? rule.file : null,
+        lineGroup: Number.isInteger(rule.line) ? rule.line : null,
+        columnGroup: Number.isInteger(rule.column) ? rule.column : null,
+        codeGroup: Number.isInteger(rule.code) ? rule.code : null
+    };
+}
+
+/**
+ * Load a rule pack by built-in name or by path (relative to baseDir)
+ */
+function resolvePack(ref, baseDir) {
+    if (BUILTIN_PACKS[ref]) {
+        return { pack: BUILTIN_PACKS[ref], source: `built-in pack "${ref}"` };
+    }
+
+    const packPath = path.resolve(baseDir, ref);
+    if (!fs.existsSync(packPath)) {
+        throw new Error(`Unknown rule pack "${ref}" (not a built-in pack and ${packPath} does not exist)`);
+    }
+    return { pack: readJson(packPath), source: packPath };
+}
+
+/**
+ * Read and parse a JSON file, naming the file in parse errors
+ */
+function readJson(filePath) {
+    try {
+        return JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Failed to read rule file ${filePath}: ${error.message}`);
+    }
+}
+
+const SEVERITY_RANK = { error: 0, ignore: 1, warning: 2, note: 3 };
+
+/**
+ * Compile a project rule config into a rule set
+ * @param {object} [config] - Project config ({ packs, rules, disable })
+ * @param {object} [options]
+ * @param {string} [options.baseDir] - Directory pack paths are resolved against
+ * @param {string} [options.source] - Name used in error messages
+ * @returns {{ rules: object[], packs: string[] }} Compiled rule set
+ */
+function compileRules(config = {}, options = {}) {
+    const { baseDir = process.cwd(), source = 'rule config' } = options;
+    const packRefs = Array.isArray(config.packs) ? config.packs : DEFAULT_PACKS;
+    const disabled = new Set(config.disable || []);
+
+    const projectRules = (config.rules || []).map(rule => compileRule(rule, source));
+    const overridden = new Set(projectRules.map(rule => rule.id));
+
+    let packRules = [];
+    packRefs.forEach(ref => {
+        const { pack, source: packSource } = resolvePack(ref, baseDir);
+        (pack.rules || []).forEach(rule => {
+            packRules.push(compileRule(rule, packSource));
+        });
+    });
+    packRules = packRules
+        .filter(rule => !overridden.has(rule.id))
+        .sort((a, b) => SEVERITY_RANK[a.severity] - SEVERITY_RANK[b.severity]);
+
+    return {
+        packs: packRefs.slice(),
+        rules: projectRules.concat(packRules).filter(rule => !disabled.has(rule.id))
+    };
+}
+
+/**
+ * Load the project rule config, falling back to the built-in packs
+ * @param {object} [options]
+ * @param {string} [options.configPath] - Explicit config path
+ * @param {string} [options.cwd] - Directory searched for build-log-filter.rules.json
+ * @returns {{ rules: object[], packs: string[], configPath: string|null }}
+ */
+function loadRules(options = {}) {
+    const { cwd = process.cwd() } = options;
+    const configPath = options.configPath || process.env.BUILD_LOG_FILTER_RULES || path.join(cwd, CONFIG_FILE_NAME);
+
+    if (!fs.existsSync(configPath)) {
+        if (options.configPath || process.env.BUILD_LOG_FILTER_RULES) {
+            throw new Error(`Rule config not found: ${configPath}`);
+        }
+        return { ...DEFAULT_RULES, configPath: null };
+    }
+
+    const ruleSet = compileRules(readJson(configPath), {
+        baseDir: path.dirname(configPath),
+        source: configPath
+    });
+    return { ...ruleSet, configPath };
+}
+
+/**
+ * Find the first rule matching a log line
+ * @param {string} line - Raw log line
+ * @param {{ rules: object[] }} ruleSet - Compiled rule set
+ * @returns {object|null} { rule, severity, category, tool, attach, adopt, file, lineNumber, column, code } or null
+ */
+function matchRule(line, ruleSet = DEFAULT_RULES) {
+    for (const rule of ruleSet.rules) {
+        const match = line.match(rule.regex);
+        if (!match) {
+            continue;
+        }
+
+        const group = (index) => (index !== null && match[index] !== undefined ? match[index] : null);
+        const file = group(rule.fileGroup);
+        const lineNumber = group(rule.lineGroup);
+        const column = group(rule.columnGroup);
+        const code = group(rule.codeGroup);
+
+        return {
+            rule: rule.id,
+            severity: rule.severity,
+            category: rule.category,
+            tool: rule.tool,
+            attach: rule.attach,
+            adopt: rule.adopt,
+            file: file ? file.trim() : null,
+            lineNumber: lineNumber ? parseInt(lineNumber) : null,
+            column: column ? parseInt(column) : null,
+            code: code || null
+        };
+    }
+    return null;
+}
+
+const DEFAULT_RULES = compileRules({}, { source: 'built-in packs' });
+
+module.exports = {
+    BUILTIN_PACKS,
+    DEFAULT_RULES,
+    compileRules,
+    loadRules,
+    matchRule
+};
@@ -0,0 +1,244 @@
+/**
+ * SARIF input (MSVC /analyze, Roslyn /errorlog, clang-tidy, ...)
+ *
+ * Static-analysis tools write their results as a SARIF log instead of
+ * console lines. Each result that failed with level error or warning is
+ * turned into a canonical line ("D:\Src\Foo.cpp(12,5): warning C6011:
+ * Dereferencing NULL pointer 'p'."), with its related locations as note
+ * lines after it, and filtered like a text build log; the entries are then
+ * labeled with the analysis tool and the rule's help link. SARIF 2.1.0 and
+ * the 1.0.0 logs Roslyn writes by default are both read. Results at level
+ * note or none (Roslyn's info diagnostics) are not errors or warnings and
+ * are left out, as in console output.
+ */
+
+const { filterBuildLog } = require('./build-log');
+const { compileRules } = require('./rules');
+
+// Head of a SARIF log: "$schema": "https://json.schemastore.org/sarif-2.1.0.json" or "version": "2.1.0", "runs"
+const schemaPattern = /"\$schema"\s*:\s*"[^"]*sarif/i;
+const versionPattern = /"version"\s*:\s*"(?:2\.1\.0|1\.0\.0)"/;
+
+// Lines written by sarifToText(): "path(12,5): warning C6011: message", "tool : error rule: message", "path(3): note: message"
+const LINE_RULES = compileRules({
+    packs: [],
+    rules: ['error', 'warning', 'note'].map(severity => ({
+        id: `sarif.${severity}`,
+        pattern: `^(?:(.+?)\\((\\d+)(?:,(\\d+))?\\)|.*?) ?: ${severity}(?: (\\S+?))?: `,
+        severity,
+        category: 'analysis',
+        file: 1,
+        line: 2,
+        column: 3,
+        code: 4
+    }))
+}, { source: 'SARIF input' });
+
+// Result levels reported as diagnostics
+const LEVELS = ['error', 'warning'];
+
+/**
+ * Check if content is a SARIF log
+ * @param {string} content - Raw content (or its first part)
+ * @returns {boolean}
+ */
+function isSarif(content) {
+    if (typeof content !== 'string' || !/^\s*\{/.test(content)) {
+        return false;
+    }
+    const head = content.slice(0, 4096);
+    return /"runs"\s*:/.test(content.slice(0, 64 * 1024)) && (schemaPattern.test(head) || versionPattern.test(head));
+}
+
+/**
+ * Turn an artifact URI into the path a build log would print
+ * ("file:///D:/Src/Foo.cpp" -> "D:\Src\Foo.cpp", "file:///src/foo.cpp" -> "/src/foo.cpp")
+ * @param {string} uri - Artifact URI
+ * @param {string} [base] - URI of the artifact's uriBaseId, for relative URIs
+ * @returns {string}
+ */
+function uriToPath(uri, base) {
+    let full = uri;
+    if (base && !/^[a-z]+:/i.test(uri)) {
+        full = base.replace(/\/?$/, '/') + uri.replace(/^\//, '');
+    }
+    if (!/^file:/i.test(full)) {
+        return decodeURIComponent(full);
+    }
+    const path = decodeURIComponent(full.replace(/^file:\/\/(?:localhost)?/i, ''));
+    // "/D:/Src/Foo.cpp" is a Windows path
+    return /^\/[A-Za-z]:\//.test(path) ? path.slice(1).replace(/\//g, '\\') : path;
+}
+
+/**
+ * Read a location of either SARIF version
+ * @returns {{ path: string, lineNumber: number|null, column: number|null, message: string|null }|null}
+ */
+function readLocation(location, run) {
+    const physical = location.physicalLocation || location.resultFile;
+    if (!physical) {
+        return null;
+    }
+    const artifact = physical.artifactLocation || physical;
+    if (!artifact.uri) {
+        return null;
+    }
+    const base = artifact.uriBaseId && run.originalUriBaseIds && run.originalUriBaseIds[artifact.uriBaseId];
+    const region = physical.region || {};
+    return {
+        path: uriToPath(artifact.uri, base && base.uri),
+        lineNumber: region.startLine || null,
+        column: region.startColumn || null,
+        message: location.message ? messageText(location.message) : null
+    };
+}
+
+/**
+ * Text of a message: a string (1.0.0), { text } or a rule message string with arguments (2.1.0)
+ */
+function messageText(message, rule) {
+    if (typeof message === 'string') {
+        return message;
+    }
+    let text = message.text;
+    if (!text && message.id && rule && rule.messageStrings && rule.messageStrings[message.id]) {
+        text = rule.messageStrings[message.id].text;
+    }
+    const args = message.arguments || [];
+    return (text || '').replace(/\{(\d+)\}/g, (match, i) => (args[i] !== undefined ? args[i] : match));
+}
+
+/**
+ * Rule definition a result refers to (2.1.0 array with ruleIndex, 1.0.0 map by id)
+ */
+function findRule(run, result) {
+    const driver = (run.tool && run.tool.driver) || {};
+    if (Array.isArray(driver.rules)) {
+        return Number.isInteger(result.ruleIndex) ? driver.rules[result.ruleIndex] : driver.rules.find(r => r.id === result.ruleId);
+    }
+    return run.rules && run.rules[result.ruleId];
+}
+
+/**
+ * Decode the errors and warnings of a SARIF log
+ * @param {string} content - SARIF JSON
+ * @returns {{ version: string, runs: object[], diagnostics: object[] }} Diagnostics in log order, each with
+ *   `severity`, `ruleId`, `message`, `path`, `lineNumber`, `column`, `related` (located notes),
+ *   `tool` and `helpUri`; `runs` has the `tool` name and result count of each run
+ */
+function decodeSarif(content) {
+    let log;
+    try {
+        log = JSON.parse(content);
+    } catch (error) {
+        throw new Error(`Invalid SARIF log: ${error.message}`);
+    }
+    if (!log || !Array.isArray(log.runs)) {
+        throw new Error('Invalid SARIF log: "runs" must be an array');
+    }
+
+    const runs = [];
+    const diagnostics = [];
+    log.runs.forEach(run => {
+        const tool = run.tool ? (run.tool.driver || run.tool).name || null : null;
+        let count = 0;
+        (run.results || []).forEach(result => {
+            const rule = findRule(run, result);
+            const defaults = rule && rule.defaultConfiguration;
+            const level = result.level || (defaults && defaults.level) || 'warning';
+            const failed = !result.kind || result.kind === 'fail';
+            const suppressed = (result.suppressions || []).some(s => !s.status || s.status === 'accepted');
+            if (!LEVELS.includes(level) || !failed || suppressed) {
+                return;
+            }
+            const location = (result.locations || []).map(l => readLocation(l, run)).find(Boolean) || null;
+            diagnostics.push({
+                severity: level,
+                ruleId: result.ruleId || (rule && rule.id) || null,
+                message: messageText(result.message || '', rule).replace(/\s*\n\s*/g, ' ').trim(),
+                path: location ? location.path : null,
+                lineNumber: location ? location.lineNumber : null,
+                column: location ? location.column : null,
+                related: (result.relatedLocations || []).map(l => readLocation(l, run)).filter(Boolean),
+                tool,
+                helpUri: (rule && rule.helpUri) || null
+            });
+            count++;
+        });
+        runs.push({ tool, results: count });
+    });
+    return { version: log.version || null, runs, diagnostics };
+}
+
+/**
+ * Render a decoded diagnostic (and its related locations) as build log lines
+ * @param {object} diagnostic - Diagnostic from decodeSarif()
+ * @returns {string[]}
+ */
+function formatDiagnostic(diagnostic) {
+    const origin = (path, lineNumber, column) => {
+        if (!path) {
+            return diagnostic.tool || 'SARIF';
+        }
+        if (!lineNumber) {
+            return path;
+        }
+        return `${path}(${[lineNumber].concat(column ? [column] : []).join(',')})`;
+    };
+    const severity = diagnostic.ruleId ? `${diagnostic.severity} ${diagnostic.ruleId}` : diagnostic.severity;
+    const lines = [`${origin(diagnostic.path, diagnostic.lineNumber, diagnostic.column)}: ${severity}: ${diagnostic.message}`];
+    diagnostic.related.forEach(related => {
+        lines.push(`${origin(related.path, related.lineNumber, related.column)}: note: ${(related.message || '').replace(/\s*\n\s*/g, ' ')}`);
+    });
+    return lines;
+}
+
+/**
+ * Convert a SARIF log into build log lines
+ * @param {string} content - SARIF JSON
+ * @returns {string} Build log text
+ */
+function sarifToText(content) {
+    return decodeSarif(content).diagnostics.map(d => formatDiagnostic(d).join('\n')).join('\n');
+}
+
+/**
+ * Filter a SARIF log
+ * @param {string} content - SARIF JSON
+ * @param {object} options - Build log filter options (see filterBuildLog); the
+ *   log has no surrounding output, so context lines are not added
+ * @returns {object} Filtered result, as from filterBuildLog(), with `tool`
+ *   (the analysis tool) and `helpUri` on each entry and `sarif` (version and
+ *   per-run result counts)
+ */
+function filterSarif(content, options = {}) {
+    const { version, runs, diagnostics } = decodeSarif(content);
+
+    // Remember which diagnostic each rendered line belongs to
+    const owners = [];
+    const text = diagnostics.map(diagnostic => {
+        const lines = formatDiagnostic(diagnostic);
+        lines.forEach(() => owners.push(diagnostic));
+        return lines.join('\n');
+    }).join('\n');
+
+    const results = filterBuildLog(text, { ...options, rules: LINE_RULES, contextLines: 0, contextAfter: 0 });
+
+    results.errors.concat(results.warnings).forEach(entry => {
+        const source = owners[entry.line - 1];
+        if (source) {
+            entry.tool = source.tool;
+            entry.helpUri = source.helpUri;
+        }
+    });
+    results.sarif = { version, runs };
+    results.summary.sarifVersion = version;
+    return results;
+}
+
+module.exports = {
+    isSarif,
+    decodeSarif,
+    sarifToText,
+    filterSarif
+};
@@ -0,0 +1,169 @@
+/**
+ * SARIF 2.1.0 output
+ *
+ * Code-scanning UIs and IDE SARIF viewers read a SARIF log: one run of this
+ * tool with the rules it reported and one result per diagnostic, located at
+ * its source file, line and column. The rule id is the diagnostic code
+ * ("C2065", "CS0103", "NU1101"); diagnostics without one use the exception
+ * type, the UE log category or the id of the rule that matched the line.
+ * Failed tests are reported at the first project frame of their stack
+ * trace.
+ */
+
+const { version } = require('../package.json');
+const { parseManagedFrame } = require('./unity-exceptions');
+
+const SARIF_SCHEMA = 'https://json.schemastore.org/sarif-2.1.0.json';
+
+/**
+ * Turn a path from a log into a SARIF artifact URI
+ * ("D:\Game\Foo.cpp" -> "file:///D:/Game/Foo.cpp", "Assets/Foo.cs" stays relative)
+ * @param {string} filePath - Windows or POSIX path
+ * @returns {string}
+ */
+function toUri(filePath) {
+    const normalized = filePath.replace(/\\/g, '/');
+    if (/^[A-Za-z]:\//.test(normalized)) {
+        return encodeURI(`file:///${normalized}`);
+    }
+    return encodeURI(normalized.startsWith('/') ? `file://${normalized}` : normalized);
+}
+
+/**
+ * Build a SARIF location for a file, line and column
+ */
+function physicalLocation(filePath, line, column) {
+    const location = { artifactLocation: { uri: toUri(filePath) } };
+    if (line) {
+        location.region = { startLine: line };
+        if (column) {
+            location.region.startColumn = column;
+        }
+    }
+    return { physicalLocation: location };
+}
+
+/**
+ * Keep only the properties that are set
+ */
+function compact(properties) {
+    const kept = {};
+    Object.keys(properties).forEach(key => {
+        const value = properties[key];
+        if (value !== undefined && value !== null && !(Array.isArray(value) && value.length === 0)) {
+            kept[key] = value;
+        }
+    });
+    return kept;
+}
+
+/**
+ * Convert a diagnostic (build log, Unity log, UE log or crash entry) into a SARIF result
+ */
+function diagnosticResult(entry) {
+    const filePath = entry.path || entry.file;
+    const result = {
+        ruleId: entry.code || entry.exceptionType || entry.category || entry.rule || entry.tool || 'diagnostic',
+        level: entry.severity === 'warning' ? 'warning' : 'error',
+        message: { text: entry.text || entry.message },
+        locations: filePath ? [physicalLocation(filePath, entry.lineNumber, entry.column)] : []
+    };
+    // Notes with a location ("see declaration of ...") point at related code
+    const related = (entry.notes || []).filter(note => note.path || note.file);
+    if (related.length > 0) {
+        result.relatedLocations = related.map((note, index) => ({
+            id: index,
+            ...physicalLocation(note.path || note.file, note.lineNumber, note.column),
+            message: { text: note.text || note.message }
+        }));
+    }
+    result.properties = compact({
+        logLine: entry.line,
+        tool: entry.tool,
+        category: entry.category,
+        project: entry.project,
+        configuration: entry.configuration,
+        targetFrameworks: entry.targetFrameworks,
+        package: entry.package,
+        module: entry.module,
+        assembly: entry.assembly,
+        occurrences: entry.occurrences
+    });
+    return result;
+}
+
+/**
+ * Convert a failed test into a SARIF result, located at the first
+ * project frame of its stack trace that names a file
+ */
+function testResult(test, ruleId) {
+    const frames = (test.stackTrace || '').split('\n')
+        .map(line => parseManagedFrame(line.trim()))
+        .filter(frame => frame && frame.path);
+    // Runners without stack traces (Unreal Automation) give the location of the first error
+    const frame = frames.find(f => f.kind === 'project') || frames[0] || (test.path ? { path: test.path, line: test.lineNumber } : null);
+    const name = test.fullname || test.name || 'Unknown Test';
+    return {
+        ruleId,
+        level: 'error',
+        message: { text: test.message ? `${name}: ${test.message.trim()}` : `${name} failed` },
+        locations: frame
+            ? [{ ...physicalLocation(frame.path, frame.line), logicalLocations: [{ fullyQualifiedName: name, kind: 'function' }] }]
+            : [{ logicalLocations: [{ fullyQualifiedName: name, kind: 'function' }] }]
+    };
+}
+
+/**
+ * Convert a filter result into a SARIF log
+ * @param {object} result - Result of any filter (see lib/index.js filterLog())
+ * @returns {object} SARIF 2.1.0 log with one run
+ */
+function toSarif(result) {
+    let results;
+    if (result.summary.totalTests !== undefined) {
+        // Unity results keep their own rule id; other runners' failures are "test-failure"
+        const ruleId = result.summary.testFormat ? 'test-failure' : 'unity-test-failure';
+        results = result.errors.map(test => testResult(test, ruleId));
+    } else {
+        const failures = (result.failures || []).map(failure => ({
+            ruleId: `unity-${failure.kind}`,
+            level: 'error',
+            message: { text: failure.message },
+            locations: [],
+            properties: compact({ logLine: failure.line, assembly: failure.assembly })
+        }));
+        results = failures.concat(
+            result.errors.map(diagnosticResult),
+            (result.exceptions || []).map(diagnosticResult),
+            (result.warnings || []).map(diagnosticResult)
+        );
+    }
+
+    const ruleIds = [];
+    results = results.map(({ ruleId, ...rest }) => {
+        if (!ruleIds.includes(ruleId)) {
+            ruleIds.push(ruleId);
+        }
+        return { ruleId, ruleIndex: ruleIds.indexOf(ruleId), ...rest };
+    });
+
+    return {
+        $schema: SARIF_SCHEMA,
+        version: '2.1.0',
+        runs: [{
+            tool: {
+                driver: {
+                    name: 'build-log-filter',
+                    version,
+                    rules: ruleIds.map(id => ({ id }))
+                }
+            },
+            results,
+            properties: compact({ format: result.format })
+        }]
+    };
+}
+
+module.exports = {
+    toSarif
+};
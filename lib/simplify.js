@@ -0,0 +1,138 @@
+/**
+ * C++ type-name simplification for diagnostic messages
+ *
+ * MSVC spells out every template argument, so a TArray of shared pointers
+ * or a std::map turns into a line thousands of characters long. This pass
+ * drops default template arguments (allocators, key funcs, char traits,
+ * comparators, ESPMode::ThreadSafe), `class`/`struct` keywords inside
+ * template arguments, calling-convention noise and anonymous lambda names.
+ */
+
+// Template arguments that are the default when they are not the first argument
+const DEFAULT_ARGUMENTS = [
+    /^(?:std::)?(?:allocator|char_traits|less|hash|equal_to|default_delete)<.*>$/,
+    /^FDefaultAllocator$/,
+    /^FDefaultSetAllocator$/,
+    /^FDefaultBitArrayAllocator$/,
+    /^TSizedDefaultAllocator<\d+>$/,
+    /^TDefaultMapHashableKeyFuncs<.*>$/,
+    /^DefaultKeyFuncs<.*>$/,
+    /^TDefaultDelete<.*>$/,
+    /^ESPMode::ThreadSafe$/
+];
+
+// Standard typedefs for what is left of a template after dropping defaults
+const ALIASES = {
+    'std::basic_string<char>': 'std::string',
+    'std::basic_string<wchar_t>': 'std::wstring',
+    'std::basic_string_view<char>': 'std::string_view',
+    'std::basic_ostream<char>': 'std::ostream',
+    'std::basic_istream<char>': 'std::istream'
+};
+
+// Noise removed everywhere
+const CALLING_CONVENTIONS = /\s*\b__(?:cdecl|stdcall|thiscall|fastcall|vectorcall|ptr64)\b/g;
+const MSVC_LAMBDA = /<lambda_[0-9a-f]+>/g;
+const GCC_LAMBDA = /\{lambda\([^{}]*\)#(\d+)\}/g;
+
+/**
+ * Find the ">" closing the template argument list opened at `open`
+ * @returns {number} Index of the closing ">", or -1
+ */
+function findClose(text, open) {
+    let depth = 0;
+    for (let i = open; i < text.length; i++) {
+        const c = text[i];
+        if (c === '<') {
+            depth++;
+        } else if (c === '>' && text[i - 1] !== '-') {
+            depth--;
+            if (depth === 0) {
+                return i;
+            }
+        } else if (depth === 1 && (c === ';' || c === '\'' || c === '"')) {
+            // A quoted type name ended first: this "<" is a comparison
+            return -1;
+        }
+    }
+    return -1;
+}
+
+/**
+ * Split a template argument list at its top-level commas
+ */
+function splitArguments(inner) {
+    const args = [];
+    let depth = 0;
+    let start = 0;
+    for (let i = 0; i < inner.length; i++) {
+        const c = inner[i];
+        if (c === '<' || c === '(' || c === '[') {
+            depth++;
+        } else if ((c === '>' && inner[i - 1] !== '-') || c === ')' || c === ']') {
+            depth--;
+        } else if (c === ',' && depth === 0) {
+            args.push(inner.slice(start, i));
+            start = i + 1;
+        }
+    }
+    args.push(inner.slice(start));
+    return args;
+}
+
+/**
+ * Simplify the template argument lists in a piece of text
+ */
+function simplifyTemplates(text) {
+    let output = '';
+    let i = 0;
+    const namePattern = /([A-Za-z_][\w:]*)</g;
+    let match;
+    while ((match = namePattern.exec(text)) !== null) {
+        const name = match[1];
+        const open = match.index + name.length;
+        if (match.index < i || /\boperator$/.test(name)) {
+            continue;
+        }
+        const close = findClose(text, open);
+        if (close === -1) {
+            continue;
+        }
+
+        const args = splitArguments(text.slice(open + 1, close))
+            .map(arg => simplifyTemplates(arg.trim().replace(/^(?:class|struct|enum|union)\s+/, '')))
+            .filter((arg, index) => index === 0 || !DEFAULT_ARGUMENTS.some(pattern => pattern.test(arg)));
+        const original = text.slice(match.index, close + 1);
+        let simplified = `${name}<${args.join(',')}>`;
+        simplified = ALIASES[simplified] || simplified;
+        // Keep the original spelling when only whitespace would change
+        if (simplified === original.replace(/\s+(?=[<>,])|(?<=[<,])\s+/g, '')) {
+            simplified = original;
+        }
+
+        output += text.slice(i, match.index) + simplified;
+        i = close + 1;
+        namePattern.lastIndex = i;
+    }
+    return output + text.slice(i);
+}
+
+/**
+ * Simplify the C++ type names in a diagnostic message
+ * @param {string} text - Message (or whole log line)
+ * @returns {string} Simplified text (unchanged when there is nothing to simplify)
+ */
+function simplifyMessage(text) {
+    if (!text) {
+        return text;
+    }
+    return simplifyTemplates(text
+        .replace(CALLING_CONVENTIONS, '')
+        .replace(MSVC_LAMBDA, '<lambda>')
+        .replace(GCC_LAMBDA, '{lambda#$1}'))
+        .replace(/>\s+>/g, '>>');
+}
+
+module.exports = {
+    simplifyMessage
+};
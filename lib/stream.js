@@ -0,0 +1,187 @@
+/**
+ * Streaming input
+ *
+ * Filters logs read from a stream (HTTP request body, file) line by line,
+ * so multi-gigabyte logs never have to fit in memory as one string.
+ */
+
+const fs = require('fs');
+const { StringDecoder } = require('string_decoder');
+const { createBuildLogScanner, filterBuildLog } = require('./build-log');
+const { isUnityTestXml, createUnityTestScanner } = require('./unity-tests');
+const { detectTestResultFormat, createTestResultScanner } = require('./test-results');
+const { isUnityEditorLog, isUnityPlayerLog, createUnityLogScanner } = require('./unity-log');
+const { isUeRuntimeLog, createUeLogScanner } = require('./ue-log');
+const { isCrashReport, isCrashContextXml, filterCrashReport, createCrashScanner, crashResult } = require('./crash');
+const { isBinlog, createBinlogFilter } = require('./binlog');
+const { isSarif, filterSarif } = require('./sarif-input');
+const { isUeAutomationReport, filterUeAutomationReport } = require('./ue-automation');
+const { applyOutputFormat } = require('./output');
+
+// Text inspected before deciding between a build log, a UE runtime log, a crash report, a Unity Editor.log or Player.log, test result XML and a SARIF log
+const DETECT_LENGTH = 64 * 1024;
+
+/**
+ * Push every complete line of `text` into the scanner
+ * @returns {string} The unfinished last line
+ */
+function pushLines(scanner, text) {
+    let start = 0;
+    let end;
+    while ((end = text.indexOf('\n', start)) !== -1) {
+        scanner.push(text.slice(start, end));
+        start = end + 1;
+    }
+    return text.slice(start);
+}
+
+/**
+ * Filter a readable stream, auto-detecting its type
+ * @param {import('stream').Readable} stream - Build log, UE runtime log, crash report, Unity Editor.log / Player.log,
+ *   test result XML or SARIF log (UTF-8), or an MSBuild binary log
+ * @param {object} options - Filter options (see filterBuildLog / filterUnityTestResults)
+ * @returns {Promise<object>} Filtered result, as from filterLog()
+ */
+async function filterStream(stream, options = {}) {
+    return applyOutputFormat(await filterStreamByType(stream, options), options);
+}
+
+/**
+ * Filter a readable stream with the filter for its detected type
+ */
+async function filterStreamByType(stream, options) {
+    const decoder = new StringDecoder('utf8');
+    let head = '';      // Text read before the content type is known
+    let whole = null;   // SARIF logs, automation reports and CrashContext XML are filtered as a whole document
+    let scanner = null;
+    let format = 'build-log';
+    let rest = '';
+    let binary = null;  // Filter of an MSBuild binary log, decoded as it is read
+
+    // Only documents recognized by their start: a log that mentions a crash is still scanned line by line
+    const isWholeDocument = (text) => isSarif(text) || isUeAutomationReport(text) || isCrashContextXml(text);
+
+    // A crash text is scanned as a build log too, for when no crash follows its headline
+    const createCrashTextScanner = () => {
+        const crash = createCrashScanner();
+        const buildLog = createBuildLogScanner(options);
+        let lines = 0;
+        return {
+            push(line) {
+                lines++;
+                crash.push(line);
+                buildLog.push(line);
+            },
+            finish() {
+                const found = crash.finish();
+                if (found) {
+                    return crashResult(found, options, lines);
+                }
+                format = 'build-log';
+                return buildLog.finish();
+            }
+        };
+    };
+
+    // Test results, Unity logs, runtime logs, crash texts and build logs are all scanned line by line
+    const createScanner = (text) => {
+        if (isUnityTestXml(text)) {
+            format = 'unity-test-results';
+            return createUnityTestScanner(options);
+        }
+        const testFormat = detectTestResultFormat(text);
+        if (testFormat) {
+            format = `${testFormat}-test-results`;
+            return createTestResultScanner(testFormat, options);
+        }
+        if (isUnityEditorLog(text)) {
+            format = 'unity-editor-log';
+            return createUnityLogScanner(options, 'editor');
+        }
+        if (isUnityPlayerLog(text)) {
+            format = 'unity-player-log';
+            return createUnityLogScanner(options, 'player');
+        }
+        if (isUeRuntimeLog(text)) {
+            format = 'ue-runtime-log';
+            return createUeLogScanner(options);
+        }
+        if (isCrashReport(text)) {
+            format = 'crash-report';
+            return createCrashTextScanner();
+        }
+        return createBuildLogScanner(options);
+    };
+
+    const consume = (text) => {
+        if (whole !== null) {
+            whole += text;
+            return;
+        }
+        if (!scanner) {
+            head += text;
+            if (head.length < DETECT_LENGTH) {
+                return;
+            }
+            if (isWholeDocument(head)) {
+                whole = head;
+                return;
+            }
+            scanner = createScanner(head);
+            text = head;
+            head = '';
+        }
+        rest = pushLines(scanner, rest + text);
+    };
+
+    for await (const chunk of stream) {
+        if (!binary && head === '' && !scanner && whole === null && isBinlog(chunk)) {
+            binary = createBinlogFilter(options);
+        }
+        if (binary) {
+            await binary.write(chunk);
+            continue;
+        }
+        consume(typeof chunk === 'string' ? chunk : decoder.write(chunk));
+    }
+    if (binary) {
+        return { ...await binary.finish(), format: 'msbuild-binlog' };
+    }
+    consume(decoder.end());
+
+    if (whole === null && !scanner && isWholeDocument(head)) {
+        whole = head;
+    }
+    if (whole !== null) {
+        if (isSarif(whole)) {
+            return { ...filterSarif(whole, options), format: 'sarif' };
+        }
+        if (isUeAutomationReport(whole)) {
+            return { ...filterUeAutomationReport(whole, options), format: 'ue-automation-report' };
+        }
+        const crash = filterCrashReport(whole, options);
+        return crash ? { ...crash, format: 'crash-report' } : { ...filterBuildLog(whole, options), format: 'build-log' };
+    }
+
+    if (!scanner) {
+        scanner = createScanner(head);
+        rest = pushLines(scanner, head);
+    }
+    scanner.push(rest);
+    return { ...scanner.finish(), format };
+}
+
+/**
+ * Filter a file from disk without reading it into memory
+ * @param {string} filePath - Path to a build log, UE runtime log, Unity log or test result XML, or an MSBuild .binlog
+ * @param {object} options - Filter options
+ * @returns {Promise<object>} Filtered result, as from filterLog()
+ */
+function filterFile(filePath, options = {}) {
+    return filterStream(fs.createReadStream(filePath), options);
+}
+
+module.exports = {
+    filterStream,
+    filterFile
+};
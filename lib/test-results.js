@@ -0,0 +1,444 @@
+/**
+ * Test result XML from other test runners
+ *
+ * VSTest .trx files, xUnit v2 XML, legacy NUnit 2 <test-results> and
+ * GoogleTest --gtest_output=xml are reduced to the same failed-test report
+ * as Unity's NUnit 3 results: each failed test with its name, fixture,
+ * message, stack trace and output, and the pass/fail/skip counts of the run.
+ * Counts are taken from the test cases themselves, since the summary
+ * attributes mean different things in each format.
+ */
+
+const { forEachLine } = require('./build-log');
+const { createXmlParser } = require('./xml');
+const { renderTestReport, trimLines } = require('./unity-tests');
+
+// Source files named in stack traces and failure messages: "in /src/Tests/FooTests.cs:line 42", "foo_test.cc:12"
+const sourceFilePattern = /([\w.-]+\.(?:cs|fs|vb|cpp|cc|cxx|c|hpp|h)):(?:line )?\d+/g;
+
+// Location line GoogleTest starts each failure with: "/src/math/math_test.cc:16"
+const gtestLocationPattern = /^(.+?:\d+)\r?\n/;
+
+// Report titles by format
+const TITLES = {
+    trx: 'VSTest (TRX) Test Results',
+    xunit: 'xUnit Test Results',
+    nunit2: 'NUnit 2 Test Results',
+    gtest: 'GoogleTest Results'
+};
+
+/**
+ * Detect the test result format of an XML document
+ * @param {string} content - Raw content (or its first part)
+ * @returns {'trx'|'xunit'|'nunit2'|'gtest'|null}
+ */
+function detectTestResultFormat(content) {
+    if (typeof content !== 'string' || !content.trimStart().startsWith('<')) {
+        return null;
+    }
+    const head = content.slice(0, 64 * 1024);
+    if (/<TestRun\b/.test(head) && /TeamTest\/2010|<UnitTestResult\b|<ResultSummary\b/.test(head)) {
+        return 'trx';
+    }
+    if (/<assemblies\b/.test(head) && /<assembly\b/.test(head)) {
+        return 'xunit';
+    }
+    if (/<test-results\b/.test(head) && !/<test-run\b/.test(head)) {
+        return 'nunit2';
+    }
+    if (/<testsuites?\b/.test(head) && /<testcase\b[^>]*\bstatus="(?:run|notrun)"/.test(head)) {
+        return 'gtest';
+    }
+    return null;
+}
+
+/**
+ * Check if content is test result XML of a supported runner other than Unity
+ * @param {string} content - Raw content
+ * @returns {boolean}
+ */
+function isTestResultXml(content) {
+    return detectTestResultFormat(content) !== null;
+}
+
+/**
+ * Create a parser that walks the elements of a document written in chunks,
+ * giving each element its text on close. Only elements without child
+ * elements keep their text, so containers do not collect the whitespace
+ * between their children.
+ * @param {object} visitor - open(element, parents) and close(element, parents);
+ *   elements are { name (without namespace prefix), attributes, text }
+ * @returns {{ write: function(string): void, end: function(): void }}
+ */
+function createWalker(visitor) {
+    const stack = [];
+    return createXmlParser({
+        open(name, attributes) {
+            const element = { name: name.replace(/^.*:/, ''), attributes, text: '', parent: false };
+            if (stack.length > 0) {
+                stack[stack.length - 1].parent = true;
+                stack[stack.length - 1].text = '';
+            }
+            if (visitor.open) {
+                visitor.open(element, stack);
+            }
+            stack.push(element);
+        },
+        text(value) {
+            if (stack.length > 0 && !stack[stack.length - 1].parent) {
+                stack[stack.length - 1].text += value;
+            }
+        },
+        close() {
+            const element = stack.pop();
+            if (element && visitor.close) {
+                visitor.close(element, stack);
+            }
+        }
+    });
+}
+
+/**
+ * Create a failed test record
+ */
+function failedTest(name, fullname, fixture) {
+    return { name, fullname, fixture, message: '', stackTrace: '', output: '' };
+}
+
+/**
+ * Fixture of a fully qualified test name ("Ns.Fixture.Method(1, \"a.b\")" -> "Ns.Fixture")
+ */
+function fixtureOf(fullname) {
+    const withoutArguments = fullname.replace(/\(.*\)\s*$/, '');
+    const dot = withoutArguments.lastIndexOf('.');
+    return dot === -1 ? null : withoutArguments.slice(0, dot);
+}
+
+/**
+ * Create a reader for a VSTest .trx file. Data-driven tests are counted by their inner results.
+ * @param {function(object): boolean} report - Takes a failed test; false when it is not kept (past maxErrors)
+ * @returns {object} Visitor for createWalker(), and finish() returning the run counts
+ */
+function trxReader(report) {
+    const counts = { total: 0, passed: 0, skipped: 0 };
+    const pending = [];            // Kept failed results, to resolve against their test definitions
+    const failedIds = new Set();   // Test ids of the pending results
+    const definitions = new Map(); // UnitTest id -> { className }
+    const results = [];            // Open UnitTestResult elements
+    let definition = null;
+
+    return {
+        open(element) {
+            if (element.name === 'UnitTestResult') {
+                if (results.length > 0) {
+                    results[results.length - 1].hasInner = true;
+                }
+                const { testName, testId, outcome } = element.attributes;
+                results.push({ test: failedTest(testName || 'Unknown Test', testName, null), testId, outcome, hasInner: false });
+            } else if (element.name === 'UnitTest') {
+                definition = failedIds.has(element.attributes.id) ? { id: element.attributes.id } : null;
+            } else if (element.name === 'TestMethod' && definition) {
+                definitions.set(definition.id, { className: (element.attributes.className || '').split(',')[0].trim() });
+            }
+        },
+        close(element, parents) {
+            const result = results[results.length - 1];
+            const parent = parents.length > 0 ? parents[parents.length - 1].name : null;
+            if (element.name === 'UnitTestResult') {
+                results.pop();
+                if (result.hasInner) {
+                    return;
+                }
+                counts.total++;
+                if (/^(?:Passed|PassedButRunAborted)$/.test(result.outcome)) {
+                    counts.passed++;
+                } else if (/^(?:Failed|Error|Timeout|Aborted)$/.test(result.outcome)) {
+                    if (report(result.test)) {
+                        pending.push(result);
+                        failedIds.add(result.testId);
+                    }
+                } else {
+                    counts.skipped++;
+                }
+            } else if (result && parent === 'ErrorInfo' && element.name === 'Message') {
+                result.test.message = trimLines(element.text);
+            } else if (result && parent === 'ErrorInfo' && element.name === 'StackTrace') {
+                result.test.stackTrace = trimLines(element.text);
+            } else if (result && parent === 'Output' && (element.name === 'StdOut' || element.name === 'StdErr')) {
+                result.test.output = [result.test.output, trimLines(element.text)].filter(Boolean).join('\n');
+            } else if (element.name === 'UnitTest') {
+                definition = null;
+            } else if (element.name === 'Text' && parent === 'RunInfo' && parents[parents.length - 1].attributes.outcome === 'Error') {
+                // Run-level errors (a crashed test host) fail the run without failing a test
+                const test = failedTest('Test run error', null, null);
+                test.message = trimLines(element.text);
+                report(test);
+            }
+        },
+        finish() {
+            // Test definitions follow the results: resolve fixtures at the end
+            pending.forEach(({ test, testId }) => {
+                const method = definitions.get(testId);
+                if (method && method.className) {
+                    // xUnit and NUnit adapters name results "Ns.Fixture.Method", MSTest just "Method"
+                    if (test.name.startsWith(`${method.className}.`)) {
+                        test.name = test.name.slice(method.className.length + 1);
+                    }
+                    test.fixture = method.className;
+                    test.fullname = `${method.className}.${test.name}`;
+                }
+            });
+            return counts;
+        }
+    };
+}
+
+/**
+ * Create a reader for an xUnit v2 XML file. Assembly-level errors (fixture
+ * and collection cleanup failures) are reported as failed tests of their own.
+ * @param {function(object): boolean} report - Takes a failed test
+ * @returns {object} Visitor for createWalker(), and finish() returning the run counts
+ */
+function xunitReader(report) {
+    const counts = { total: 0, passed: 0, skipped: 0 };
+    let current = null;
+
+    return {
+        open(element) {
+            if (element.name === 'test') {
+                const { name = 'Unknown Test', type = null, result } = element.attributes;
+                const shortName = type && name.startsWith(`${type}.`) ? name.slice(type.length + 1) : name;
+                current = { test: failedTest(shortName, name, type), result };
+            } else if (element.name === 'error') {
+                const { type = 'error', name = '' } = element.attributes;
+                current = { test: failedTest(`${type}${name ? `: ${name}` : ''}`, name || null, null), result: 'Error' };
+            }
+        },
+        close(element, parents) {
+            if (!current) {
+                return;
+            }
+            const parent = parents.length > 0 ? parents[parents.length - 1].name : null;
+            if (element.name === 'test') {
+                counts.total++;
+                if (current.result === 'Pass') {
+                    counts.passed++;
+                } else if (current.result === 'Fail') {
+                    report(current.test);
+                } else {
+                    counts.skipped++;
+                }
+                current = null;
+            } else if (element.name === 'error') {
+                report(current.test);
+                current = null;
+            } else if (parent === 'failure' && element.name === 'message') {
+                current.test.message = trimLines(element.text);
+            } else if (parent === 'failure' && element.name === 'stack-trace') {
+                current.test.stackTrace = trimLines(element.text);
+            } else if (element.name === 'output') {
+                current.test.output = trimLines(element.text);
+            }
+        },
+        finish() {
+            return counts;
+        }
+    };
+}
+
+/**
+ * Create a reader for a legacy NUnit 2 <test-results> file
+ * @param {function(object): boolean} report - Takes a failed test
+ * @returns {object} Visitor for createWalker(), and finish() returning the run counts
+ */
+function nunit2Reader(report) {
+    const counts = { total: 0, passed: 0, skipped: 0 };
+    let current = null;
+
+    return {
+        open(element) {
+            if (element.name === 'test-case') {
+                const name = element.attributes.name || 'Unknown Test';
+                const fixture = fixtureOf(name);
+                const shortName = fixture ? name.slice(fixture.length + 1) : name;
+                current = { test: failedTest(shortName, name, fixture), result: element.attributes.result };
+            }
+        },
+        close(element, parents) {
+            if (!current) {
+                return;
+            }
+            const parent = parents.length > 0 ? parents[parents.length - 1].name : null;
+            if (element.name === 'test-case') {
+                counts.total++;
+                if (current.result === 'Success') {
+                    counts.passed++;
+                } else if (/^(?:Failure|Error|NotRunnable)$/.test(current.result)) {
+                    report(current.test);
+                } else {
+                    counts.skipped++;
+                }
+                current = null;
+            } else if (parent === 'failure' && element.name === 'message') {
+                current.test.message = trimLines(element.text);
+            } else if (parent === 'failure' && element.name === 'stack-trace') {
+                current.test.stackTrace = trimLines(element.text);
+            } else if (parent === 'reason' && element.name === 'message' && !current.test.message) {
+                current.test.message = trimLines(element.text);
+            } else if (element.name === 'output') {
+                current.test.output = trimLines(element.text);
+            }
+        },
+        finish() {
+            return counts;
+        }
+    };
+}
+
+/**
+ * Create a reader for a GoogleTest XML file. A test with several failed
+ * assertions has one <failure> each; their messages are joined, and the
+ * file:line locations they start with become the stack trace.
+ * @param {function(object): boolean} report - Takes a failed test
+ * @returns {object} Visitor for createWalker(), and finish() returning the run counts
+ */
+function gtestReader(report) {
+    const counts = { total: 0, passed: 0, skipped: 0 };
+    let current = null;
+
+    return {
+        open(element) {
+            if (element.name === 'testcase') {
+                const { name = 'Unknown Test', classname = null, status, result } = element.attributes;
+                current = {
+                    test: failedTest(name, classname ? `${classname}.${name}` : name, classname),
+                    skipped: status === 'notrun' || result === 'skipped' || result === 'suppressed',
+                    failures: []
+                };
+            }
+        },
+        close(element) {
+            if (!current) {
+                return;
+            }
+            if (element.name === 'testcase') {
+                counts.total++;
+                if (current.failures.length > 0) {
+                    const locations = [];
+                    current.test.message = current.failures.map(failure => failure.replace(gtestLocationPattern, (match, location) => {
+                        locations.push(location);
+                        return '';
+                    })).join('\n\n');
+                    current.test.stackTrace = locations.join('\n');
+                    report(current.test);
+                } else if (current.skipped) {
+                    counts.skipped++;
+                } else {
+                    counts.passed++;
+                }
+                current = null;
+            } else if (element.name === 'failure' || element.name === 'error') {
+                current.failures.push((element.text || element.attributes.message || '').trim());
+            } else if (element.name === 'skipped') {
+                current.skipped = true;
+            } else if (element.name === 'system-out' || element.name === 'system-err') {
+                current.test.output = [current.test.output, trimLines(element.text)].filter(Boolean).join('\n');
+            }
+        },
+        finish() {
+            return counts;
+        }
+    };
+}
+
+const READERS = {
+    trx: trxReader,
+    xunit: xunitReader,
+    nunit2: nunit2Reader,
+    gtest: gtestReader
+};
+
+/**
+ * Create a scanner for TRX, xUnit v2, NUnit 2 or GoogleTest XML, fed line by
+ * line (the XML is tokenized as it arrives, so the file never has to fit in memory)
+ * @param {'trx'|'xunit'|'nunit2'|'gtest'} format - From detectTestResultFormat()
+ * @param {object} options - Filter options (as for filterUnityTestResults)
+ * @param {boolean} [options.showStackTraces=true] - Include stack traces
+ * @param {boolean} [options.showOutput=true] - Include console output
+ * @param {number} [options.maxErrors=9999] - Maximum number of failed tests to include
+ * @returns {{ push: function(string): void, finish: function(): object }} finish() returns
+ *   the result of filterTestResults()
+ */
+function createTestResultScanner(format, options = {}) {
+    const { showStackTraces = true, showOutput = true, maxErrors = 9999 } = options;
+    const failedTests = [];
+    let failed = 0;
+    const reader = READERS[format]((test) => {
+        failed++;
+        if (failedTests.length >= maxErrors) {
+            return false;
+        }
+        failedTests.push(test);
+        return true;
+    });
+    const parser = createWalker(reader);
+
+    return {
+        push(line) {
+            parser.write(line + '\n');
+        },
+
+        finish() {
+            parser.end();
+            const counts = reader.finish();
+            // Every failed test counts, also those past maxErrors
+            counts.failed = failed;
+            const files = new Set();
+            failedTests.forEach(test => {
+                for (const match of `${test.stackTrace}\n${test.message}`.matchAll(sourceFilePattern)) {
+                    files.add(match[1]);
+                }
+            });
+
+            const output = renderTestReport(TITLES[format], counts, failedTests, { showStackTraces, showOutput });
+            return {
+                summary: {
+                    totalTests: counts.total,
+                    passed: counts.passed,
+                    failed: counts.failed,
+                    skipped: counts.skipped,
+                    testFormat: format,
+                    filteredLines: output.length
+                },
+                errors: failedTests,
+                filteredContent: output.join('\n'),
+                files: Array.from(files).sort()
+            };
+        }
+    };
+}
+
+/**
+ * Filter a TRX, xUnit v2, NUnit 2 or GoogleTest XML file to its failed tests
+ * @param {string} content - Test result XML
+ * @param {object} options - Filter options (see createTestResultScanner)
+ * @returns {object|null} Filtered result, as from filterUnityTestResults(), with
+ *   `fixture` on each failed test and `summary.testFormat`; null when the
+ *   format is not recognized
+ */
+function filterTestResults(content, options = {}) {
+    const format = detectTestResultFormat(content);
+    if (!format) {
+        return null;
+    }
+    const scanner = createTestResultScanner(format, options);
+    forEachLine(content, scanner.push);
+    return scanner.finish();
+}
+
+module.exports = {
+    detectTestResultFormat,
+    isTestResultXml,
+    createTestResultScanner,
+    filterTestResults
+};
@@ -0,0 +1,166 @@
+/**
+ * UnrealBuildTool output structure
+ *
+ * Tracks the target being built (from the UBT command line or its
+ * "Building X..." banner) and the action in progress ("[123/456] Compile
+ * [x64] Module.Foo.cpp"), so each diagnostic can be attributed to the
+ * module and action that produced it. UBT prints an action's output right
+ * after its progress line, even when actions run in parallel.
+ */
+
+const PLATFORMS = 'Win64|Win32|Linux|LinuxArm64|Mac|IOS|TVOS|Android|HoloLens|PS4|PS5|XboxOne|XSX|Switch';
+const CONFIGURATIONS = 'Debug|DebugGame|Development|Test|Shipping';
+
+// UBT/UAT command line: "... UnrealBuildTool.dll LastCourierEditor Win64 Development -Project=..."
+const commandLinePattern = new RegExp(`(?:UnrealBuildTool(?:\\.dll|\\.exe)?"?|Build\\.(?:bat|sh)"?|RunUBT\\.(?:bat|sh)"?)\\s+(?:-Target=")?(\\w+)\\s+(${PLATFORMS})\\s+(${CONFIGURATIONS})\\b`, 'i');
+
+// Banner: "Building LastCourierEditor and ShaderCompileWorker..." / "Building LastCourierEditor (Win64 Development)..."
+const bannerPattern = new RegExp(`^\\s*(?:\\d+>)?\\s*Building (\\w+)(?: and [\\w, ]+?)?(?: \\((${PLATFORMS}) (${CONFIGURATIONS})\\))?\\.\\.\\.\\s*$`);
+
+// Action progress: "[123/456] Compile [x64] Module.Foo.cpp", "[7/9] Link [x64] UnrealEditor-Foo.dll"
+// (UE4 prints only the file name: "[1/9] Module.Foo.cpp")
+const actionPattern = /^\s*(?:\d+>)?\s*\[(\d+)\/(\d+)\]\s+(?:([A-Z]\w*)\s+(?:\[[^\]]*\]\s+)?)?(\S.*?)\s*$/;
+
+// Module of a UBT action output: unity/adaptive files and binaries
+const moduleFilePatterns = [
+    /^Module\.([\w]+?)(?:\.\d+)?(?:\.gen)?\.cpp$/,                       // Module.LastCourier.2.cpp, Module.LastCourier.gen.cpp
+    /^(?:UnrealEditor|UE4Editor|UnrealGame|UE4)-([\w]+?)(?:-\w+-\w+)?\.(?:dll|lib|so|dylib|exp)$/i, // UnrealEditor-LastCourier.dll
+    /^lib(?:UnrealEditor|UnrealGame)-([\w]+?)\.(?:so|dylib)$/i
+];
+
+/**
+ * Derive the module an action builds from its output file name
+ * @param {string} file - Action file name (last path segment)
+ * @returns {string|null}
+ */
+function moduleFromActionFile(file) {
+    for (const pattern of moduleFilePatterns) {
+        const match = file.match(pattern);
+        if (match) {
+            return match[1];
+        }
+    }
+    return null;
+}
+
+/**
+ * Parse an action progress line
+ * @param {string} line - Raw log line
+ * @returns {{ index: number, total: number, verb: string, file: string, module: string|null }|null}
+ */
+function parseAction(line) {
+    const match = line.match(actionPattern);
+    if (!match) {
+        return null;
+    }
+    const file = match[4].split(/[\\/]/).pop();
+    return {
+        index: parseInt(match[1]),
+        total: parseInt(match[2]),
+        verb: match[3] || 'Compile',
+        file,
+        module: moduleFromActionFile(file)
+    };
+}
+
+/**
+ * Parse a target header (UBT command line or "Building X..." banner)
+ * @param {string} line - Raw log line
+ * @returns {{ name: string, platform: string|null, configuration: string|null }|null}
+ */
+function parseTarget(line) {
+    const match = line.match(commandLinePattern) || line.match(bannerPattern);
+    if (!match) {
+        return null;
+    }
+    return {
+        name: match[1],
+        platform: match[2] || null,
+        configuration: match[3] || null
+    };
+}
+
+/**
+ * Create a tracker for the current UBT target and action
+ * @returns {object} Tracker: line(), current(), targets, seen()
+ */
+function createUbtTracker() {
+    const targets = [];
+    let target = null;
+    let action = null;
+    let structured = false;
+
+    return {
+        targets,
+
+        /**
+         * Update the state from a line that is not a diagnostic
+         */
+        line(text) {
+            const nextAction = parseAction(text);
+            if (nextAction) {
+                action = nextAction;
+                structured = true;
+                return;
+            }
+            const nextTarget = parseTarget(text);
+            if (nextTarget) {
+                // The banner repeats a target the command line already named
+                const known = targets.find(t => t.name === nextTarget.name);
+                if (known) {
+                    known.platform = known.platform || nextTarget.platform;
+                    known.configuration = known.configuration || nextTarget.configuration;
+                    target = known;
+                } else {
+                    target = nextTarget;
+                    targets.push(target);
+                }
+                action = null;
+                structured = true;
+            }
+        },
+
+        /**
+         * Target and action the next diagnostic belongs to
+         */
+        current() {
+            return { target, action };
+        },
+
+        /**
+         * Whether any UBT structure has been seen
+         */
+        seen() {
+            return structured;
+        }
+    };
+}
+
+/**
+ * Count reported diagnostics per module
+ * @param {object[]} errors
+ * @param {object[]} warnings
+ * @returns {{ module: string, errors: number, warnings: number }[]} Most errors first
+ */
+function moduleTable(errors, warnings) {
+    const modules = new Map();
+    const count = (entry, key) => {
+        const name = entry.module || '(unknown)';
+        if (!modules.has(name)) {
+            modules.set(name, { module: name, errors: 0, warnings: 0 });
+        }
+        modules.get(name)[key]++;
+    };
+    errors.forEach(entry => count(entry, 'errors'));
+    warnings.forEach(entry => count(entry, 'warnings'));
+    return Array.from(modules.values())
+        .sort((a, b) => b.errors - a.errors || b.warnings - a.warnings || a.module.localeCompare(b.module));
+}
+
+module.exports = {
+    parseAction,
+    parseTarget,
+    moduleFromActionFile,
+    createUbtTracker,
+    moduleTable
+};
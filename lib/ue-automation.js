@@ -0,0 +1,331 @@
+/**
+ * Unreal Engine Automation test results
+ *
+ * An automation run (-ExecCmds="Automation RunTests ...") writes an
+ * index.json report under Saved/Automation/Reports: run counts and one
+ * entry per test with its state, its error/warning/info events (with the
+ * source file and line that raised them) and the artifacts it produced
+ * (screenshot comparisons). The log of the run has the same results as
+ * LogAutomationController lines ("Test Completed. Result={Fail} Name={...}
+ * Path={...}", then the test's events between "BeginEvents:" and
+ * "EndEvents:"). Both are reduced to the failed tests, the pass/fail counts
+ * and a RunTests command that reruns just the failing tests.
+ */
+
+const { renderTestReport } = require('./unity-tests');
+
+// Test lifecycle lines: "Test Started. Name={Spawn Actor} Path={Project.Gameplay.SpawnActor}",
+// "Test Completed. Result={Fail} Name={Spawn Actor} Path={Project.Gameplay.SpawnActor}"
+const testStartedPattern = /^Test Started\. Name=\{([^}]*)\}(?:\s+Path=\{([^}]*)\})?/;
+const testCompletedPattern = /^Test Completed\. Result=\{(\w+)\}\s+Name=\{([^}]*)\}(?:\s+Path=\{([^}]*)\})?/;
+
+// Event block of a completed test: "BeginEvents: Project.Gameplay.SpawnActor" ... "EndEvents: Project.Gameplay.SpawnActor"
+const beginEventsPattern = /^BeginEvents: (.+)$/;
+const endEventsPattern = /^EndEvents: (.+)$/;
+
+// Source location after an event message: "Expected 'Health' to be 100, but it was 90. [D:\Game\Source\Game\Tests\SpawnTest.cpp(42)]"
+const eventLocationPattern = /\s*\[([^\]]+?)\((\d+)\)\]$/;
+
+// Categories whose errors and warnings during a test belong to the test
+const AUTOMATION_CATEGORIES = ['LogAutomationController', 'LogAutomationTest'];
+
+/**
+ * Check if content is an automation report (Saved/Automation/Reports/index.json)
+ * @param {string} content - Raw content (or its first part)
+ * @returns {boolean}
+ */
+function isUeAutomationReport(content) {
+    if (typeof content !== 'string' || !/^\uFEFF?\s*\{/.test(content)) {
+        return false;
+    }
+    const head = content.slice(0, 64 * 1024);
+    return /"tests"\s*:/.test(head) && /"(?:reportCreatedOn|succeededWithWarnings)"\s*:/.test(head);
+}
+
+/**
+ * Classify a test state or log result ("Success", "Passed", "Fail", "NotRun", ...)
+ * @returns {'passed'|'failed'|'skipped'}
+ */
+function outcomeOf(state) {
+    const value = String(state || '').toLowerCase();
+    if (value === 'success' || value === 'passed' || value === 'succeeded') {
+        return 'passed';
+    }
+    if (value === 'notrun' || value === 'skipped') {
+        return 'skipped';
+    }
+    // Failed, and tests still in process when the run ended
+    return 'failed';
+}
+
+/**
+ * Create a failed automation test record
+ */
+function automationTest(name, path) {
+    const dot = path ? path.lastIndexOf('.') : -1;
+    return {
+        name: name || path || 'Unknown Test',
+        fullname: path || name,
+        fixture: dot === -1 ? null : path.slice(0, dot),
+        message: '',
+        stackTrace: '',
+        output: '',
+        errors: [],
+        warnings: [],
+        artifacts: []
+    };
+}
+
+/**
+ * Record an error or warning event on a test
+ * @param {object} test - Record from automationTest()
+ * @param {'error'|'warning'} severity
+ * @param {string} message - Event message, with or without a "[file(line)]" suffix
+ * @param {string|null} [path] - Source file that raised it
+ * @param {number|null} [lineNumber]
+ */
+function addEvent(test, severity, message, path, lineNumber) {
+    let text = message;
+    const location = message.match(eventLocationPattern);
+    if (location && !path) {
+        text = message.slice(0, location.index);
+        path = location[1];
+        lineNumber = parseInt(location[2]);
+    }
+    const event = { message: text, path: path || null, lineNumber: path && lineNumber ? lineNumber : null };
+    (severity === 'error' ? test.errors : test.warnings).push(event);
+}
+
+/**
+ * Describe an event with its location ("Expected 90 [D:/Game/SpawnTest.cpp(42)]")
+ */
+function describeEvent(event) {
+    return event.path ? `${event.message} [${event.path}${event.lineNumber ? `(${event.lineNumber})` : ''}]` : event.message;
+}
+
+/**
+ * Fill in the fields shared with other test result formats once a test's events are known:
+ * the message (its errors), the source file and line of the first error
+ */
+function completeTest(test) {
+    test.message = test.errors.map(describeEvent).join('\n') || test.message;
+    const located = test.errors.find(e => e.path) || test.warnings.find(e => e.path);
+    test.path = located ? located.path : null;
+    test.lineNumber = located ? located.lineNumber : null;
+    return test;
+}
+
+/**
+ * Command that reruns the given tests
+ * @param {string[]} paths - Full test paths
+ * @returns {string|null} "Automation RunTests A+B", or null without tests
+ */
+function rerunCommand(paths) {
+    return paths.length > 0 ? `Automation RunTests ${paths.join('+')}` : null;
+}
+
+/**
+ * Render the rerun section: the RunTests command as an -ExecCmds argument
+ * @param {string|null} command - From rerunCommand()
+ * @param {object} [options]
+ * @param {string} [options.format='full'] - 'full' (markdown) or 'minimal'
+ * @returns {string[]} Output lines
+ */
+function renderRerun(command, options = {}) {
+    if (!command) {
+        return [];
+    }
+    const argument = `-ExecCmds="${command}; Quit"`;
+    if (options.format === 'minimal') {
+        return ['\n=== RERUN FAILED TESTS ===\n', argument];
+    }
+    return ['## RERUN FAILED TESTS', '', '```', argument, '```', ''];
+}
+
+/**
+ * Create a tracker that collects automation results from UE log lines
+ * @returns {object} Tracker: line(parsed) for every parsed log line
+ *   (see lib/ue-log.js parseUeLogLine()); finish() returns the results, or
+ *   null when no test completed
+ */
+function createAutomationTracker() {
+    const counts = { total: 0, passed: 0, skipped: 0 };
+    const failed = new Map();  // Test path -> failed test
+    let running = null;        // Test between "Test Started" and "Test Completed"
+    let events = null;         // Failed test whose BeginEvents block is being read
+
+    return {
+        line(parsed) {
+            const { category, verbosity, text } = parsed;
+            if (category === 'LogAutomationController') {
+                const started = text.match(testStartedPattern);
+                if (started) {
+                    running = automationTest(started[1], started[2] || started[1]);
+                    return;
+                }
+                const completed = text.match(testCompletedPattern);
+                if (completed) {
+                    const path = completed[3] || completed[2];
+                    const outcome = outcomeOf(completed[1]);
+                    counts.total++;
+                    if (outcome === 'failed') {
+                        const test = running && running.fullname === path ? running : automationTest(completed[2], path);
+                        failed.set(path, test);
+                    } else {
+                        counts[outcome]++;
+                    }
+                    running = null;
+                    return;
+                }
+                const begin = text.match(beginEventsPattern);
+                if (begin) {
+                    const test = failed.get(begin[1].trim());
+                    if (test) {
+                        // The block lists every event of the test: it replaces those seen while it ran
+                        test.errors = [];
+                        test.warnings = [];
+                    }
+                    events = test || null;
+                    return;
+                }
+                if (endEventsPattern.test(text)) {
+                    events = null;
+                    return;
+                }
+            }
+            const target = events ? events : running && AUTOMATION_CATEGORIES.includes(category) ? running : null;
+            if (target && (verbosity === 'Error' || verbosity === 'Fatal')) {
+                addEvent(target, 'error', text);
+            } else if (target && verbosity === 'Warning') {
+                addEvent(target, 'warning', text);
+            }
+        },
+
+        finish() {
+            if (counts.total === 0) {
+                return null;
+            }
+            const tests = Array.from(failed.values()).map(completeTest);
+            return {
+                total: counts.total,
+                passed: counts.passed,
+                failed: tests.length,
+                skipped: counts.skipped,
+                tests,
+                rerunCommand: rerunCommand(tests.map(t => t.fullname))
+            };
+        }
+    };
+}
+
+/**
+ * Render the automation results of a UE log
+ * @param {object} automation - Results from createAutomationTracker().finish()
+ * @param {object} [options]
+ * @param {string} [options.format='full'] - 'full' (markdown) or 'minimal'
+ * @returns {string[]} Output lines
+ */
+function renderAutomation(automation, options = {}) {
+    const counts = `Total: ${automation.total} | Passed: ${automation.passed} | Failed: ${automation.failed} | Skipped: ${automation.skipped}`;
+    const testLines = (test) => [test.fullname]
+        .concat(test.errors.map(e => `  error: ${describeEvent(e)}`))
+        .concat(test.warnings.map(w => `  warning: ${describeEvent(w)}`));
+
+    if (options.format === 'minimal') {
+        const output = ['\n=== AUTOMATION TESTS ===\n', counts];
+        automation.tests.forEach(test => testLines(test).forEach(l => output.push(l)));
+        return output.concat(renderRerun(automation.rerunCommand, options));
+    }
+    const output = ['## AUTOMATION TESTS', '', counts, ''];
+    automation.tests.forEach(test => {
+        output.push(`### ${test.name}`);
+        output.push(`**Path:** \`${test.fullname}\``);
+        output.push('');
+        testLines(test).slice(1).forEach(l => output.push(l.trim()));
+        output.push('');
+    });
+    return output.concat(renderRerun(automation.rerunCommand, options));
+}
+
+/**
+ * Read the failed tests of an automation report
+ */
+function readReport(report) {
+    const counts = { total: 0, passed: 0, skipped: 0 };
+    const tests = [];
+    (report.tests || []).forEach(entry => {
+        counts.total++;
+        const outcome = outcomeOf(entry.state);
+        if (outcome !== 'failed') {
+            counts[outcome]++;
+            return;
+        }
+        const test = automationTest(entry.testDisplayName, entry.fullTestPath);
+        const artifacts = new Map((entry.artifacts || []).map(a => [a.id, a]));
+        (entry.entries || []).forEach(({ event = {}, filename, lineNumber }) => {
+            const type = String(event.type || '').toLowerCase();
+            if (type === 'error' || type === 'warning') {
+                addEvent(test, type, event.message || '', filename || null, lineNumber);
+            }
+        });
+        test.artifacts = Array.from(artifacts.values()).map(a => ({ name: a.name, type: a.type, files: a.files || {} }));
+        if (test.errors.length === 0 && String(entry.state).toLowerCase() === 'inprocess') {
+            test.message = 'Test did not complete';
+        }
+        tests.push(completeTest(test));
+    });
+    return { counts, tests };
+}
+
+/**
+ * Filter an automation report (index.json)
+ * @param {string} content - Report JSON
+ * @param {object} options - Filter options (as for filterUnityTestResults)
+ * @param {string} [options.format='full'] - 'full' (markdown) or 'minimal' (plain rerun section)
+ * @param {number} [options.maxErrors=9999] - Maximum number of failed tests to include
+ * @returns {object} Filtered result, as from filterUnityTestResults(), with each failed
+ *   test's `errors`, `warnings` and `artifacts` and the `rerunCommand` for all failing tests
+ */
+function filterUeAutomationReport(content, options = {}) {
+    const { maxErrors = 9999 } = options;
+    let report;
+    try {
+        report = JSON.parse(content.replace(/^\uFEFF/, ''));
+    } catch (error) {
+        throw new Error(`Invalid automation report: ${error.message}`);
+    }
+
+    const { counts, tests } = readReport(report);
+    const failedTests = tests.slice(0, maxErrors);
+    // Every failed test counts and is rerun, also those past maxErrors
+    counts.failed = tests.length;
+    const command = rerunCommand(tests.map(t => t.fullname));
+    const output = renderTestReport('UE Automation Test Results', counts, failedTests, options)
+        .concat(renderRerun(command, options));
+    const files = new Set();
+    failedTests.forEach(test => test.errors.concat(test.warnings)
+        .filter(e => e.path)
+        .forEach(e => files.add(e.path.split(/[\\/]/).pop())));
+
+    return {
+        summary: {
+            totalTests: counts.total,
+            passed: counts.passed,
+            failed: counts.failed,
+            skipped: counts.skipped,
+            testFormat: 'ue-automation',
+            filteredLines: output.length
+        },
+        errors: failedTests,
+        rerunCommand: command,
+        filteredContent: output.join('\n'),
+        files: Array.from(files).sort()
+    };
+}
+
+module.exports = {
+    isUeAutomationReport,
+    filterUeAutomationReport,
+    createAutomationTracker,
+    renderAutomation
+};
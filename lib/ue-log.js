@@ -0,0 +1,368 @@
+/**
+ * Unreal Engine runtime log filtering (Saved/Logs/*.log)
+ *
+ * Editor and game logs are made of
+ * "[2026.01.21-20.00.00:123][  0]LogCategory: Verbosity: message" lines
+ * (the prefix is missing before the engine clock starts, and "Log" lines
+ * have no verbosity). Lines are kept by category and minimum verbosity;
+ * lines without a prefix continue the message above them. A crash (the
+ * critical error block and its callstack) is reported in its own section,
+ * as are the results of an automation run (see lib/ue-automation.js).
+ */
+
+const { forEachLine } = require('./build-log');
+const { createCrashScanner, renderCrash, crashSummary } = require('./crash');
+const { createAutomationTracker, renderAutomation } = require('./ue-automation');
+
+// Verbosity levels, most severe first
+const VERBOSITIES = ['Fatal', 'Error', 'Warning', 'Display', 'Log', 'Verbose', 'VeryVerbose'];
+
+// "[2026.01.21-20.00.00:123][  0]LogNet: Warning: message" (any category name)
+const timestampedPattern = /^\[(\d{4}\.\d{2}\.\d{2}-\d{2}\.\d{2}\.\d{2}:\d{3})\]\[\s*(\d+)\](\w+):\s*(?:(Fatal|Error|Warning|Display|Log|Verbose|VeryVerbose):\s*)?(.*)$/;
+
+// "LogInit: Display: message" before the engine clock starts (Log* categories only)
+const barePattern = /^()()(Log\w*):\s*(?:(Fatal|Error|Warning|Display|Log|Verbose|VeryVerbose):\s*)?(.*)$/;
+
+// Lines inspected, and timestamped lines needed, to detect a runtime log
+const DETECT_LINES = 200;
+const DETECT_MIN_MATCHES = 3;
+
+// Continuation lines kept per reported message (callstacks, multi-line dumps)
+const MAX_DETAIL_LINES = 20;
+
+/**
+ * Check if content is an Unreal Engine runtime log
+ * @param {string} content - Raw content (or its first part)
+ * @returns {boolean}
+ */
+function isUeRuntimeLog(content) {
+    let matches = 0;
+    let start = 0;
+    for (let i = 0; i < DETECT_LINES && start < content.length; i++) {
+        let end = content.indexOf('\n', start);
+        if (end === -1) {
+            end = content.length;
+        }
+        if (timestampedPattern.test(content.slice(start, end))) {
+            matches++;
+            if (matches >= DETECT_MIN_MATCHES) {
+                return true;
+            }
+        }
+        start = end + 1;
+    }
+    return false;
+}
+
+/**
+ * Parse a runtime log line
+ * @param {string} line - Raw log line
+ * @returns {{ timestamp: string|null, frame: number|null, category: string, verbosity: string, text: string }|null}
+ */
+function parseUeLogLine(line) {
+    const trimmed = line.trimEnd();
+    const match = trimmed.match(timestampedPattern) || trimmed.match(barePattern);
+    if (!match) {
+        return null;
+    }
+    return {
+        timestamp: match[1] || null,
+        frame: match[2] ? parseInt(match[2]) : null,
+        category: match[3],
+        verbosity: match[4] || 'Log',
+        text: match[5]
+    };
+}
+
+/**
+ * Resolve a verbosity name case-insensitively ("warning" -> "Warning")
+ * @returns {string|null}
+ */
+function verbosityName(value) {
+    if (!value) {
+        return null;
+    }
+    return VERBOSITIES.find(v => v.toLowerCase() === String(value).toLowerCase()) || null;
+}
+
+/**
+ * Create a line-by-line runtime log scanner
+ * @param {object} options - Filter options
+ * @param {string} [options.format='full'] - Output format: 'full' (markdown) or 'minimal' (plain text)
+ * @param {boolean} [options.showWarnings=true] - Include warnings (false raises minVerbosity to Error)
+ * @param {string} [options.minVerbosity='Warning'] - Least severe verbosity kept (Fatal ... VeryVerbose)
+ * @param {string[]} [options.categories] - Only keep these categories (empty = all)
+ * @param {string[]} [options.excludeCategories] - Drop these categories
+ * @param {number} [options.maxErrors=9999] - Maximum number of errors to include
+ * @param {number} [options.maxWarnings=9999] - Maximum number of warnings to include
+ * @param {number} [options.maxMessages=1000] - Maximum number of less severe messages to include (minVerbosity Display and below)
+ * @param {number} [options.callstackDepth=10] - Crash callstack frames always shown (see lib/crash.js)
+ * @returns {{ push: function(string): void, finish: function(): object }}
+ */
+function createUeLogScanner(options = {}) {
+    const {
+        showWarnings = true,
+        categories = [],
+        excludeCategories = [],
+        maxErrors = 9999,
+        maxWarnings = 9999,
+        maxMessages = 1000
+    } = options;
+    if (options.minVerbosity && !verbosityName(options.minVerbosity)) {
+        throw new Error(`Unknown verbosity "${options.minVerbosity}" (expected one of ${VERBOSITIES.join(', ')})`);
+    }
+    let minVerbosity = verbosityName(options.minVerbosity) || 'Warning';
+    if (!showWarnings && VERBOSITIES.indexOf(minVerbosity) > VERBOSITIES.indexOf('Error')) {
+        minVerbosity = 'Error';
+    }
+
+    const include = new Set(categories.map(c => c.toLowerCase()));
+    const exclude = new Set(excludeCategories.map(c => c.toLowerCase()));
+    const threshold = VERBOSITIES.indexOf(minVerbosity);
+
+    const results = {
+        summary: {
+            totalLines: 0,
+            errorCount: 0,
+            warningCount: 0,
+            messageCount: 0,
+            omittedMessages: 0,
+            filteredLines: 0,
+            minVerbosity
+        },
+        errors: [],
+        warnings: [],
+        messages: [],
+        categories: [],
+        filteredContent: '',
+        files: []
+    };
+
+    const counts = new Map();   // Category -> { category, errors, warnings, total }
+    const crash = createCrashScanner();
+    const automation = createAutomationTracker();
+    let lastEntry = null;
+    let lineNumber = 0;
+
+    /**
+     * Scan the next log line
+     */
+    function push(line) {
+        lineNumber++;
+        // Crash lines are reported together in the CRASH section
+        if (crash.push(line)) {
+            lastEntry = null;
+            return;
+        }
+        const parsed = parseUeLogLine(line);
+        if (!parsed) {
+            if (lastEntry && line.trim() && (lastEntry.details || []).length < MAX_DETAIL_LINES) {
+                lastEntry.details = lastEntry.details || [];
+                lastEntry.details.push(line.trim());
+            }
+            return;
+        }
+        lastEntry = null;
+        automation.line(parsed);
+
+        const level = VERBOSITIES.indexOf(parsed.verbosity);
+        const severity = level <= 1 ? 'error' : level === 2 ? 'warning' : 'info';
+
+        if (!counts.has(parsed.category)) {
+            counts.set(parsed.category, { category: parsed.category, errors: 0, warnings: 0, total: 0 });
+        }
+        const count = counts.get(parsed.category);
+        count.total++;
+        if (severity === 'error') count.errors++;
+        if (severity === 'warning') count.warnings++;
+
+        const key = parsed.category.toLowerCase();
+        if (level > threshold || exclude.has(key) || (include.size > 0 && !include.has(key))) {
+            return;
+        }
+
+        const entry = {
+            line: lineNumber,
+            message: line.trim(),
+            severity,
+            ...parsed
+        };
+        if (severity === 'error' && results.errors.length < maxErrors) {
+            results.errors.push(entry);
+            lastEntry = entry;
+        } else if (severity === 'warning' && results.warnings.length < maxWarnings) {
+            results.warnings.push(entry);
+            lastEntry = entry;
+        } else if (severity === 'info' && results.messages.length < maxMessages) {
+            results.messages.push(entry);
+            lastEntry = entry;
+        } else if (severity === 'info') {
+            results.summary.omittedMessages++;
+        }
+    }
+
+    /**
+     * Finish the scan and render the output
+     */
+    function finish() {
+        results.summary.totalLines = lineNumber;
+        results.summary.errorCount = results.errors.length;
+        results.summary.warningCount = results.warnings.length;
+        results.summary.messageCount = results.messages.length;
+        results.categories = Array.from(counts.values())
+            .filter(c => c.errors > 0 || c.warnings > 0)
+            .sort((a, b) => b.errors - a.errors || b.warnings - a.warnings || a.category.localeCompare(b.category));
+        const found = crash.finish();
+        if (found) {
+            results.crash = found;
+            results.summary.crash = crashSummary(found, options);
+        }
+        const tests = automation.finish();
+        if (tests) {
+            results.automation = tests;
+            results.summary.automation = { total: tests.total, passed: tests.passed, failed: tests.failed, skipped: tests.skipped };
+        }
+
+        const output = options.format === 'minimal'
+            ? renderMinimal(results, options)
+            : renderFull(results, { categories, excludeCategories, minVerbosity }, options);
+        if (options.format === 'minimal') {
+            results.summary.format = 'minimal';
+        }
+        results.filteredContent = output.join('\n');
+        results.summary.filteredLines = results.filteredContent.split('\n').length;
+        return results;
+    }
+
+    return { push, finish };
+}
+
+/**
+ * Render an entry and its continuation lines
+ */
+function entryLines(entry) {
+    return [`[Line ${entry.line}] ${entry.message}`].concat((entry.details || []).map(l => `  ${l}`));
+}
+
+/**
+ * Render runtime log results as markdown (the "full" format)
+ */
+function renderFull(results, filters, options) {
+    const output = [];
+    output.push('# UE Runtime Log Filtered Output');
+    output.push(`# Original: ${results.summary.totalLines} lines`);
+    output.push(`# Found: ${results.summary.errorCount} errors, ${results.summary.warningCount} warnings`);
+    const described = [`min verbosity ${filters.minVerbosity}`];
+    if (filters.categories.length > 0) {
+        described.push(`categories ${filters.categories.join(', ')}`);
+    }
+    if (filters.excludeCategories.length > 0) {
+        described.push(`excluding ${filters.excludeCategories.join(', ')}`);
+    }
+    output.push(`# Filter: ${described.join('; ')}`);
+    output.push(`# Generated: ${new Date().toISOString()}`);
+    output.push('');
+
+    if (results.crash) {
+        renderCrash(results.crash, options).forEach(l => output.push(l));
+        output.push('');
+    }
+
+    if (results.automation) {
+        renderAutomation(results.automation, options).forEach(l => output.push(l));
+    }
+
+    if (results.categories.length > 0) {
+        output.push('## CATEGORIES');
+        output.push('');
+        output.push('| Category | Errors | Warnings |');
+        output.push('|----------|--------|----------|');
+        results.categories.forEach(c => output.push(`| ${c.category} | ${c.errors} | ${c.warnings} |`));
+        output.push('');
+    }
+
+    if (results.errors.length > 0) {
+        output.push(`## ERRORS (${results.errors.length})`);
+        output.push('');
+        results.errors.forEach(entry => entryLines(entry).forEach(l => output.push(l)));
+    } else {
+        output.push('## No errors found!');
+    }
+
+    if (results.warnings.length > 0) {
+        output.push('');
+        output.push(`## WARNINGS (${results.warnings.length})`);
+        output.push('');
+        results.warnings.forEach(entry => entryLines(entry).forEach(l => output.push(l)));
+    }
+
+    if (results.messages.length > 0) {
+        output.push('');
+        output.push(`## MESSAGES (${results.messages.length})`);
+        output.push('');
+        results.messages.forEach(entry => entryLines(entry).forEach(l => output.push(l)));
+        if (results.summary.omittedMessages > 0) {
+            output.push(`(${results.summary.omittedMessages} more messages not shown, see maxMessages)`);
+        }
+    }
+
+    return output;
+}
+
+/**
+ * Render runtime log results as plain text (the "minimal" format)
+ */
+function renderMinimal(results, options) {
+    const output = [];
+    if (results.crash) {
+        renderCrash(results.crash, { ...options, format: 'minimal' }).forEach(l => output.push(l));
+        output.push('');
+    }
+    if (results.automation) {
+        renderAutomation(results.automation, { ...options, format: 'minimal' }).forEach(l => output.push(l));
+        output.push('');
+    }
+    output.push('=== ERRORS ===\n');
+    results.errors.forEach(e => output.push(`[Line ${e.line}] ${e.message}`));
+    if (results.errors.length === 0) output.push('(no errors found)');
+
+    if (results.warnings.length > 0) {
+        output.push('\n=== WARNINGS ===\n');
+        results.warnings.forEach(w => output.push(`[Line ${w.line}] ${w.message}`));
+    }
+
+    if (results.messages.length > 0) {
+        output.push('\n=== MESSAGES ===\n');
+        results.messages.forEach(m => output.push(`[Line ${m.line}] ${m.message}`));
+        if (results.summary.omittedMessages > 0) {
+            output.push(`(${results.summary.omittedMessages} more messages not shown)`);
+        }
+    }
+
+    if (results.categories.length > 0) {
+        output.push('\n=== CATEGORIES ===\n');
+        results.categories.forEach(c => output.push(`${c.category}: ${c.errors} errors, ${c.warnings} warnings`));
+    }
+
+    return output;
+}
+
+/**
+ * Filter an Unreal Engine runtime log
+ * @param {string} content - Raw log content
+ * @param {object} options - Filter options (see createUeLogScanner)
+ * @returns {object} Filtered result with stats, per-category counts and content
+ */
+function filterUeLog(content, options = {}) {
+    const scanner = createUeLogScanner(options);
+    forEachLine(content, scanner.push);
+    return scanner.finish();
+}
+
+module.exports = {
+    VERBOSITIES,
+    isUeRuntimeLog,
+    parseUeLogLine,
+    createUeLogScanner,
+    filterUeLog
+};
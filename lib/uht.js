@@ -0,0 +1,145 @@
+/**
+ * UnrealHeaderTool and generated reflection code
+ *
+ * UHT runs before compilation and writes the reflection code of every
+ * UCLASS/USTRUCT/UENUM header: Foo.h becomes Foo.generated.h and
+ * Foo.gen.cpp under Intermediate/.../Inc/<Module>/ (in a UHT/ subfolder
+ * since UE5). A compile error in that code is almost always caused by the
+ * header, so such diagnostics are mapped back to it and labeled, like the
+ * errors UHT itself reports while parsing headers.
+ */
+
+const { baseName } = require('./diagnostics');
+
+// UHT phase start: "Parsing headers for LastCourierEditor", "Running Internal UnrealHeaderTool ..."
+const phaseStartPattern = /^\s*(?:\d+>)?\s*(?:Parsing headers for \w+|Running (?:Internal )?UnrealHeaderTool\b)/;
+
+// UHT phase end: "Reflection code generated for LastCourierEditor in 1.8 seconds",
+// "Total of 12 written", or the first compile action ("[1/9] ...")
+const phaseEndPattern = /^\s*(?:\d+>)?\s*(?:Reflection code generated for \w+|Total of \d+ written|\[\d+\/\d+\])/;
+
+// Generated files: "LCItem.gen.cpp", "LCItem.generated.h", "LastCourier.init.gen.cpp"
+const generatedFilePattern = /^(\w+?)(\.init)?\.(?:gen\.cpp|generated\.h)$/i;
+
+// Module of a generated file: ".../Inc/<Module>/[UHT/]LCItem.gen.cpp"
+const generatedModulePattern = /[\\/]Inc[\\/](\w+)[\\/](?:UHT[\\/])?[^\\/]+$/i;
+
+/**
+ * Describe a generated reflection file
+ * @param {string} filePath - File name or path of a diagnostic
+ * @returns {{ file: string, header: string|null, module: string|null }|null}
+ *   `header` is the originating header's file name (null for module init code)
+ */
+function parseGeneratedFile(filePath) {
+    if (!filePath) {
+        return null;
+    }
+    const file = baseName(filePath);
+    const match = file.match(generatedFilePattern);
+    if (!match) {
+        return null;
+    }
+    const moduleMatch = filePath.match(generatedModulePattern);
+    return {
+        file,
+        header: match[2] ? null : `${match[1]}.h`,
+        module: moduleMatch ? moduleMatch[1] : null
+    };
+}
+
+/**
+ * Whether a path names a hand-written header
+ */
+function isSourceHeader(filePath) {
+    return /\.(?:h|hpp)$/i.test(filePath) && !parseGeneratedFile(filePath);
+}
+
+/**
+ * Create a tracker that labels reflection diagnostics: those reported
+ * while UHT runs and those in generated files
+ * @returns {object} Tracker: line(), label(), note(), finish(entries)
+ */
+function createReflectionTracker() {
+    const headers = new Map();  // Header file name (lower case) -> path seen in the log
+    let inPhase = false;
+
+    const rememberHeader = (filePath) => {
+        if (filePath && isSourceHeader(filePath)) {
+            headers.set(baseName(filePath).toLowerCase(), filePath);
+        }
+    };
+
+    return {
+        /**
+         * Update the UHT phase from a line that is not a diagnostic
+         */
+        line(text) {
+            if (phaseStartPattern.test(text)) {
+                inPhase = true;
+            } else if (phaseEndPattern.test(text)) {
+                inPhase = false;
+            }
+        },
+
+        /**
+         * Label a reported diagnostic (sets `reflection`, and `module` for generated files)
+         */
+        label(entry) {
+            rememberHeader(entry.path);
+            const source = parseGeneratedFile(entry.path || entry.file);
+            if (source) {
+                entry.reflection = { source: 'generated', generatedFile: source.file, header: source.header, headerPath: null };
+                entry.module = entry.module || source.module;
+            } else if (entry.tool === 'UHT' || inPhase) {
+                const inHeader = isSourceHeader(entry.path || '');
+                entry.reflection = { source: 'uht', header: inHeader ? entry.file : null, headerPath: inHeader ? entry.path : null };
+            }
+        },
+
+        /**
+         * Record the header path named by a note or include chain line
+         */
+        note(note) {
+            rememberHeader(note.path);
+        },
+
+        /**
+         * Map generated-file diagnostics to the header paths seen in the log
+         * (their own notes first, then any other diagnostic)
+         * @param {object[]} entries - Reported diagnostics
+         */
+        finish(entries) {
+            entries.forEach(entry => {
+                const header = entry.reflection && entry.reflection.source === 'generated' ? entry.reflection.header : null;
+                if (!header) {
+                    return;
+                }
+                const related = (entry.includedFrom || []).concat(entry.notes || [])
+                    .find(note => note.path && baseName(note.path).toLowerCase() === header.toLowerCase());
+                entry.reflection.headerPath = related ? related.path : headers.get(header.toLowerCase()) || null;
+            });
+        }
+    };
+}
+
+/**
+ * Describe why a diagnostic is a reflection error
+ * @param {object} entry - Diagnostic with `reflection`
+ * @returns {string} e.g. "reflection: LCItem.gen.cpp is generated from LCItem.h"
+ */
+function describeReflection(entry) {
+    const { source, generatedFile, header, headerPath } = entry.reflection;
+    if (source === 'uht') {
+        return 'reflection: reported by UnrealHeaderTool';
+    }
+    if (!header) {
+        return `reflection: ${generatedFile} is generated module code`;
+    }
+    return `reflection: ${generatedFile} is generated from ${headerPath || header}`;
+}
+
+module.exports = {
+    parseGeneratedFile,
+    createReflectionTracker,
+    describeReflection
+};
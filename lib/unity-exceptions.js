@@ -0,0 +1,202 @@
+/**
+ * Unity managed exceptions
+ *
+ * Editor and player logs print an exception as its headline
+ * ("NullReferenceException: Object reference not set ...") followed by the
+ * managed stack trace, either in the console form
+ * ("Player.Update () (at Assets/Scripts/Player.cs:42)") or in the Mono/IL2CPP
+ * form ("  at Player.Update () [0x00012] in <hash>:0"), and usually a
+ * "(Filename: ... Line: 42)" trailer. An exception thrown every frame is
+ * printed thousands of times, so identical blocks are collapsed and each is
+ * attributed to its first project frame.
+ */
+
+// "NullReferenceException: Object reference not set to an instance of an object",
+// "UnityEngine.MissingReferenceException: The object of type 'GameObject' has been destroyed"
+const exceptionPattern = /^((?:[A-Za-z_]\w*\.)*\w*Exception)(?::\s*(.*))?$/;
+
+// Console frame: "Player.Update () (at Assets/Scripts/Player.cs:42)", "UnityEngine.Debug:LogError (object)"
+const consoleFramePattern = /^([\w.<>`,[\]+/|]+[:.][\w.<>`,[\]+/|]+) ?\(([^)]*)\)(?: ?\(at (.+):(\d+)\))?$/;
+
+// Mono/IL2CPP frame: "at Player.Update () [0x00012] in <9d1a4e0c...>:0", "at Player.Update () [0x0] in /src/Player.cs:42",
+// "at (wrapper managed-to-native) UnityEngine.Component.get_transform(UnityEngine.Component)", and .NET's "at Foo.Bar() in /src/Foo.cs:line 27"
+const monoFramePattern = /^at (?:\(wrapper [^)]*\) )?([^(]+?) ?\(([^)]*)\)(?: \[0x[0-9a-fA-F]+\])?(?: in (.+?):(?:line )?(\d+))?$/;
+
+// Trace lines that are not frames: "Rethrow as InvalidOperationException: ...", "--- End of stack trace ... ---"
+const traceNotePattern = /^(?:Rethrow as \w|--- End of (?:inner exception )?stack trace)/;
+
+// "(Filename: Assets/Scripts/Player.cs Line: 42)", closing a console block
+const filenamePattern = /^\(Filename: .* Line: -?\d+\)$/;
+
+// Engine and framework code: anything else is project code
+const engineFramePattern = /^(?:UnityEngine|UnityEditor|Unity|System|Mono|Microsoft|TMPro)\b[.:]/;
+
+/**
+ * Parse a managed stack frame
+ * @param {string} text - Trimmed trace line
+ * @returns {{ function: string, path: string|null, line: number|null, kind: 'project'|'engine' }|null}
+ */
+function parseManagedFrame(text) {
+    const match = text.match(consoleFramePattern) || text.match(monoFramePattern);
+    if (!match) {
+        return null;
+    }
+    // IL2CPP and release Mono builds print "<hash>" instead of the file
+    const path = match[3] && !match[3].startsWith('<') ? match[3] : null;
+    return {
+        function: match[1].trim(),
+        path,
+        line: path && match[4] ? parseInt(match[4]) : null,
+        kind: engineFramePattern.test(match[1]) ? 'engine' : 'project'
+    };
+}
+
+/**
+ * Create a tracker that extracts exception blocks from a Unity log
+ * @param {object} [options]
+ * @param {number} [options.maxExceptions=9999] - Maximum number of distinct exceptions kept
+ * @returns {object} Tracker: push(line, lineNumber) returns true for lines of an exception
+ *   block; finish() returns the distinct exceptions, first occurrence first
+ */
+function createExceptionTracker(options = {}) {
+    const { maxExceptions = 9999 } = options;
+    const exceptions = [];
+    const seen = new Map();     // Type, message and frames -> reported exception
+    let block = null;
+
+    const close = () => {
+        if (!block) {
+            return;
+        }
+        const current = block;
+        block = null;
+        const key = [current.exceptionType, current.text].concat(current.frames.map(f => f.function)).join('|');
+        if (seen.has(key)) {
+            seen.get(key).occurrences++;
+            return;
+        }
+        if (exceptions.length >= maxExceptions) {
+            return;
+        }
+        const frame = current.frames.find(f => f.kind === 'project') || null;
+        const entry = {
+            line: current.line,
+            message: current.message,
+            severity: 'error',
+            tool: 'unity',
+            exceptionType: current.exceptionType,
+            text: current.text,
+            function: frame ? frame.function : null,
+            file: frame && frame.path ? frame.path.split(/[\\/]/).pop() : null,
+            path: frame ? frame.path : null,
+            lineNumber: frame ? frame.line : null,
+            frames: current.frames,
+            trace: current.trace,
+            occurrences: 1
+        };
+        exceptions.push(entry);
+        seen.set(key, entry);
+    };
+
+    return {
+        /**
+         * Scan the next log line
+         */
+        push(line, lineNumber) {
+            const text = line.trim();
+            if (block) {
+                if (!block.ended) {
+                    const frame = parseManagedFrame(text);
+                    if (frame) {
+                        block.frames.push(frame);
+                        block.trace.push(text);
+                        return true;
+                    }
+                    if (traceNotePattern.test(text)) {
+                        block.trace.push(text);
+                        return true;
+                    }
+                }
+                if (!text) {
+                    block.ended = true;
+                    return true;
+                }
+                const trailer = filenamePattern.test(text);
+                close();
+                if (trailer) {
+                    return true;
+                }
+            }
+
+            const match = text.match(exceptionPattern);
+            if (!match) {
+                return false;
+            }
+            block = {
+                line: lineNumber,
+                message: text,
+                exceptionType: match[1],
+                text: match[2] || '',
+                frames: [],
+                trace: [],
+                ended: false
+            };
+            return true;
+        },
+
+        /**
+         * Close the last block
+         * @returns {object[]} Distinct exceptions
+         */
+        finish() {
+            close();
+            return exceptions;
+        }
+    };
+}
+
+/**
+ * Describe where an exception is attributed ("Player.Update in Assets/Scripts/Player.cs:42")
+ */
+function describeAttribution(entry) {
+    if (!entry.function) {
+        return 'no project frame';
+    }
+    return entry.path ? `${entry.function} in ${entry.path}:${entry.lineNumber}` : entry.function;
+}
+
+/**
+ * Render exception blocks
+ * @param {object[]} exceptions - Exceptions from createExceptionTracker()
+ * @param {object} [options]
+ * @param {string} [options.format='full'] - 'full' adds the stack traces, 'minimal' only the headlines
+ * @param {boolean} [options.showStackTraces=true] - Include stack traces in the full format
+ * @returns {string[]} Output lines
+ */
+function renderExceptions(exceptions, options = {}) {
+    const output = [];
+    exceptions.forEach(entry => {
+        const repeats = entry.occurrences > 1 ? `, thrown ${entry.occurrences} times` : '';
+        output.push(`[Line ${entry.line}] ${entry.message} (${describeAttribution(entry)}${repeats})`);
+        if (options.format === 'minimal' || options.showStackTraces === false) {
+            return;
+        }
+        const attributed = entry.frames.find(f => f.kind === 'project');
+        let frameIndex = 0;
+        entry.trace.forEach(text => {
+            const isFrame = parseManagedFrame(text) !== null;
+            const marker = isFrame && entry.frames[frameIndex] === attributed ? '>' : ' ';
+            if (isFrame) {
+                frameIndex++;
+            }
+            output.push(`  ${marker} ${text}`);
+        });
+    });
+    return output;
+}
+
+module.exports = {
+    parseManagedFrame,
+    createExceptionTracker,
+    renderExceptions
+};
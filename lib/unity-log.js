@@ -0,0 +1,388 @@
+/**
+ * Unity Editor.log and Player.log filtering
+ *
+ * Extracts the C# compiler diagnostics of an Editor.log (attributed to the
+ * assembly being compiled), plus the failures that explain why the editor
+ * stopped: script compilation, domain reload, assembly loading and asset
+ * import. Unity prints each compiler message more than once (in the
+ * compiler output and again as a console entry), so repeats are collapsed.
+ * Managed exceptions are kept with their stack traces (see
+ * lib/unity-exceptions.js); in a player log they are all there is to report.
+ */
+
+const { DEFAULT_RULES } = require('./rules');
+const { classifyLine, forEachLine } = require('./build-log');
+const { createExceptionTracker, renderExceptions } = require('./unity-exceptions');
+
+// Editor.log markers; two of them identify the log
+const editorLogMarkers = [
+    /^Unity Editor version:/m,
+    /^Initialize engine version:/m,
+    /^Built from '[^']+' branch; Version is/m,
+    /^\[Licensing::\w+\]/m,
+    /^Loading GUID <-> Path mappings/m,
+    /^Refreshing native plugins compatible for Editor/m,
+    /^COMMAND LINE ARGUMENTS:/m,
+    /^\[ScriptCompilation\]/m,
+    /^\[Package Manager\]/m
+];
+
+// Player.log markers; two of them identify the log (unless it is an Editor.log)
+const playerLogMarkers = [
+    /^Mono path\[0\] = /m,
+    /^Initialize engine version:/m,
+    /^GfxDevice: creating device client/m,
+    /^Input initialized\./m,
+    /^UnloadTime: /m,
+    /^\[Physics::Module\]/m
+];
+
+// "Unity Editor version:    2022.3.10f1 (ff3792e53c62)", "Initialize engine version: 2022.3.10f1 (ff3792e53c62)"
+const versionPattern = /^(?:Unity Editor version|Initialize engine version):\s*(\S+)/;
+
+// Assembly being compiled:
+// Bee (2021+): "[ 43/ 48  0s] Csc Library/Bee/artifacts/1900b0aE.dag/Assembly-CSharp.dll (+2 others)"
+// Older:       "-----CompilerOutput:-stdout--exitcode: 1--compilationhadfailure: True--outfile: Temp/Assembly-CSharp.dll"
+const assemblyPatterns = [
+    /^\[\s*\d+\/\s*\d+[^\]]*\]\s+Csc\s+\S*?([^\\/\s]+)\.dll\b/,
+    /^-----CompilerOutput:.*--outfile:\s*\S*?([^\\/\s]+)\.dll/
+];
+
+// Failures, in the order they are checked; the first group (if any) names the assembly
+const FAILURES = [
+    { kind: 'compilation', pattern: /^(?:Scripts have compiler errors|Compilation failed: \d+ errors?|## Script Compilation Error for:)/ },
+    { kind: 'compilation', pattern: /^-----CompilerOutput:.*--compilationhadfailure: True--outfile:\s*(\S+)/ },
+    { kind: 'batchmode', pattern: /^Aborting batchmode due to (?:failure|fatal error)/ },
+    { kind: 'domain-reload', pattern: /^(?:Mono: )?(?:ReloadAssembly failed|Failed to reload assemblies|Domain Reload failed|Domain backup failed)/i },
+    { kind: 'assembly-load', pattern: /^Unloading broken assembly (\S+?),/ },
+    { kind: 'assembly-load', pattern: /^Assembly '([^']+)' will not be loaded due to errors/ },
+    { kind: 'import', pattern: /^(?:Could not create asset from |Asset import failed|Failed to import package|Importer\(\w+\) generated inconsistent result for asset)/ }
+];
+
+/**
+ * Check if content is a Unity Editor.log
+ * @param {string} content - Raw content (or its first part)
+ * @returns {boolean}
+ */
+function isUnityEditorLog(content) {
+    return editorLogMarkers.filter(marker => marker.test(content)).length >= 2;
+}
+
+/**
+ * Check if content is a Unity standalone player log (Player.log)
+ * @param {string} content - Raw content (or its first part)
+ * @returns {boolean}
+ */
+function isUnityPlayerLog(content) {
+    return !isUnityEditorLog(content) && playerLogMarkers.filter(marker => marker.test(content)).length >= 2;
+}
+
+/**
+ * Assembly name from a .dll path ("Library/ScriptAssemblies/Game.Editor.dll" -> "Game.Editor")
+ */
+function assemblyName(filePath) {
+    return filePath.split(/[\\/]/).pop().replace(/\.dll$/i, '');
+}
+
+/**
+ * Assembly name from an assembly compile line
+ */
+function matchAssembly(line) {
+    for (const pattern of assemblyPatterns) {
+        const match = line.match(pattern);
+        if (match) {
+            return match[1];
+        }
+    }
+    return null;
+}
+
+/**
+ * Create a line-by-line Editor.log / Player.log scanner
+ * @param {object} options - Filter options
+ * @param {string} [options.format='full'] - Output format: 'full' (markdown) or 'minimal' (plain text)
+ * @param {boolean} [options.showWarnings=true] - Include warnings
+ * @param {boolean} [options.showStackTraces=true] - Include exception stack traces
+ * @param {number} [options.maxErrors=9999] - Maximum number of errors (and of distinct exceptions) to include
+ * @param {number} [options.maxWarnings=9999] - Maximum number of warnings to include
+ * @param {object} [options.rules] - Compiled rule set (defaults to the built-in packs)
+ * @param {'editor'|'player'} [kind='editor'] - Kind of log, named in the output header
+ * @returns {{ push: function(string): void, finish: function(): object }}
+ */
+function createUnityLogScanner(options = {}, kind = 'editor') {
+    const {
+        showWarnings = true,
+        maxErrors = 9999,
+        maxWarnings = 9999,
+        rules = DEFAULT_RULES
+    } = options;
+
+    const results = {
+        summary: {
+            totalLines: 0,
+            errorCount: 0,
+            warningCount: 0,
+            exceptionCount: 0,
+            filteredLines: 0,
+            logKind: kind,
+            unityVersion: null,
+            compilationFailed: false,
+            domainReloadFailed: false
+        },
+        errors: [],
+        warnings: [],
+        exceptions: [],
+        failures: [],
+        assemblies: [],
+        filteredContent: '',
+        files: []
+    };
+
+    const seen = new Map();     // Diagnostic key -> reported entry
+    const filesSet = new Set();
+    const exceptions = createExceptionTracker({ maxExceptions: maxErrors });
+    let assembly = null;
+    let lineNumber = 0;
+
+    /**
+     * Scan the next log line
+     */
+    function push(line) {
+        lineNumber++;
+        const trimmed = line.trim();
+
+        // Exception headlines and their traces are reported in the EXCEPTIONS section
+        if (exceptions.push(line, lineNumber)) {
+            return;
+        }
+
+        const version = !results.summary.unityVersion && trimmed.match(versionPattern);
+        if (version) {
+            results.summary.unityVersion = version[1];
+        }
+        assembly = matchAssembly(trimmed) || assembly;
+
+        const failure = FAILURES.find(f => f.pattern.test(trimmed));
+        if (failure) {
+            const match = trimmed.match(failure.pattern);
+            results.failures.push({
+                line: lineNumber,
+                kind: failure.kind,
+                message: trimmed,
+                assembly: match[1] ? assemblyName(match[1]) : null
+            });
+            if (failure.kind === 'compilation') {
+                results.summary.compilationFailed = true;
+            }
+            if (failure.kind === 'domain-reload' || failure.kind === 'assembly-load') {
+                results.summary.domainReloadFailed = true;
+            }
+            return;
+        }
+
+        // Only C# compiler diagnostics: Debug.Log output mentioning "error" is not one
+        const match = classifyLine(line, rules);
+        if (!match || (match.severity !== 'error' && match.severity !== 'warning') || !/\.cs$/i.test(match.path || '')) {
+            return;
+        }
+
+        const key = [match.path, match.lineNumber, match.column, match.code, match.text].join('|');
+        if (seen.has(key)) {
+            const known = seen.get(key);
+            known.occurrences++;
+            known.assembly = known.assembly || assembly;
+            return;
+        }
+
+        const entry = {
+            line: lineNumber,
+            message: trimmed,
+            severity: match.severity,
+            tool: match.tool,
+            code: match.code,
+            file: match.file,
+            path: match.path,
+            lineNumber: match.lineNumber,
+            column: match.column,
+            assembly,
+            text: match.text,
+            rule: match.rule,
+            occurrences: 1
+        };
+        filesSet.add(match.file);
+        if (match.severity === 'error' && results.errors.length < maxErrors) {
+            results.errors.push(entry);
+            seen.set(key, entry);
+        } else if (match.severity === 'warning' && showWarnings && results.warnings.length < maxWarnings) {
+            results.warnings.push(entry);
+            seen.set(key, entry);
+        }
+    }
+
+    /**
+     * Finish the scan and render the output
+     */
+    function finish() {
+        results.summary.totalLines = lineNumber;
+        results.summary.errorCount = results.errors.length;
+        results.summary.warningCount = results.warnings.length;
+        results.exceptions = exceptions.finish();
+        results.summary.exceptionCount = results.exceptions.length;
+        results.exceptions.forEach(entry => entry.file && filesSet.add(entry.file));
+        results.files = Array.from(filesSet).sort();
+        results.assemblies = assemblyTable(results.errors, results.warnings);
+
+        const output = options.format === 'minimal' ? renderMinimal(results) : renderFull(results, options);
+        if (options.format === 'minimal') {
+            results.summary.format = 'minimal';
+        }
+        results.filteredContent = output.join('\n');
+        results.summary.filteredLines = results.filteredContent.split('\n').length;
+        return results;
+    }
+
+    return { push, finish };
+}
+
+/**
+ * Count reported diagnostics per assembly
+ * @returns {{ assembly: string, errors: number, warnings: number }[]} Most errors first
+ */
+function assemblyTable(errors, warnings) {
+    const assemblies = new Map();
+    const count = (entry, key) => {
+        const name = entry.assembly || '(unknown)';
+        if (!assemblies.has(name)) {
+            assemblies.set(name, { assembly: name, errors: 0, warnings: 0 });
+        }
+        assemblies.get(name)[key]++;
+    };
+    errors.forEach(entry => count(entry, 'errors'));
+    warnings.forEach(entry => count(entry, 'warnings'));
+    return Array.from(assemblies.values())
+        .sort((a, b) => b.errors - a.errors || b.warnings - a.warnings || a.assembly.localeCompare(b.assembly));
+}
+
+/**
+ * Render a diagnostic with its assembly and repeat count
+ */
+function diagnosticLine(entry) {
+    const repeats = entry.occurrences > 1 ? `, printed ${entry.occurrences} times` : '';
+    return `[Line ${entry.line}] ${entry.message} (${entry.assembly || 'unknown assembly'}${repeats})`;
+}
+
+/**
+ * Render Editor.log / Player.log results as markdown (the "full" format)
+ */
+function renderFull(results, options) {
+    const output = [];
+    output.push(`# Unity ${results.summary.logKind === 'player' ? 'Player' : 'Editor'} Log - Filtered Output`);
+    output.push(`# Original: ${results.summary.totalLines} lines`);
+    if (results.summary.unityVersion) {
+        output.push(`# Unity: ${results.summary.unityVersion}`);
+    }
+    output.push(`# Found: ${results.summary.errorCount} errors, ${results.summary.warningCount} warnings, ${results.summary.exceptionCount} exceptions`);
+    output.push(`# Generated: ${new Date().toISOString()}`);
+    output.push('');
+
+    if (results.failures.length > 0) {
+        output.push(`## FAILURES (${results.failures.length})`);
+        output.push('');
+        results.failures.forEach(f => output.push(`- [Line ${f.line}] ${f.kind}: ${f.message}`));
+        output.push('');
+    }
+
+    if (results.assemblies.length > 0) {
+        output.push('## ASSEMBLIES');
+        output.push('');
+        output.push('| Assembly | Errors | Warnings |');
+        output.push('|----------|--------|----------|');
+        results.assemblies.forEach(a => output.push(`| ${a.assembly} | ${a.errors} | ${a.warnings} |`));
+        output.push('');
+    }
+
+    if (results.exceptions.length > 0) {
+        output.push(`## EXCEPTIONS (${results.exceptions.length})`);
+        output.push('');
+        renderExceptions(results.exceptions, options).forEach(l => output.push(l));
+        output.push('');
+    }
+
+    if (results.errors.length > 0) {
+        output.push(`## ERRORS (${results.errors.length})`);
+        output.push('');
+        results.errors.forEach(entry => output.push(diagnosticLine(entry)));
+    } else if (results.exceptions.length === 0) {
+        output.push('## No compiler errors or exceptions found!');
+    }
+
+    if (results.warnings.length > 0) {
+        output.push('');
+        output.push(`## WARNINGS (${results.warnings.length})`);
+        output.push('');
+        results.warnings.forEach(entry => output.push(diagnosticLine(entry)));
+    }
+
+    return output;
+}
+
+/**
+ * Render Editor.log / Player.log results as plain text (the "minimal" format)
+ */
+function renderMinimal(results) {
+    const output = [];
+    if (results.failures.length > 0) {
+        output.push('=== FAILURES ===\n');
+        results.failures.forEach(f => output.push(`[Line ${f.line}] ${f.kind}: ${f.message}`));
+        output.push('');
+    }
+
+    if (results.exceptions.length > 0) {
+        output.push('=== EXCEPTIONS ===\n');
+        renderExceptions(results.exceptions, { format: 'minimal' }).forEach(l => output.push(l));
+        output.push('');
+    }
+
+    output.push('=== ERRORS ===\n');
+    results.errors.forEach(e => output.push(diagnosticLine(e)));
+    if (results.errors.length === 0) output.push('(no errors found)');
+
+    if (results.warnings.length > 0) {
+        output.push('\n=== WARNINGS ===\n');
+        results.warnings.forEach(w => output.push(diagnosticLine(w)));
+    }
+
+    return output;
+}
+
+/**
+ * Filter a Unity Editor.log
+ * @param {string} content - Raw log content
+ * @param {object} options - Filter options (see createUnityLogScanner)
+ * @returns {object} Filtered result with compiler diagnostics, exceptions, failures and per-assembly counts
+ */
+function filterUnityEditorLog(content, options = {}) {
+    const scanner = createUnityLogScanner(options, 'editor');
+    forEachLine(content, scanner.push);
+    return scanner.finish();
+}
+
+/**
+ * Filter a Unity Player.log
+ * @param {string} content - Raw log content
+ * @param {object} options - Filter options (see createUnityLogScanner)
+ * @returns {object} Filtered result, as from filterUnityEditorLog()
+ */
+function filterUnityPlayerLog(content, options = {}) {
+    const scanner = createUnityLogScanner(options, 'player');
+    forEachLine(content, scanner.push);
+    return scanner.finish();
+}
+
+module.exports = {
+    isUnityEditorLog,
+    isUnityPlayerLog,
+    createUnityLogScanner,
+    filterUnityEditorLog,
+    filterUnityPlayerLog
+};
@@ -0,0 +1,308 @@
+/**
+ * Unity NUnit test result filtering
+ *
+ * Unity writes NUnit 3 XML (TestResults.xml): a <test-run> with the run
+ * counts, nested <test-suite> elements and a <test-case> per test, whose
+ * <failure> has the message and stack trace. A suite whose OneTimeSetUp or
+ * OneTimeTearDown failed carries the failure itself, and its tests fail with
+ * site="Parent"; it is reported once, with the number of tests it failed.
+ */
+
+const { forEachLine } = require('./build-log');
+const { createXmlParser } = require('./xml');
+
+/**
+ * Check if content is a Unity NUnit test result XML
+ * @param {string} content - Raw content
+ * @returns {boolean}
+ */
+function isUnityTestXml(content) {
+    const trimmed = content.trim();
+    return trimmed.startsWith('<?xml') &&
+        trimmed.includes('<test-run') &&
+        (trimmed.includes('testcasecount') || trimmed.includes('<test-case'));
+}
+
+/**
+ * Trim each line of a message, stack trace or output, and the blank lines around it
+ * (shared by all test result formats)
+ * @param {string} text
+ * @returns {string}
+ */
+function trimLines(text) {
+    return text.split('\n').map(line => line.trim()).join('\n').trim();
+}
+
+/**
+ * Render the failed-test report shared by all test result formats
+ * @param {string} title - Report title ("Unity Test Results")
+ * @param {{ total: number, passed: number, skipped: number, failed?: number }} counts - Run counts
+ *   (failed defaults to the number of failed tests listed)
+ * @param {object[]} failedTests - Failed tests: name, fullname, message, stackTrace, output,
+ *   and optionally warnings ({ message, path, lineNumber }) and artifacts ({ name, type, files })
+ * @param {object} [options]
+ * @param {boolean} [options.showStackTraces=true] - Include stack traces
+ * @param {boolean} [options.showOutput=true] - Include console output
+ * @returns {string[]} Output lines
+ */
+function renderTestReport(title, counts, failedTests, options = {}) {
+    const { showStackTraces = true, showOutput = true } = options;
+    const output = [];
+    output.push(`# ${title} - Filtered Output`);
+    const failed = counts.failed !== undefined ? counts.failed : failedTests.length;
+    output.push(`# Total: ${counts.total} | Passed: ${counts.passed} | Failed: ${failed} | Skipped: ${counts.skipped}`);
+    output.push(`# Generated: ${new Date().toISOString()}`);
+    output.push('');
+
+    if (failedTests.length > 0) {
+        output.push(`## FAILED TESTS (${failedTests.length})`);
+        output.push('');
+
+        failedTests.forEach((test, index) => {
+            output.push(`### ${index + 1}. ${test.name || 'Unknown Test'}`);
+            if (test.fullname && test.fullname !== test.name) {
+                output.push(`**Full Name:** \`${test.fullname}\``);
+            }
+            output.push('');
+
+            if (test.message) {
+                output.push('**Error Message:**');
+                output.push('```');
+                output.push(test.message);
+                output.push('```');
+                output.push('');
+            }
+
+            if (showStackTraces && test.stackTrace) {
+                output.push('**Stack Trace:**');
+                output.push('```');
+                output.push(test.stackTrace.trim());
+                output.push('```');
+                output.push('');
+            }
+
+            if (showOutput && test.output) {
+                output.push('**Console Output:**');
+                output.push('```');
+                output.push(test.output.trim());
+                output.push('```');
+                output.push('');
+            }
+
+            if (test.warnings && test.warnings.length > 0) {
+                output.push('**Warnings:**');
+                output.push('```');
+                test.warnings.forEach(w => output.push(w.path ? `${w.message} [${w.path}${w.lineNumber ? `(${w.lineNumber})` : ''}]` : w.message));
+                output.push('```');
+                output.push('');
+            }
+
+            if (test.artifacts && test.artifacts.length > 0) {
+                output.push('**Artifacts:**');
+                test.artifacts.forEach(a => {
+                    const files = Object.keys(a.files || {}).map(kind => `${kind}: \`${a.files[kind]}\``);
+                    output.push(`- ${a.name}${a.type ? ` (${a.type})` : ''}${files.length > 0 ? ` - ${files.join(', ')}` : ''}`);
+                });
+                output.push('');
+            }
+
+            output.push('---');
+            output.push('');
+        });
+    } else {
+        output.push('## All tests passed! No failures found.');
+    }
+
+    return output;
+}
+
+/**
+ * Create a scanner for Unity NUnit 3 test result XML, fed line by line (the
+ * XML is tokenized as it arrives, so the file never has to fit in memory)
+ * @param {object} options - Filter options
+ * @param {boolean} [options.showStackTraces=true] - Include stack traces
+ * @param {boolean} [options.showOutput=true] - Include console output
+ * @param {number} [options.maxErrors=9999] - Maximum number of failed tests to include
+ * @returns {{ push: function(string): void, finish: function(): object }}
+ */
+function createUnityTestScanner(options = {}) {
+    const {
+        showStackTraces = true,
+        showOutput = true,
+        maxErrors = 9999
+    } = options;
+
+    const failedTests = [];
+    const counted = { total: 0, passed: 0, failed: 0, skipped: 0 };
+    let run = {};           // test-run attributes: total, passed, failed, skipped
+    const elements = [];    // Names of the open elements
+    const suites = [];      // Open test-suite elements: { attributes, record, parentFailures }
+    let test = null;        // Open test-case element: { attributes, record }
+    let field = null;       // Field of the open test or suite being read: message, stackTrace or output
+
+    const record = (attributes) => ({
+        name: attributes.name || 'Unknown Test',
+        fullname: attributes.fullname || attributes.name || null,
+        message: '',
+        stackTrace: '',
+        output: ''
+    });
+    const report = (failed) => {
+        if (failedTests.length < maxErrors) {
+            failedTests.push(failed);
+        }
+    };
+    const fieldOf = (name, parent) => {
+        if (parent === 'failure') {
+            return name === 'message' ? 'message' : name === 'stack-trace' ? 'stackTrace' : null;
+        }
+        return name === 'output' && (parent === 'test-case' || parent === 'test-suite') ? 'output' : null;
+    };
+
+    const parser = createXmlParser({
+        open(name, attributes) {
+            const parent = elements[elements.length - 1];
+            elements.push(name);
+            if (name === 'test-run') {
+                run = attributes;
+            } else if (name === 'test-suite') {
+                suites.push({ attributes, record: record(attributes), parentFailures: [] });
+            } else if (name === 'test-case') {
+                test = { attributes, record: record(attributes) };
+                const fixture = suites.slice().reverse().find(suite => /Fixture$/.test(suite.attributes.type || ''));
+                test.record.fixture = fixture && fixture.attributes.fullname ? fixture.attributes.fullname : null;
+            } else {
+                field = fieldOf(name, parent);
+            }
+        },
+        text(value) {
+            const owner = test || suites[suites.length - 1];
+            if (field && owner) {
+                owner.record[field] += value;
+            }
+        },
+        close(name) {
+            elements.pop();
+            field = null;
+            if (name === 'test-case' && test) {
+                closeTestCase(test);
+                test = null;
+            } else if (name === 'test-suite' && suites.length > 0) {
+                closeSuite(suites.pop());
+            }
+        }
+    });
+
+    /**
+     * Count a test case; report it when it failed, or leave it to its suite
+     * when it failed because the suite did (site="Parent": OneTimeSetUp)
+     */
+    function closeTestCase({ attributes, record: failed }) {
+        counted.total++;
+        const result = attributes.result || '';
+        if (result === 'Passed') {
+            counted.passed++;
+            return;
+        }
+        if (result !== 'Failed') {
+            counted.skipped++;
+            return;
+        }
+        counted.failed++;
+        failed.message = trimLines(failed.message);
+        failed.stackTrace = trimLines(failed.stackTrace);
+        failed.output = trimLines(failed.output);
+        if (attributes.site === 'Parent' && suites.length > 0) {
+            suites[suites.length - 1].parentFailures.push(failed);
+        } else {
+            report(failed);
+        }
+    }
+
+    /**
+     * Report a suite that failed in its own OneTimeSetUp or OneTimeTearDown,
+     * once, with the tests that failed because of it
+     */
+    function closeSuite(suite) {
+        const { attributes, parentFailures } = suite;
+        const failed = suite.record;
+        failed.message = trimLines(failed.message);
+        const ownFailure = attributes.result === 'Failed' && attributes.site !== 'Child' && attributes.site !== 'Parent' &&
+            failed.message !== '' && !/^(?:One or more )?child tests? (?:had errors|failed)/i.test(failed.message);
+
+        if (ownFailure) {
+            const stage = attributes.site === 'TearDown' ? 'OneTimeTearDown' : 'OneTimeSetUp';
+            failed.name = `${failed.name}: ${stage} failed` + (parentFailures.length > 0 ? ` (${parentFailures.length} tests)` : '');
+            failed.fixture = failed.fullname;
+            failed.stackTrace = trimLines(failed.stackTrace);
+            failed.output = trimLines(failed.output);
+            failed.affectedTests = parentFailures.map(t => t.fullname);
+            report(failed);
+        } else if (attributes.site === 'Parent' && suites.length > 0) {
+            // A nested suite that failed with its parent: the parent reports them
+            suites[suites.length - 1].parentFailures.push(...parentFailures);
+        } else {
+            parentFailures.forEach(report);
+        }
+    }
+
+    return {
+        push(line) {
+            parser.write(line + '\n');
+        },
+
+        finish() {
+            parser.end();
+            suites.splice(0).reverse().forEach(closeSuite);
+            // The test-run counts, in any attribute order; without them, the counted test cases
+            const count = (name) => (run[name] !== undefined ? parseInt(run[name]) || 0 : counted[name]);
+            const counts = { total: count('total'), passed: count('passed'), skipped: count('skipped') };
+            // Tests that failed with their suite are listed once, under the suite
+            counts.failed = Math.max(count('failed'), failedTests.length);
+
+            const filesSet = new Set();
+            failedTests.forEach(failed => {
+                // e.g. "MeleeCombatTests.cs:292"
+                const fileMatch = failed.stackTrace.match(/([A-Za-z0-9_]+\.cs):(\d+)/);
+                if (fileMatch) {
+                    filesSet.add(fileMatch[1]);
+                }
+            });
+
+            const output = renderTestReport('Unity Test Results', counts, failedTests, { showStackTraces, showOutput });
+
+            return {
+                summary: {
+                    totalTests: counts.total,
+                    passed: counts.passed,
+                    failed: counts.failed,
+                    skipped: counts.skipped,
+                    filteredLines: output.length
+                },
+                errors: failedTests,
+                filteredContent: output.join('\n'),
+                files: Array.from(filesSet).sort()
+            };
+        }
+    };
+}
+
+/**
+ * Filter Unity NUnit test result XML to extract failed tests
+ * @param {string} xmlContent - Unity test result XML content
+ * @param {object} options - Filter options (see createUnityTestScanner)
+ * @returns {object} Filtered result with stats and content
+ */
+function filterUnityTestResults(xmlContent, options = {}) {
+    const scanner = createUnityTestScanner(options);
+    forEachLine(xmlContent, scanner.push);
+    return scanner.finish();
+}
+
+module.exports = {
+    isUnityTestXml,
+    createUnityTestScanner,
+    filterUnityTestResults,
+    renderTestReport,
+    trimLines
+};
@@ -0,0 +1,170 @@
+/**
+ * Visual Studio / MSBuild parallel build structure
+ *
+ * With several projects building at once (VS, msbuild /m) every line is
+ * prefixed with the number of the project that printed it ("3>Foo.cpp(10):
+ * error C2065: ..."), and a project announces itself with a header
+ * ("3>------ Build started: Project: Foo, Configuration: Debug x64 ------" or
+ * msbuild's "3>Project "D:\Src\Foo.vcxproj" (3) is building ... on node 2").
+ * The number splits the interleaved output back into one stream per project,
+ * so each diagnostic can be attributed to its project and configuration.
+ */
+
+// Node prefix: "  3>Foo.cpp(10): error C2065: ..."
+const nodePattern = /^\s*(\d+)>/;
+
+// Visual Studio header: "1>------ Build started: Project: Game, Configuration: Debug x64 ------"
+const vsHeaderPattern = /------ (?:Rebuild All|Build|Clean|Deploy|Publish) started: Project: (.+?), Configuration: (.+?) ------/;
+
+// msbuild header: "2>Project "D:\Src\App.sln" (1) is building "D:\Src\Game.vcxproj" (2) on node 1 (default targets)."
+// or "1>Project "D:\Src\Game.vcxproj" on node 1 (Build target(s))."
+const msbuildHeaderPattern = /Project "([^"]+)"(?: \(\d+\) is building "([^"]+)" \(\d+\))? on node \d+/;
+
+// msbuild solution configuration: "Building solution configuration "Debug|x64"."
+const solutionConfigurationPattern = /Building solution configuration "([^"]+)"/;
+
+/**
+ * Short project name of a project path or name ("D:\Src\Game.vcxproj" -> "Game")
+ * @param {string} project - Project path or name
+ * @returns {string}
+ */
+function projectName(project) {
+    return project.split(/[\\/]/).pop().replace(/\.(?:vcxproj|csproj|vbproj|fsproj|proj)$/i, '');
+}
+
+/**
+ * Node number a line is prefixed with
+ * @param {string} line - Raw log line
+ * @returns {number|null}
+ */
+function parseNode(line) {
+    const match = line.match(nodePattern);
+    return match ? parseInt(match[1]) : null;
+}
+
+/**
+ * Parse a project header
+ * @param {string} line - Raw log line
+ * @returns {{ path: string, configuration: string|null }|null}
+ */
+function parseProjectHeader(line) {
+    const vs = line.match(vsHeaderPattern);
+    if (vs) {
+        return { path: vs[1], configuration: vs[2] };
+    }
+    const msbuild = line.match(msbuildHeaderPattern);
+    if (msbuild) {
+        return { path: msbuild[2] || msbuild[1], configuration: null };
+    }
+    return null;
+}
+
+/**
+ * Create a tracker for the project each node is building
+ * @returns {object} Tracker: node(), line(), current(), projects, seen()
+ */
+function createProjectTracker() {
+    const projects = [];        // { project, path, configuration } in build order
+    const building = new Map(); // Node number -> project
+    let configuration = null;   // Solution configuration (msbuild)
+
+    return {
+        projects,
+
+        /**
+         * Node number of a line (null without a prefix)
+         */
+        node: parseNode,
+
+        /**
+         * Update the state from a line that is not a diagnostic
+         */
+        line(text) {
+            const solution = text.match(solutionConfigurationPattern);
+            if (solution) {
+                configuration = solution[1];
+                return;
+            }
+            const header = parseProjectHeader(text);
+            if (!header || /\.sln$/i.test(header.path)) {
+                return;
+            }
+            const name = projectName(header.path);
+            const projectConfiguration = header.configuration || configuration;
+            let project = projects.find(p => p.project === name && p.configuration === projectConfiguration);
+            if (!project) {
+                project = { project: name, path: header.path, configuration: projectConfiguration };
+                projects.push(project);
+            }
+            building.set(parseNode(text), project);
+        },
+
+        /**
+         * Project a node is building
+         * @param {number|null} node - Node number
+         * @returns {object|null}
+         */
+        current(node) {
+            return building.get(node) || null;
+        },
+
+        /**
+         * Whether any project header has been seen
+         */
+        seen() {
+            return projects.length > 0;
+        }
+    };
+}
+
+/**
+ * Find the project row of a diagnostic
+ * @param {object[]} rows - Rows from projectTable()
+ * @param {object} entry - Diagnostic with `project` and `configuration`
+ * @returns {object|undefined}
+ */
+function findProjectRow(rows, entry) {
+    const name = entry.project ? projectName(entry.project) : '(none)';
+    return rows.find(r => r.project === name && r.configuration === (entry.configuration || null)) ||
+        rows.find(r => r.project === name);
+}
+
+/**
+ * Count reported diagnostics per project
+ * @param {object[]} projects - Projects from the tracker, in build order
+ * @param {object[]} errors
+ * @param {object[]} warnings
+ * @returns {{ project: string, configuration: string|null, errors: number, warnings: number }[]}
+ *   Build order; projects only named by a diagnostic come last
+ */
+function projectTable(projects, errors, warnings) {
+    const rows = projects.map(p => ({ project: p.project, configuration: p.configuration, errors: 0, warnings: 0 }));
+    const count = (entry, key) => {
+        let row = findProjectRow(rows, entry);
+        if (!row) {
+            row = { project: entry.project ? projectName(entry.project) : '(none)', configuration: entry.configuration || null, errors: 0, warnings: 0 };
+            rows.push(row);
+        }
+        row[key]++;
+    };
+    errors.forEach(entry => count(entry, 'errors'));
+    warnings.forEach(entry => count(entry, 'warnings'));
+    return rows;
+}
+
+/**
+ * Describe a project row ("Game (Debug x64)")
+ */
+function describeProject(row) {
+    return row.configuration ? `${row.project} (${row.configuration})` : row.project;
+}
+
+module.exports = {
+    projectName,
+    parseNode,
+    parseProjectHeader,
+    createProjectTracker,
+    findProjectRow,
+    projectTable,
+    describeProject
+};
@@ -0,0 +1,192 @@
+/**
+ * Minimal XML tokenizer
+ *
+ * Test result files are XML, and their producers do not agree on attribute
+ * order, entity escaping or where CDATA sections start and end, so they are
+ * read as XML rather than line by line. Elements, text and CDATA are reported
+ * to handlers as they are found, chunk by chunk; comments, processing
+ * instructions and the DOCTYPE are skipped. Namespace prefixes are kept in
+ * element names.
+ */
+
+// Named entities of XML 1.0
+const ENTITIES = { lt: '<', gt: '>', amp: '&', quot: '"', apos: "'" };
+
+// Attribute inside a start tag: name="value" or name='value'
+const attributePattern = /([^\s=/>]+)\s*=\s*(?:"([^"]*)"|'([^']*)')/g;
+
+/**
+ * Decode entity and character references ("&lt;T&gt;" -> "<T>", "&#x0A;" -> "\n")
+ * @param {string} text - Raw text or attribute value
+ * @returns {string}
+ */
+function decodeEntities(text) {
+    if (!text.includes('&')) {
+        return text;
+    }
+    return text.replace(/&(#x[0-9A-Fa-f]+|#\d+|\w+);/g, (match, ref) => {
+        if (ref[0] === '#') {
+            const code = ref[1] === 'x' ? parseInt(ref.slice(2), 16) : parseInt(ref.slice(1), 10);
+            return code <= 0x10FFFF ? String.fromCodePoint(code) : match;
+        }
+        return ENTITIES[ref] !== undefined ? ENTITIES[ref] : match;
+    });
+}
+
+/**
+ * Parse the attributes of a start tag
+ * @param {string} source - Tag text after the element name
+ * @returns {object} Attribute values by name, decoded
+ */
+function parseAttributes(source) {
+    const attributes = {};
+    let match;
+    attributePattern.lastIndex = 0;
+    while ((match = attributePattern.exec(source)) !== null) {
+        attributes[match[1]] = decodeEntities(match[2] !== undefined ? match[2] : match[3]);
+    }
+    return attributes;
+}
+
+/**
+ * Create an incremental XML tokenizer: the document is written in chunks of
+ * any size, and only an unfinished tag (or entity reference) is held back
+ * until the next chunk, so result files larger than memory can be read.
+ * Text and CDATA content may be reported in several pieces.
+ * @param {object} handlers
+ * @param {function(string, object, boolean): void} [handlers.open] - Start tag: name, attributes, self-closing
+ * @param {function(string): void} [handlers.close] - End tag (also called after a self-closing start tag)
+ * @param {function(string): void} [handlers.text] - Text (decoded) or CDATA content (as is)
+ * @returns {{ write: function(string): void, end: function(): void }}
+ */
+function createXmlParser(handlers) {
+    const { open = () => {}, close = () => {}, text = () => {} } = handlers;
+    let buffer = '';
+    let inside = null;  // 'cdata' or 'comment' until its terminator is read
+
+    /**
+     * Report the tokens in the buffer; unless `final`, keep the unfinished rest for the next chunk
+     */
+    function parse(final) {
+        let position = 0;
+
+        while (position < buffer.length) {
+            if (inside) {
+                const end = buffer.indexOf(inside === 'cdata' ? ']]>' : '-->', position);
+                // Without the terminator, report what was read but keep what may be its start
+                const stop = end !== -1 ? end : final ? buffer.length : Math.max(position, buffer.length - 2);
+                if (inside === 'cdata' && stop > position) {
+                    text(buffer.slice(position, stop));
+                }
+                if (end === -1) {
+                    position = stop;
+                    break;
+                }
+                position = end + 3;
+                inside = null;
+                continue;
+            }
+
+            const start = buffer.indexOf('<', position);
+            if (start !== position) {
+                let end = start === -1 ? buffer.length : start;
+                // An entity reference may continue in the next chunk
+                const ampersand = buffer.lastIndexOf('&', end - 1);
+                if (start === -1 && !final && ampersand >= position && buffer.indexOf(';', ampersand) === -1) {
+                    end = ampersand;
+                }
+                if (end > position) {
+                    text(decodeEntities(buffer.slice(position, end)));
+                }
+                position = end;
+                if (start === -1) {
+                    break;
+                }
+                continue;
+            }
+
+            // Too short yet to tell a CDATA section or comment from a tag
+            if (!final && buffer.length - start < 9) {
+                break;
+            }
+            if (buffer.startsWith('<![CDATA[', start)) {
+                inside = 'cdata';
+                position = start + 9;
+                continue;
+            }
+            if (buffer.startsWith('<!--', start)) {
+                inside = 'comment';
+                position = start + 4;
+                continue;
+            }
+            if (buffer[start + 1] === '?' || buffer[start + 1] === '!') {
+                const end = buffer.indexOf('>', start);
+                if (end === -1 && !final) {
+                    break;
+                }
+                position = end === -1 ? buffer.length : end + 1;
+                continue;
+            }
+
+            const end = findTagEnd(buffer, start);
+            if (end === -1) {
+                // An unclosed tag at the end of the document is dropped
+                position = final ? buffer.length : start;
+                break;
+            }
+            const tag = buffer.slice(start + 1, end);
+            position = end + 1;
+            if (tag[0] === '/') {
+                close(tag.slice(1).trim());
+                continue;
+            }
+            const selfClosing = tag.endsWith('/');
+            const body = selfClosing ? tag.slice(0, -1) : tag;
+            const nameEnd = body.search(/\s|$/);
+            const name = body.slice(0, nameEnd);
+            open(name, parseAttributes(body.slice(nameEnd)), selfClosing);
+            if (selfClosing) {
+                close(name);
+            }
+        }
+        buffer = buffer.slice(position);
+    }
+
+    return {
+        write(chunk) {
+            buffer += chunk;
+            parse(false);
+        },
+        end() {
+            parse(true);
+            buffer = '';
+        }
+    };
+}
+
+/**
+ * Find the ">" that ends a tag, skipping quoted attribute values
+ * @returns {number} Index of the ">", or -1 when the tag is not closed
+ */
+function findTagEnd(content, start) {
+    let quote = null;
+    for (let i = start + 1; i < content.length; i++) {
+        const char = content[i];
+        if (quote) {
+            if (char === quote) {
+                quote = null;
+            }
+        } else if (char === '"' || char === "'") {
+            quote = char;
+        } else if (char === '>') {
+            return i;
+        }
+    }
+    return -1;
+}
+
+module.exports = {
+    decodeEntities,
+    parseAttributes,
+    createXmlParser
+};
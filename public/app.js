@@ -19,9 +19,17 @@ const fileInput = document.getElementById('fileInput');
 
 // Options
 const showWarnings = document.getElementById('showWarnings');
+const groupDuplicates = document.getElementById('groupDuplicates');
+const simplifyMessages = document.getElementById('simplifyMessages');
 const useContext = document.getElementById('useContext');
 const contextLines = document.getElementById('contextLines');
+const contextAfter = document.getElementById('contextAfter');
+const tokenBudget = document.getElementById('tokenBudget');
 const formatSelect = document.getElementById('formatSelect');
+const categories = document.getElementById('categories');
+const excludeCategories = document.getElementById('excludeCategories');
+const minVerbosity = document.getElementById('minVerbosity');
+const callstackDepth = document.getElementById('callstackDepth');
 const fileFilterList = document.getElementById('fileFilterList');
 const selectAllFilesBtn = document.getElementById('selectAllFiles');
 const clearFileFilterBtn = document.getElementById('clearFileFilter');
@@ -36,6 +44,13 @@ let selectedFiles = new Set();
 // Debounce timer for auto-filter
 let autoFilterTimer = null;
 
+// Files above this size are streamed to the server instead of loaded into the page
+const LARGE_FILE_BYTES = 20 * 1024 * 1024;
+const LARGE_FILE_PREVIEW_BYTES = 64 * 1024;
+
+// Large file or binary log being filtered on the server (only its start, or a note, is shown in the input)
+let largeFile = null;
+
 /**
  * Populate file filter checkboxes with files from errors
  */
@@ -207,23 +222,39 @@ async function filterLog() {
     status.textContent = 'Filtering...';
 
     const options = {
-        logContent: logContent,
         format: formatSelect.value,
         showWarnings: showWarnings.checked,
+        groupDuplicates: groupDuplicates.checked,
+        simplifyMessages: simplifyMessages.checked,
         contextLines: useContext.checked ? contextLines.value : 0,
+        contextAfter: useContext.checked ? contextAfter.value : 0,
+        tokenBudget: tokenBudget.value,
         maxErrors: 9999,
         maxWarnings: 9999,
-        fileFilters: getSelectedFiles()
+        fileFilters: getSelectedFiles(),
+        categories: categories.value,
+        excludeCategories: excludeCategories.value,
+        minVerbosity: minVerbosity.value,
+        callstackDepth: callstackDepth.value
     };
 
     try {
-        const response = await fetch(`${API_BASE}/api/filter`, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify(options)
-        });
+        // Large files and binary logs are sent as a raw stream with the options in the query string
+        const response = largeFile
+            ? await fetch(`${API_BASE}/api/filter?${toQueryString(options)}`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': isBinlogFile(largeFile) ? 'application/octet-stream' : 'text/plain'
+                },
+                body: largeFile
+            })
+            : await fetch(`${API_BASE}/api/filter`, {
+                method: 'POST',
+                headers: {
+                    'Content-Type': 'application/json'
+                },
+                body: JSON.stringify({ logContent, ...options })
+            });
 
         const result = await response.json();
 
@@ -247,6 +278,18 @@ async function filterLog() {
                     } else {
                         status.textContent = 'All tests passed!';
                     }
+                } else if (result.format === 'crash-report') {
+                    const { crashType, exceptionType, faultingModule } = result.summary;
+                    filterStats.textContent = `Crash: ${exceptionType || crashType || 'unknown'}${faultingModule ? ` in ${faultingModule}` : ''}`;
+                    status.textContent = 'Crash report extracted - review the callstack';
+                } else if (result.format === 'unity-editor-log' || result.format === 'unity-player-log') {
+                    const { errorCount, warningCount, exceptionCount, logKind, totalLines } = result.summary;
+                    filterStats.textContent = logKind === 'player'
+                        ? `Unity Player: ${exceptionCount} exceptions (from ${totalLines} lines)`
+                        : `Unity Editor: ${errorCount} errors, ${warningCount} warnings in ${result.assemblies.length} assemblies, ${exceptionCount} exceptions (from ${totalLines} lines)`;
+                    status.textContent = result.failures.length > 0
+                        ? `Found ${result.failures.length} failure(s) - see the FAILURES section`
+                        : 'Filtered successfully!';
                 } else {
                     // Standard build log format
                     const { errorCount, warningCount, totalLines } = result.summary;
@@ -258,9 +301,13 @@ async function filterLog() {
                 status.textContent = 'Ready to copy';
             }
 
-            // Show specific toast for Unity tests
+            // Show specific toast for Unity tests and crashes
             if (result.format === 'unity-test-results') {
                 showToast(`Unity test results: ${result.summary.failed} failures found`);
+            } else if (result.summary && result.summary.totalTests !== undefined) {
+                showToast(`Test results: ${result.summary.failed} failures found`);
+            } else if (result.crash) {
+                showToast('Crash found - see the CRASH section');
             } else {
                 showToast('Log filtered successfully!');
             }
@@ -273,21 +320,66 @@ async function filterLog() {
     }
 }
 
+/**
+ * Encode filter options as a query string (list values repeat the key)
+ */
+function toQueryString(options) {
+    const params = new URLSearchParams();
+    Object.entries(options).forEach(([key, value]) => {
+        [].concat(value).forEach(item => params.append(key, item));
+    });
+    return params.toString();
+}
+
 /**
  * Clear input
  */
 function clearInput() {
+    largeFile = null;
     inputLog.value = '';
     updateInputStats();
     status.textContent = 'Input cleared';
 }
 
+/**
+ * Whether a file is an MSBuild binary log (decoded on the server)
+ */
+function isBinlogFile(file) {
+    return file.name.toLowerCase().endsWith('.binlog');
+}
+
 /**
  * Load file and auto-filter
  */
 function loadFile(file) {
     if (!file) return;
 
+    // Binary logs cannot be shown as text: send them to the server as they are
+    if (isBinlogFile(file)) {
+        largeFile = file;
+        inputLog.value = `MSBuild binary log: ${file.name}\n(decoded and filtered on the server)`;
+        inputStats.textContent = `${(file.size / 1024 / 1024).toFixed(1)} MB binary log`;
+        status.textContent = `Loaded ${file.name} - decoding on the server`;
+        showToast(`Loaded: ${file.name}`);
+        filterLog();
+        return;
+    }
+
+    // Too large for the text area: show the start and filter the file on the server
+    if (file.size > LARGE_FILE_BYTES) {
+        largeFile = file;
+        file.slice(0, LARGE_FILE_PREVIEW_BYTES).text().then(async (preview) => {
+            inputLog.value = preview;
+            updateInputStats();
+            inputStats.textContent = `${(file.size / 1024 / 1024).toFixed(1)} MB file (showing the first ${LARGE_FILE_PREVIEW_BYTES / 1024} KB)`;
+            status.textContent = `Loaded ${file.name} - filtering on the server`;
+            showToast(`Loaded: ${file.name}`);
+            await filterLog();
+        });
+        return;
+    }
+    largeFile = null;
+
     const reader = new FileReader();
     reader.onload = async (e) => {
         const content = e.target.result;
@@ -310,6 +402,7 @@ function loadFile(file) {
 async function pasteFromClipboard() {
     try {
         const text = await navigator.clipboard.readText();
+        largeFile = null;
         inputLog.value = text;
         updateInputStats();
         status.textContent = `Pasted ${text.split('\n').length} lines`;
@@ -354,11 +447,17 @@ function saveToFile() {
         return;
     }
 
-    const blob = new Blob([content], { type: 'text/plain' });
+    // SARIF output is saved as a .sarif file for code-scanning tools and IDE viewers, JUnit as .xml for CI dashboards
+    const types = {
+        sarif: { extension: 'sarif', mime: 'application/sarif+json' },
+        junit: { extension: 'xml', mime: 'application/xml' }
+    };
+    const type = types[formatSelect.value] || { extension: 'txt', mime: 'text/plain' };
+    const blob = new Blob([content], { type: type.mime });
     const url = URL.createObjectURL(blob);
     const a = document.createElement('a');
     a.href = url;
-    a.download = `build-log-filtered-${Date.now()}.txt`;
+    a.download = `build-log-filtered-${Date.now()}.${type.extension}`;
     document.body.appendChild(a);
     a.click();
     document.body.removeChild(a);
@@ -372,12 +471,14 @@ function saveToFile() {
  * Toggle context input state
  */
 function updateContextState() {
-    contextLines.disabled = !useContext.checked;
-    if (!useContext.checked) {
-        contextLines.style.opacity = '0.5';
-    } else {
-        contextLines.style.opacity = '1';
-    }
+    [contextLines, contextAfter].forEach(input => {
+        input.disabled = !useContext.checked;
+        if (!useContext.checked) {
+            input.style.opacity = '0.5';
+        } else {
+            input.style.opacity = '1';
+        }
+    });
 }
 
 // Event Listeners
@@ -417,11 +518,51 @@ contextLines.addEventListener('change', () => {
         debouncedFilter();
     }
 });
+contextAfter.addEventListener('change', () => {
+    if (inputLog.value.trim()) {
+        debouncedFilter();
+    }
+});
+tokenBudget.addEventListener('change', () => {
+    if (inputLog.value.trim()) {
+        debouncedFilter();
+    }
+});
 showWarnings.addEventListener('change', () => {
     if (inputLog.value.trim()) {
         debouncedFilter();
     }
 });
+groupDuplicates.addEventListener('change', () => {
+    if (inputLog.value.trim()) {
+        debouncedFilter();
+    }
+});
+simplifyMessages.addEventListener('change', () => {
+    if (inputLog.value.trim()) {
+        debouncedFilter();
+    }
+});
+categories.addEventListener('change', () => {
+    if (inputLog.value.trim()) {
+        debouncedFilter();
+    }
+});
+excludeCategories.addEventListener('change', () => {
+    if (inputLog.value.trim()) {
+        debouncedFilter();
+    }
+});
+callstackDepth.addEventListener('change', () => {
+    if (inputLog.value.trim()) {
+        debouncedFilter();
+    }
+});
+minVerbosity.addEventListener('change', () => {
+    if (inputLog.value.trim()) {
+        debouncedFilter();
+    }
+});
 formatSelect.addEventListener('change', () => {
     if (inputLog.value.trim()) {
         debouncedFilter();
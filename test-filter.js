@@ -1,359 +1,10 @@
 #!/usr/bin/env node
 /**
- * Standalone Build Log Filter - Test Version
- * No dependencies required - pure Node.js
+ * Build Log Filter - Test Run
+ * Exercises the shared filtering core in lib/ - pure Node.js
  */
 
-const fs = require('fs');
-
-/**
- * Check if content is a Unity NUnit test result XML
- */
-function isUnityTestXml(content) {
-    const trimmed = content.trim();
-    return trimmed.startsWith('<?xml') && trimmed.includes('<test-run') && trimmed.includes('testcasecount');
-}
-
-/**
- * Filter Unity NUnit test result XML to extract failed tests
- */
-function filterUnityTestResults(xmlContent, options = {}) {
-    const { showStackTraces = true, showOutput = true, maxErrors = 9999 } = options;
-
-    const lines = xmlContent.split('\n');
-    const failedTests = [];
-    const filesSet = new Set();
-    let totalTests = 0;
-    let passedTests = 0;
-    let failedTestsCount = 0;
-    let skippedTests = 0;
-
-    // Extract summary from test-run element
-    const summaryMatch = xmlContent.match(/<test-run[^>]*total="(\d+)"[^>]*passed="(\d+)"[^>]*failed="(\d+)"[^>]*skipped="(\d+)"/);
-    if (summaryMatch) {
-        totalTests = parseInt(summaryMatch[1]) || 0;
-        passedTests = parseInt(summaryMatch[2]) || 0;
-        failedTestsCount = parseInt(summaryMatch[3]) || 0;
-        skippedTests = parseInt(summaryMatch[4]) || 0;
-    }
-
-    // Find all failed test-case elements
-    let inFailedTestCase = false;
-    let currentTest = null;
-    let captureStack = false;
-    let captureOutput = false;
-    let currentIndent = 0;
-
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const trimmed = line.trim();
-
-        // Detect start of a failed test case
-        if (trimmed.includes('<test-case') && trimmed.includes('result="Failed"')) {
-            inFailedTestCase = true;
-            currentIndent = line.search(/\S/);
-            const nameMatch = trimmed.match(/name="([^"]+)"/);
-            const fullnameMatch = trimmed.match(/fullname="([^"]+)"/);
-            currentTest = {
-                name: nameMatch ? nameMatch[1] : null,
-                fullname: fullnameMatch ? fullnameMatch[1] : null,
-                message: '',
-                stackTrace: '',
-                output: ''
-            };
-            captureStack = false;
-            captureOutput = false;
-            continue;
-        }
-
-        if (inFailedTestCase && currentTest) {
-            // Check for failure message
-            if (trimmed.includes('<message>')) {
-                // Extract content after <message><![CDATA[ on the same line
-                const cdataStart = line.indexOf('<![CDATA[');
-                if (cdataStart !== -1) {
-                    const afterCdataStart = line.substring(cdataStart + 9);
-                    if (afterCdataStart.includes(']]>')) {
-                        // CDATA ends on same line
-                        currentTest.message = afterCdataStart.substring(0, afterCdataStart.indexOf(']]>')).trim();
-                    } else {
-                        // Multi-line CDATA - start with content after <![CDATA[
-                        let content = [];
-                        if (afterCdataStart.trim()) {
-                            content.push(afterCdataStart.trim());
-                        }
-                        // Collect remaining lines until ]]> is found
-                        let j = i + 1;
-                        while (j < lines.length && !lines[j].includes(']]>')) {
-                            content.push(lines[j].trim());
-                            j++;
-                        }
-                        if (j < lines.length && lines[j].includes(']]>')) {
-                            const endContent = lines[j].split(']]>')[0].trim();
-                            if (endContent) {
-                                content.push(endContent);
-                            }
-                        }
-                        currentTest.message = content.join('\n');
-                    }
-                }
-            }
-
-            // Check for stack-trace
-            if (trimmed.includes('<stack-trace>')) {
-                const cdataStart = line.indexOf('<![CDATA[');
-                if (cdataStart !== -1) {
-                    const afterCdataStart = line.substring(cdataStart + 9);
-                    if (afterCdataStart.includes(']]>')) {
-                        currentTest.stackTrace = afterCdataStart.substring(0, afterCdataStart.indexOf(']]>')).trim();
-                    } else {
-                        captureStack = true;
-                        // Start with any content after <![CDATA[ on the same line
-                        if (afterCdataStart.trim()) {
-                            currentTest.stackTrace = afterCdataStart.trim() + '\n';
-                        }
-                    }
-                } else {
-                    captureStack = true;
-                }
-            }
-
-            // Capture stack trace content
-            if (captureStack) {
-                if (trimmed.includes(']]>')) {
-                    const endContent = trimmed.split(']]>')[0].trim();
-                    if (endContent && !endContent.includes('<stack-trace>')) {
-                        currentTest.stackTrace += endContent;
-                    }
-                    captureStack = false;
-                } else if (trimmed.length > 0 && !trimmed.includes('<stack-trace>') && !trimmed.includes('<![CDATA[')) {
-                    currentTest.stackTrace += trimmed + '\n';
-                }
-            }
-
-            // Check for output
-            if (trimmed.includes('<output>')) {
-                const cdataStart = line.indexOf('<![CDATA[');
-                if (cdataStart !== -1) {
-                    const afterCdataStart = line.substring(cdataStart + 9);
-                    if (afterCdataStart.includes(']]>')) {
-                        currentTest.output = afterCdataStart.substring(0, afterCdataStart.indexOf(']]>')).trim();
-                    } else {
-                        captureOutput = true;
-                        if (afterCdataStart.trim()) {
-                            currentTest.output = afterCdataStart.trim() + '\n';
-                        }
-                    }
-                } else {
-                    captureOutput = true;
-                }
-            }
-
-            // Capture output content
-            if (captureOutput) {
-                if (trimmed.includes(']]>')) {
-                    const endContent = trimmed.split(']]>')[0].trim();
-                    if (endContent && !endContent.includes('<output>')) {
-                        currentTest.output += endContent;
-                    }
-                    captureOutput = false;
-                } else if (trimmed.length > 0 && !trimmed.includes('<output>') && !trimmed.includes('<![CDATA[')) {
-                    currentTest.output += trimmed + '\n';
-                }
-            }
-
-            // Extract file from stack trace
-            if (currentTest.stackTrace) {
-                const fileMatch = currentTest.stackTrace.match(/([A-Za-z0-9_]+\.cs):(\d+)/);
-                if (fileMatch) {
-                    filesSet.add(fileMatch[1]);
-                }
-            }
-
-            // End of test case
-            if (trimmed.includes('</test-case>') || (trimmed.startsWith('</') && line.search(/\S/) <= currentIndent)) {
-                if (currentTest.message || currentTest.stackTrace) {
-                    failedTests.push(currentTest);
-                    if (failedTests.length >= maxErrors) break;
-                }
-                inFailedTestCase = false;
-                currentTest = null;
-            }
-        }
-    }
-
-    // Build filtered content
-    let output = [];
-    output.push(`# Unity Test Results - Filtered Output`);
-    output.push(`# Total: ${totalTests} | Passed: ${passedTests} | Failed: ${failedTests.length} | Skipped: ${skippedTests}`);
-    output.push(`# Generated: ${new Date().toISOString()}`);
-    output.push('');
-
-    if (failedTests.length > 0) {
-        output.push(`## FAILED TESTS (${failedTests.length})`);
-        output.push('');
-
-        failedTests.forEach((test, index) => {
-            output.push(`### ${index + 1}. ${test.name || 'Unknown Test'}`);
-            if (test.fullname && test.fullname !== test.name) {
-                output.push(`**Full Name:** \`${test.fullname}\``);
-            }
-            output.push('');
-
-            if (test.message) {
-                output.push('**Error Message:**');
-                output.push('```');
-                output.push(test.message);
-                output.push('```');
-                output.push('');
-            }
-
-            if (showStackTraces && test.stackTrace) {
-                output.push('**Stack Trace:**');
-                output.push('```');
-                output.push(test.stackTrace.trim());
-                output.push('```');
-                output.push('');
-            }
-
-            if (showOutput && test.output) {
-                output.push('**Console Output:**');
-                output.push('```');
-                output.push(test.output.trim());
-                output.push('```');
-                output.push('');
-            }
-
-            output.push('---');
-            output.push('');
-        });
-    } else {
-        output.push('## All tests passed! No failures found.');
-    }
-
-    return {
-        summary: {
-            totalTests,
-            passed: passedTests,
-            failed: failedTests.length,
-            skipped: skippedTests,
-            filteredLines: output.length
-        },
-        errors: failedTests,
-        filteredContent: output.join('\n'),
-        files: Array.from(filesSet).sort()
-    };
-}
-
-/**
- * Filter build log to extract errors and warnings
- */
-function filterBuildLog(logContent, options = {}) {
-    const {
-        showWarnings = true,
-        contextLines = 10,
-        maxErrors = 100,
-        maxWarnings = 20
-    } = options;
-
-    const lines = logContent.split('\n');
-    const results = {
-        summary: {
-            totalLines: lines.length,
-            errorCount: 0,
-            warningCount: 0,
-            filteredLines: 0
-        },
-        errors: [],
-        warnings: [],
-        filteredContent: ''
-    };
-
-    // Error patterns
-    const errorPatterns = [
-        /\berror [A-Z]+\d+:/i,
-        /\berror MSB\d+:/i,
-        /\berror LNK\d+:/i,
-        /\bfatal error\b/i,
-        /\bERROR:/i,
-        /\bSetEnv task failed/i,
-        /\bfailed unexpectedly/i
-    ];
-
-    const warningPattern = /\bwarning [A-Z]+\d+:/i;
-
-    // Find errors with line numbers
-    for (let i = 0; i < lines.length; i++) {
-        const line = lines[i];
-        const isError = errorPatterns.some(p => p.test(line));
-        const isWarning = !isError && warningPattern.test(line);
-
-        if (isError && results.summary.errorCount < maxErrors) {
-            results.summary.errorCount++;
-            const errorBlock = {
-                line: i + 1,
-                message: line.trim()
-            };
-
-            if (contextLines > 0) {
-                const start = Math.max(0, i - contextLines);
-                errorBlock.context = lines.slice(start, i).map(l => l.trim());
-            }
-
-            results.errors.push(errorBlock);
-        }
-
-        if (isWarning && showWarnings && results.summary.warningCount < maxWarnings) {
-            results.summary.warningCount++;
-            results.warnings.push({
-                line: i + 1,
-                message: line.trim()
-            });
-        }
-    }
-
-    // Build filtered content
-    let output = [];
-    output.push(`# Build Log Filtered Output`);
-    output.push(`# Original: ${results.summary.totalLines} lines`);
-    output.push(`# Found: ${results.errors.length} errors, ${results.warnings.length} warnings`);
-    output.push(`# Generated: ${new Date().toISOString()}`);
-    output.push('');
-
-    if (results.errors.length > 0) {
-        output.push(`## ERRORS (${results.errors.length})`);
-        output.push('');
-
-        results.errors.forEach(err => {
-            if (err.context && err.context.length > 0) {
-                output.push(`### Error at line ${err.line}`);
-                output.push('```');
-                err.context.forEach(ctx => output.push(ctx));
-                output.push(err.message);
-                output.push('```');
-            } else {
-                output.push(`[Line ${err.line}] ${err.message}`);
-            }
-            output.push('');
-        });
-    } else {
-        output.push('## No errors found!');
-    }
-
-    if (results.warnings.length > 0) {
-        output.push('');
-        output.push(`## WARNINGS (${results.warnings.length})`);
-        output.push('');
-        results.warnings.forEach(warn => {
-            output.push(`[Line ${warn.line}] ${warn.message}`);
-        });
-    }
-
-    results.summary.filteredLines = output.length;
-    results.filteredContent = output.join('\n');
-
-    return results;
-}
+const { filterBuildLog, filterUnityTestResults } = require('./lib');
 
 // Create sample UE5 build log for testing
 const sampleLog = `
@@ -485,3 +136,1216 @@ if (unityResult.files.length > 0) {
     console.log('   Affected files:   ' + unityResult.files.join(', '));
 }
 console.log('\n✅ Unity test filter completed!');
+console.log('\n');
+
+// Shared core checks - every entry point filters through lib/
+const assert = require('assert');
+const { filterLog, detectLogType, normalizeOptions } = require('./lib');
+
+let checksFailed = 0;
+let checkQueue = Promise.resolve();
+// Checks run one after another; `fn` may be async
+function check(name, fn) {
+    checkQueue = checkQueue.then(async () => {
+        try {
+            await fn();
+            console.log(`✅ PASSED: ${name}`);
+        } catch (err) {
+            console.log(`❌ FAILED: ${name}`);
+            console.error('   ' + err.message);
+            checksFailed++;
+        }
+    });
+}
+
+console.log('╔════════════════════════════════════════════════════════════╗');
+console.log('║       Shared Core Checks                                  ║');
+console.log('╚════════════════════════════════════════════════════════════╝\n');
+
+check('filterLog auto-detects Unity test XML', () => {
+    assert.strictEqual(detectLogType(unityTestXml), 'unity-test-results');
+    const res = filterLog(unityTestXml);
+    assert.strictEqual(res.format, 'unity-test-results');
+    assert.strictEqual(res.summary.failed, 2);
+    assert.deepStrictEqual(res.files, ['MeleeCombatTests.cs']);
+});
+
+check('filterLog filters build logs with file attribution', () => {
+    const res = filterLog(sampleLog);
+    assert.strictEqual(res.format, 'build-log');
+    assert.strictEqual(res.summary.errorCount, 4);
+    assert.strictEqual(res.summary.warningCount, 1);
+    assert.strictEqual(res.errors[0].file, 'LCCharacterBase.cpp');
+    assert.strictEqual(res.errors[0].lineNumber, 42);
+    assert.deepStrictEqual(res.files, ['LCCharacterBase.cpp', 'LCPlayerController.cpp']);
+});
+
+check('minimal format uses the same matching as full', () => {
+    const res = filterLog(sampleLog, { format: 'minimal' });
+    assert.strictEqual(res.summary.format, 'minimal');
+    assert.strictEqual(res.summary.errorCount, 4);
+    assert.ok(res.filteredContent.startsWith('=== ERRORS ==='));
+});
+
+check('file filters keep only matching diagnostics', () => {
+    const res = filterLog(sampleLog, { fileFilters: ['LCPlayerController.cpp'] });
+    assert.strictEqual(res.summary.errorCount, 1);
+    assert.strictEqual(res.files.length, 2);
+});
+
+check('normalizeOptions coerces request values and applies defaults', () => {
+    const opts = normalizeOptions({ contextLines: '5', showWarnings: false }, { maxErrors: 100 });
+    assert.strictEqual(opts.contextLines, 5);
+    assert.strictEqual(opts.maxErrors, 100);
+    assert.strictEqual(opts.showWarnings, false);
+    assert.strictEqual(opts.format, 'full');
+});
+
+const { compileRules } = require('./lib');
+
+check('project rules add studio-specific patterns with capture groups', () => {
+    const rules = compileRules({
+        rules: [{
+            id: 'studio.codegen',
+            pattern: '^CodeGen failed: (\\S+)\\((\\d+)\\)',
+            severity: 'error',
+            category: 'codegen',
+            file: 1,
+            line: 2
+        }]
+    });
+    const res = filterLog('CodeGen failed: D:/Gen/Quest.gen(17) bad schema\nok', { rules });
+    assert.strictEqual(res.summary.errorCount, 1);
+    assert.strictEqual(res.errors[0].rule, 'studio.codegen');
+    assert.strictEqual(res.errors[0].category, 'codegen');
+    assert.strictEqual(res.errors[0].file, 'Quest.gen');
+    assert.strictEqual(res.errors[0].lineNumber, 17);
+});
+
+check('project rules can disable, override and ignore built-in rules', () => {
+    const log = 'ERROR: Something from UBT\nFoo.cpp(1): warning C4996: deprecated\nnoise: error C9999: known flaky';
+    const rules = compileRules({
+        disable: ['ubt.error'],
+        rules: [
+            { id: 'msvc.warning', pattern: '\\bwarning C4996:', severity: 'error' },
+            { id: 'studio.flaky', pattern: 'known flaky', severity: 'ignore' }
+        ]
+    });
+    const res = filterLog(log, { rules });
+    assert.strictEqual(res.summary.errorCount, 1);
+    assert.strictEqual(res.errors[0].rule, 'msvc.warning');
+    assert.strictEqual(res.summary.warningCount, 0);
+});
+
+check('invalid rules fail with a descriptive error', () => {
+    assert.throws(() => compileRules({ rules: [{ id: 'bad', pattern: '(' }] }), /Invalid rule "bad"/);
+    assert.throws(() => compileRules({ packs: ['nope'] }), /Unknown rule pack "nope"/);
+});
+
+const clangLog = [
+    '[12/40] Compile Module.LastCourier.cpp',
+    'In file included from /home/ci/LastCourier/Intermediate/Build/Linux/Module.LastCourier.cpp:3:',
+    'In file included from /home/ci/LastCourier/Source/LastCourier/Player/LCCharacterBase.cpp:1:',
+    "/home/ci/LastCourier/Source/LastCourier/Player/LCCharacterBase.h:42:15: error: unknown type name 'ULCStaminaComponent'",
+    '    ULCStaminaComponent* Stamina;',
+    "/home/ci/LastCourier/Source/LastCourier/Player/LCStaminaComponent.h:10:7: note: forward declaration of 'ULCStaminaComponent'",
+    "C:/Program Files/Epic Games/UE_5.3/Engine/Source/Runtime/Core/Public/Containers/Array.h:120:3: warning: unused variable 'x' [-Wunused-variable]",
+    'ld.lld: error: undefined symbol: ULCStaminaComponent::StaticClass()'
+].join('\n');
+
+check('clang diagnostics are attributed to file, line and column', () => {
+    const res = filterLog(clangLog);
+    assert.strictEqual(res.summary.errorCount, 2);
+    assert.strictEqual(res.summary.warningCount, 1);
+    const err = res.errors[0];
+    assert.strictEqual(err.rule, 'clang.error');
+    assert.strictEqual(err.file, 'LCCharacterBase.h');
+    assert.strictEqual(err.lineNumber, 42);
+    assert.strictEqual(err.column, 15);
+    assert.strictEqual(res.errors[1].category, 'linker');
+    assert.deepStrictEqual(res.files, ['Array.h', 'LCCharacterBase.h']);
+});
+
+check('clang notes and include chains attach to their diagnostic', () => {
+    const err = filterLog(clangLog).errors[0];
+    assert.deepStrictEqual(err.includedFrom.map(inc => inc.file), ['Module.LastCourier.cpp', 'LCCharacterBase.cpp']);
+    assert.strictEqual(err.notes.length, 1);
+    assert.strictEqual(err.notes[0].file, 'LCStaminaComponent.h');
+});
+
+check('file filters match the translation unit of an include chain', () => {
+    const res = filterLog(clangLog, { fileFilters: ['LCCharacterBase.cpp'] });
+    assert.strictEqual(res.summary.errorCount, 1);
+    assert.strictEqual(res.errors[0].file, 'LCCharacterBase.h');
+});
+
+check('diagnostics are parsed into structured fields', () => {
+    const log = [
+        "1>D:\\Game\\Source\\LastCourier\\Player\\LCCharacterBase.cpp(42,7): error C2065: 'X': undeclared identifier [D:\\Game\\Intermediate\\LastCourier.vcxproj]",
+        "LINK : fatal error LNK1181: cannot open input file 'LCGameEvents.obj'",
+        'D:/Game/Source/LastCourier/Public/LCItem.h(12): error : In class ULCItem: bad specifier',
+        "Assets/Scripts/Foo.cs(3,9): error CS0103: The name 'bar' does not exist"
+    ].join('\n');
+    const [cl, link, uht, csc] = filterLog(log).errors;
+    assert.deepStrictEqual(
+        { severity: cl.severity, tool: cl.tool, code: cl.code, file: cl.file, lineNumber: cl.lineNumber, column: cl.column, project: cl.project, module: cl.module, text: cl.text },
+        { severity: 'error', tool: 'cl', code: 'C2065', file: 'LCCharacterBase.cpp', lineNumber: 42, column: 7, project: 'LastCourier', module: 'LastCourier', text: "'X': undeclared identifier" }
+    );
+    assert.strictEqual(cl.path, 'D:\\Game\\Source\\LastCourier\\Player\\LCCharacterBase.cpp');
+    assert.strictEqual(link.tool, 'link');
+    assert.strictEqual(link.code, 'LNK1181');
+    assert.strictEqual(uht.tool, 'UHT');
+    assert.strictEqual(uht.text, 'In class ULCItem: bad specifier');
+    assert.strictEqual(csc.tool, 'csc');
+    assert.strictEqual(csc.code, 'CS0103');
+});
+
+check('repeated diagnostics are grouped across translation units', () => {
+    const log = [
+        '1>Module.LastCourier.1.cpp',
+        "1>D:\\UE\\Engine\\Source\\Runtime\\Core\\Public\\Misc\\Foo.h(12): warning C4996: 'Bar': deprecated",
+        '1>Module.LastCourier.2.cpp',
+        "1>D:\\UE\\Engine\\Source\\Runtime\\Core\\Public\\Misc\\Foo.h(12): warning C4996: 'Bar':  deprecated",
+        "1>D:\\Game\\Source\\LastCourier\\LCItem.cpp(3): error C2065: 'x': undeclared identifier"
+    ].join('\n');
+    assert.strictEqual(filterLog(log).summary.warningCount, 2);
+
+    const res = filterLog(log, normalizeOptions({ groupDuplicates: 'true' }));
+    assert.strictEqual(res.summary.warningCount, 1);
+    assert.strictEqual(res.summary.duplicatesCollapsed, 1);
+    assert.strictEqual(res.warnings[0].occurrences, 2);
+    assert.deepStrictEqual(res.warnings[0].lines, [2, 4]);
+    assert.deepStrictEqual(res.warnings[0].translationUnits, ['Module.LastCourier.1.cpp', 'Module.LastCourier.2.cpp']);
+    assert.ok(res.filteredContent.includes('repeated 2x in 2 translation units'));
+});
+
+check('MSVC follow-up notes attach to their parent error', () => {
+    const log = [
+        "1>D:\\Game\\Source\\LC\\LCItem.cpp(42,7): error C2664: 'void ULCItem::Use(int)': cannot convert argument 1 from 'FString' to 'int'",
+        "1>D:\\Game\\Source\\LC\\LCItem.h(20,10): note: see declaration of 'ULCItem::Use'",
+        "1>D:\\UE\\Engine\\Source\\Runtime\\Core\\Public\\Containers\\Array.h(100): note: while compiling class template member function 'void TArray<int>::Add(int)'",
+        "1>D:\\Game\\Source\\LC\\LCItem.cpp(50) : see reference to function template instantiation 'void Foo<int>(T)' being compiled",
+        "1>D:\\Game\\Source\\LC\\LCOther.cpp(10): error C2220: the following warning is treated as an error",
+        "1>D:\\Game\\Source\\LC\\LCOther.cpp(10): warning C4996: 'Bar': was declared deprecated",
+        "1>D:\\Game\\Source\\LC\\LCOther.cpp(11): warning C4100: 'x': unreferenced formal parameter"
+    ].join('\n');
+    const res = filterLog(log);
+    assert.strictEqual(res.summary.errorCount, 2);
+    assert.strictEqual(res.summary.warningCount, 1);
+    assert.deepStrictEqual(res.errors[0].notes.map(note => note.file), ['LCItem.h', 'Array.h', 'LCItem.cpp']);
+    assert.strictEqual(res.errors[1].code, 'C2220');
+    assert.strictEqual(res.errors[1].notes[0].code, 'C4996');
+    assert.strictEqual(res.warnings[0].code, 'C4100');
+});
+
+check('context windows of nearby errors are merged', () => {
+    const log = [
+        'line1',
+        "A.cpp(2): error C2065: 'x': undeclared identifier",
+        'line3',
+        "A.cpp(4): error C2065: 'y': undeclared identifier",
+        'line5', 'line6', 'line7', 'line8',
+        "B.cpp(9): error C2065: 'z': undeclared identifier",
+        'line10'
+    ].join('\n');
+    const res = filterLog(log, { contextLines: 1, contextAfter: 1 });
+    assert.deepStrictEqual(res.contextBlocks.map(b => [b.startLine, b.endLine, b.errorLines]), [[1, 5, [2, 4]], [8, 10, [9]]]);
+    assert.deepStrictEqual(res.errors[0].contextAfter, ['line3']);
+    assert.ok(res.filteredContent.includes('### Errors at lines 2, 4'));
+    assert.ok(res.filteredContent.includes("> 4 | A.cpp(4): error C2065: 'y'"));
+    assert.ok(res.filteredContent.includes('  3 | line3'));
+});
+
+check('streamed input gives the same result as a string', async () => {
+    const { Readable } = require('stream');
+    const { filterStream } = require('./lib');
+    const log = sampleLog + "\nÜnicode.cpp(1): error C2065: 'ü': undeclared identifier\n";
+    const bytes = Buffer.from(log, 'utf8');
+    // Chunks that split lines and multi-byte characters
+    const chunks = [];
+    for (let i = 0; i < bytes.length; i += 7) {
+        chunks.push(bytes.subarray(i, i + 7));
+    }
+
+    const options = { contextLines: 2, contextAfter: 1 };
+    const streamed = await filterStream(Readable.from(chunks), options);
+    const direct = filterLog(log, options);
+    assert.deepStrictEqual(streamed.summary, direct.summary);
+    assert.deepStrictEqual(streamed.errors, direct.errors);
+    assert.deepStrictEqual(streamed.contextBlocks, direct.contextBlocks);
+    assert.strictEqual(streamed.format, 'build-log');
+});
+
+check('token budget keeps errors first and reports what was omitted', () => {
+    const { shortenPaths, elideTemplates } = require('./lib/budget');
+    assert.strictEqual(shortenPaths('D:\\Projects\\LastCourier\\Source\\Player\\LCItem.cpp(3): error').text, '...\\Player\\LCItem.cpp(3): error');
+    assert.strictEqual(elideTemplates("'TArray<TPair<FString,TMap<FName,TSharedPtr<FJsonValue,ESPMode::ThreadSafe>>>>::Add'").text, "'TArray<...>::Add'");
+    assert.strictEqual(elideTemplates('if (a < b && c->d > e) TArray<int32>').text, 'if (a < b && c->d > e) TArray<int32>');
+
+    const lines = [];
+    for (let i = 0; i < 40; i++) {
+        lines.push(`1>D:\\Projects\\LastCourier\\Source\\LastCourier\\Player\\LCItem${i}.cpp(3): error C2065: 'x${i}': undeclared identifier`);
+        lines.push(`1>D:\\Projects\\LastCourier\\Source\\LastCourier\\Player\\LCItem${i}.cpp(4): warning C4100: 'y': unreferenced formal parameter`);
+    }
+    const res = filterLog(lines.join('\n'), normalizeOptions({ tokenBudget: '500' }));
+    const budget = res.summary.budget;
+    assert.ok(budget.estimatedTokens <= 500, `used ${budget.estimatedTokens} tokens`);
+    assert.ok(budget.shownErrors > 0 && budget.shownErrors < 40);
+    assert.strictEqual(budget.shownWarnings, 0);
+    assert.strictEqual(budget.omittedErrors, 40 - budget.shownErrors);
+    assert.ok(res.filteredContent.includes(`${budget.omittedErrors} of 40 errors (lines ${2 * budget.shownErrors + 1}, `));
+    assert.ok(res.filteredContent.includes('40 of 40 warnings'));
+    assert.strictEqual(res.errors.length, 40);
+});
+
+check('C++ type names are simplified on request, keeping the original', () => {
+    const log = [
+        "1>D:\\Game\\Source\\LC\\LCItem.cpp(42): error C2664: 'void TArray<TSharedPtr<FJsonValue,ESPMode::ThreadSafe>,TSizedDefaultAllocator<32>>::Add(int)': cannot convert argument 1 from 'std::vector<std::basic_string<char,std::char_traits<char>,std::allocator<char> >,std::allocator<std::basic_string<char,std::char_traits<char>,std::allocator<char> > > >' to 'int'",
+        "1>D:\\Game\\Source\\LC\\LCItem.cpp(43): note: see reference to class template instantiation 'std::map<class FString,struct FFoo,struct std::less<class FString>,class std::allocator<struct std::pair<class FString const ,struct FFoo> > >' being compiled",
+        "1>D:\\Game\\Source\\LC\\LCItem.cpp(50): error C2440: 'initializing': cannot convert from 'ULCItem::Use::<lambda_3f2a9c1b0d8e7f6a>' to 'TFunction<void __cdecl(void)>'",
+        "1>D:\\Game\\Source\\LC\\LCItem.cpp(60): error C2065: 'TMap<FName, int32>': undeclared identifier"
+    ].join('\n');
+    assert.strictEqual(filterLog(log).errors[0].originalMessage, undefined);
+
+    const [array, lambda, plain] = filterLog(log, normalizeOptions({ simplifyMessages: true })).errors;
+    assert.strictEqual(array.text, "'void TArray<TSharedPtr<FJsonValue>>::Add(int)': cannot convert argument 1 from 'std::vector<std::string>' to 'int'");
+    assert.ok(array.originalMessage.includes('TSizedDefaultAllocator<32>'));
+    assert.strictEqual(array.notes[0].text, "see reference to class template instantiation 'std::map<FString,FFoo>' being compiled");
+    assert.strictEqual(lambda.text, "'initializing': cannot convert from 'ULCItem::Use::<lambda>' to 'TFunction<void(void)>'");
+    assert.strictEqual(plain.originalMessage, undefined);
+});
+
+check('UBT diagnostics are attributed to target, action and module', () => {
+    const log = [
+        'Running UnrealBuildTool: dotnet "..\\..\\Engine\\Binaries\\DotNET\\UnrealBuildTool\\UnrealBuildTool.dll" LastCourierEditor Win64 Development -Project="D:\\Game\\LastCourier.uproject"',
+        'Building LastCourierEditor...',
+        '[1/4] Compile [x64] Module.LastCourier.cpp',
+        "D:\\UE\\Engine\\Source\\Runtime\\Core\\Public\\Misc\\Foo.h(12): warning C4996: 'Bar': deprecated",
+        "D:\\Game\\Source\\LastCourier\\Player\\LCCharacterBase.cpp(42): error C2065: 'X': undeclared identifier",
+        '[2/4] Compile [x64] Module.LCNetwork.cpp',
+        'LogInit: Display: Summary: 0 ERROR: 0 warnings',
+        '[3/4] Link [x64] UnrealEditor-LastCourier.dll',
+        'UnrealEditor-LastCourier.dll : error LNK2019: unresolved external symbol Foo',
+        'ERROR: UnrealBuildTool failed with exit code 6'
+    ].join('\n');
+    const res = filterLog(log);
+    assert.deepStrictEqual(res.targets, [{ name: 'LastCourierEditor', platform: 'Win64', configuration: 'Development' }]);
+    assert.strictEqual(res.errors.length, 3);
+    assert.deepStrictEqual(res.errors[0].action, { index: 1, total: 4, verb: 'Compile', file: 'Module.LastCourier.cpp' });
+    assert.strictEqual(res.warnings[0].module, 'LastCourier');
+    assert.strictEqual(res.errors[1].action.verb, 'Link');
+    assert.strictEqual(res.errors[1].module, 'LastCourier');
+    assert.strictEqual(res.errors[2].action, undefined);
+    assert.strictEqual(res.errors[2].target, 'LastCourierEditor');
+    assert.deepStrictEqual(res.modules, [
+        { module: 'LastCourier', errors: 2, warnings: 1 },
+        { module: '(unknown)', errors: 1, warnings: 0 }
+    ]);
+    assert.ok(res.filteredContent.includes('# Target: LastCourierEditor (Win64 Development)'));
+    assert.ok(res.filteredContent.includes('| LastCourier | 2 | 1 |'));
+});
+
+check('UHT and generated-file diagnostics are labeled as reflection errors', () => {
+    const log = [
+        'Parsing headers for LastCourierEditor',
+        "D:\\Game\\Source\\LastCourier\\Public\\LCItem.h(42): Error: Unrecognized type 'FFoo' - type must be a UCLASS, USTRUCT, UENUM, or global delegate.",
+        'Reflection code generated for LastCourierEditor in 1.2 seconds',
+        '[1/3] Compile [x64] Module.LastCourier.gen.cpp',
+        "D:\\Game\\Intermediate\\Build\\Win64\\UnrealEditor\\Inc\\LastCourier\\UHT\\LCCharacterBase.gen.cpp(55): error C2039: 'Stamina': is not a member of 'ALCCharacterBase'",
+        "D:\\Game\\Source\\LastCourier\\Player\\LCCharacterBase.h(15): note: see declaration of 'ALCCharacterBase'",
+        "D:\\Game\\Intermediate\\Build\\Win64\\UnrealEditor\\Inc\\LastCourier\\UHT\\LCItem.gen.cpp(10): error C2065: 'FFoo': undeclared identifier",
+        "D:\\Game\\Source\\LastCourier\\Private\\LCItem.cpp(7): error C2065: 'Bar': undeclared identifier"
+    ].join('\n');
+    const [uht, character, item, plain] = filterLog(log).errors;
+    assert.deepStrictEqual(uht.reflection, { source: 'uht', header: 'LCItem.h', headerPath: 'D:\\Game\\Source\\LastCourier\\Public\\LCItem.h' });
+    assert.strictEqual(uht.tool, 'UHT');
+    assert.deepStrictEqual(character.reflection, {
+        source: 'generated',
+        generatedFile: 'LCCharacterBase.gen.cpp',
+        header: 'LCCharacterBase.h',
+        headerPath: 'D:\\Game\\Source\\LastCourier\\Player\\LCCharacterBase.h'
+    });
+    assert.strictEqual(item.reflection.headerPath, 'D:\\Game\\Source\\LastCourier\\Public\\LCItem.h');
+    assert.strictEqual(plain.reflection, undefined);
+
+    const filtered = filterLog(log, { format: 'minimal', fileFilter: 'LCCharacterBase.h' });
+    assert.deepStrictEqual(filtered.errors.map(e => e.line), [5]);
+    assert.ok(filtered.filteredContent.includes('(reflection: LCCharacterBase.gen.cpp is generated from D:\\Game\\Source\\LastCourier\\Player\\LCCharacterBase.h)'));
+});
+
+check('UE runtime logs are filtered by category and verbosity', async () => {
+    const { filterStream } = require('./lib');
+    const { Readable } = require('stream');
+    const log = [
+        'LogInit: Display: Running engine for game: LastCourier',
+        'LogInit: Warning: Incompatible plugin \'Foo\'',
+        '[2026.01.21-20.00.01:100][  0]LogTemp: Display: Starting',
+        '[2026.01.21-20.00.01:200][  0]LogNet: Warning: Connection timed out',
+        '[2026.01.21-20.00.02:300][ 12]LogBlueprint: Error: Accessed None trying to read property Stamina',
+        '\tNode: Get Stamina Graph: EventGraph Function: Execute Ubergraph BP_Player',
+        '[2026.01.21-20.00.03:400][ 13]LogTemp: something ERROR: x',
+        '[2026.01.21-20.00.04:500][ 14]LogNet: Error: UNetDriver::TickDispatch: Very long time between ticks',
+        '[2026.01.21-20.00.05:600][ 15]LogRHI: Warning: GPU slow'
+    ].join('\n');
+    assert.strictEqual(detectLogType(log), 'ue-runtime-log');
+    assert.strictEqual(detectLogType(sampleLog), 'build-log');
+
+    const res = filterLog(log, normalizeOptions({ excludeCategories: 'LogRHI' }));
+    assert.strictEqual(res.format, 'ue-runtime-log');
+    assert.deepStrictEqual(res.errors.map(e => e.category), ['LogBlueprint', 'LogNet']);
+    assert.deepStrictEqual(res.warnings.map(w => w.line), [2, 4]);
+    assert.deepStrictEqual(
+        { timestamp: res.errors[0].timestamp, frame: res.errors[0].frame, verbosity: res.errors[0].verbosity, text: res.errors[0].text },
+        { timestamp: '2026.01.21-20.00.02:300', frame: 12, verbosity: 'Error', text: 'Accessed None trying to read property Stamina' }
+    );
+    assert.deepStrictEqual(res.errors[0].details, ['Node: Get Stamina Graph: EventGraph Function: Execute Ubergraph BP_Player']);
+    assert.deepStrictEqual(res.categories.map(c => [c.category, c.errors, c.warnings]), [
+        ['LogNet', 1, 1], ['LogBlueprint', 1, 0], ['LogInit', 0, 1], ['LogRHI', 0, 1]
+    ]);
+
+    const netErrors = filterLog(log, normalizeOptions({ categories: ['LogNet'], minVerbosity: 'error' }));
+    assert.deepStrictEqual(netErrors.errors.map(e => e.line), [8]);
+    assert.strictEqual(netErrors.warnings.length, 0);
+
+    const verbose = filterLog(log, normalizeOptions({ categories: 'LogTemp', minVerbosity: 'Log' }));
+    assert.deepStrictEqual(verbose.messages.map(m => m.verbosity), ['Display', 'Log']);
+    assert.throws(() => filterLog(log, { minVerbosity: 'Loud' }), /Unknown verbosity "Loud"/);
+
+    const streamed = await filterStream(Readable.from([log]), normalizeOptions({ excludeCategories: 'LogRHI' }));
+    assert.strictEqual(streamed.format, 'ue-runtime-log');
+    assert.deepStrictEqual(streamed.errors, res.errors);
+});
+
+check('UE crashes are extracted from runtime logs, crash texts and CrashContext XML', async () => {
+    const { filterStream } = require('./lib');
+    const { Readable } = require('stream');
+    const prefix = '[2026.01.21-20.00.05:600][ 15]LogWindows: Error: ';
+    const frames = [
+        'UnrealEditor-LastCourier.dll!ALCCharacterBase::Tick() [D:\\Game\\Source\\LastCourier\\Player\\LCCharacterBase.cpp:120]',
+        'UnrealEditor-Engine.dll!AActor::TickActor() [D:\\UE\\Engine\\Source\\Runtime\\Engine\\Private\\Actor.cpp:1100]',
+        'UnrealEditor-Engine.dll!FActorTickFunction::ExecuteTick() [D:\\UE\\Engine\\Source\\Runtime\\Engine\\Private\\Actor.cpp:200]',
+        'UnrealEditor-Core.dll!UnknownFunction []',
+        'UnrealEditor-LastCourier.dll!ULCGameInstance::Tick() [D:\\Game\\Source\\LastCourier\\Core\\LCGameInstance.cpp:55]',
+        'kernel32.dll!UnknownFunction []'
+    ];
+    const log = [
+        '[2026.01.21-20.00.04:500][ 14]LogTemp: Display: Starting',
+        '[2026.01.21-20.00.04:600][ 14]LogBlueprint: Error: Accessed None trying to read property Stamina',
+        '[2026.01.21-20.00.04:700][ 14]LogNet: Warning: slow',
+        `${prefix}=== Critical error: ===`,
+        prefix,
+        `${prefix}Unhandled Exception: EXCEPTION_ACCESS_VIOLATION reading address 0x0000000000000010`,
+        prefix
+    ].concat(frames.map((frame, i) => `${prefix}[Callstack] 0x00007ffb1234ab${10 + i} ${frame}`)).concat([
+        '[2026.01.21-20.00.05:700][ 15]LogExit: Executing StaticShutdownAfterError'
+    ]).join('\n');
+
+    const res = filterLog(log, normalizeOptions({ callstackDepth: '2' }));
+    assert.strictEqual(res.format, 'ue-runtime-log');
+    assert.deepStrictEqual(res.errors.map(e => e.category), ['LogBlueprint']);
+    assert.deepStrictEqual(res.summary.crash, {
+        crashType: 'exception',
+        exceptionType: 'EXCEPTION_ACCESS_VIOLATION',
+        assertion: null,
+        faultingModule: 'LastCourier',
+        faultingFunction: 'ALCCharacterBase::Tick()',
+        frameCount: 6,
+        shownFrames: 3,
+        omittedFrames: 3
+    });
+    assert.deepStrictEqual(res.crash.frames.map(f => f.kind), ['project', 'engine', 'engine', 'engine', 'project', 'system']);
+    assert.ok(res.filteredContent.includes('> #0 UnrealEditor-LastCourier.dll!ALCCharacterBase::Tick()'));
+    assert.ok(res.filteredContent.includes('  #4 UnrealEditor-LastCourier.dll!ULCGameInstance::Tick()'));
+    assert.ok(res.filteredContent.includes('(3 engine/system frames below depth 2 omitted)'));
+
+    const xml = [
+        '<?xml version="1.0" encoding="UTF-8"?>',
+        '<FGenericCrashContext>',
+        '\t<RuntimeProperties>',
+        '\t\t<ErrorMessage>Assertion failed: IsValid(StaminaComponent) [File:D:\\Game\\Source\\LastCourier\\Player\\LCCharacterBase.cpp] [Line: 88] ',
+        'Stamina component missing on &apos;BP_Player_C&#x27;</ErrorMessage>',
+        '\t\t<CrashType>Assert</CrashType>',
+        '\t\t<CallStack>UnrealEditor_Core!FDebug::CheckVerifyFailedImpl() [D:\\UE\\Engine\\Source\\Runtime\\Core\\Private\\Misc\\AssertionMacros.cpp:475]',
+        'UnrealEditor_LastCourier!ALCCharacterBase::BeginPlay() [D:\\Game\\Source\\LastCourier\\Player\\LCCharacterBase.cpp:88]',
+        'kernel32</CallStack>',
+        '\t\t<GameName>UE-LastCourier</GameName>',
+        '\t</RuntimeProperties>',
+        '</FGenericCrashContext>'
+    ].join('\n');
+    const report = filterLog(xml);
+    assert.strictEqual(report.format, 'crash-report');
+    assert.strictEqual(report.summary.crashType, 'assertion');
+    assert.strictEqual(report.summary.assertion, 'IsValid(StaminaComponent)');
+    assert.strictEqual(report.summary.faultingFunction, 'ALCCharacterBase::BeginPlay()');
+    assert.deepStrictEqual(report.crash.message, ['Stamina component missing on \'BP_Player_C\'']);
+    assert.deepStrictEqual(
+        { path: report.errors[0].path, lineNumber: report.errors[0].lineNumber, module: report.errors[0].module },
+        { path: 'D:\\Game\\Source\\LastCourier\\Player\\LCCharacterBase.cpp', lineNumber: 88, module: 'LastCourier' }
+    );
+    assert.strictEqual((await filterStream(Readable.from([xml]))).summary.faultingModule, 'LastCourier');
+
+    const text = filterLog(['Unhandled Exception: SIGSEGV: invalid attempt to read memory at address 0x0000000000000008', '']
+        .concat(frames.map(frame => `[Callstack] 0x0000000000001234 ${frame.replace('.dll', '.so').replace('UnrealEditor-', 'libUnrealEditor-')}`))
+        .join('\n'));
+    assert.strictEqual(text.format, 'crash-report');
+    assert.strictEqual(text.summary.exceptionType, 'SIGSEGV');
+    assert.strictEqual(text.summary.faultingModule, 'LastCourier');
+});
+
+check('Unity Editor.log compiler errors are reported per assembly with failure summaries', async () => {
+    const { filterStream } = require('./lib');
+    const { Readable } = require('stream');
+    const playerError = "Assets/Scripts/Player.cs(12,5): error CS0103: The name 'stamina' does not exist in the current context";
+    const log = [
+        'Unity Editor version:    2022.3.10f1 (ff3792e53c62)',
+        '[Licensing::Module] Successfully connected to LicensingClient',
+        'Loading GUID <-> Path mappings...0.000 seconds',
+        '[ 43/ 48  0s] Csc Library/Bee/artifacts/1900b0aE.dag/Assembly-CSharp.dll (+2 others)',
+        playerError,
+        "Assets/Scripts/Player.cs(20,9): warning CS0168: The variable 'e' is declared but never used",
+        'Player: error while saving stamina',
+        '[ 44/ 48  0s] Csc Library/Bee/artifacts/1900b0aE.dag/Game.Editor.dll',
+        "Assets/Editor/LevelTools.cs(3,1): error CS0246: The type or namespace name 'Level' could not be found",
+        'Scripts have compiler errors.',
+        playerError,
+        'Unloading broken assembly Library/ScriptAssemblies/Game.Editor.dll, this assembly can cause crashes in the runtime',
+        'Aborting batchmode due to failure:'
+    ].join('\n');
+    assert.strictEqual(detectLogType(log), 'unity-editor-log');
+
+    const res = filterLog(log);
+    assert.strictEqual(res.format, 'unity-editor-log');
+    assert.deepStrictEqual(res.errors.map(e => [e.line, e.code, e.assembly, e.occurrences]), [
+        [5, 'CS0103', 'Assembly-CSharp', 2],
+        [9, 'CS0246', 'Game.Editor', 1]
+    ]);
+    assert.deepStrictEqual(res.warnings.map(w => w.code), ['CS0168']);
+    assert.deepStrictEqual(res.assemblies, [
+        { assembly: 'Assembly-CSharp', errors: 1, warnings: 1 },
+        { assembly: 'Game.Editor', errors: 1, warnings: 0 }
+    ]);
+    assert.deepStrictEqual(res.failures.map(f => [f.kind, f.assembly]), [
+        ['compilation', null], ['assembly-load', 'Game.Editor'], ['batchmode', null]
+    ]);
+    assert.strictEqual(res.summary.unityVersion, '2022.3.10f1');
+    assert.strictEqual(res.summary.compilationFailed, true);
+    assert.strictEqual(res.summary.domainReloadFailed, true);
+    assert.ok(res.filteredContent.includes(`[Line 5] ${playerError} (Assembly-CSharp, printed 2 times)`));
+    assert.ok(!res.filteredContent.includes('error while saving'));
+
+    const streamed = await filterStream(Readable.from([log]));
+    assert.strictEqual(streamed.format, 'unity-editor-log');
+    assert.deepStrictEqual(streamed.errors, res.errors);
+});
+
+check('Unity exception blocks keep their traces, collapse repeats and point at project code', async () => {
+    const { filterStream } = require('./lib');
+    const { Readable } = require('stream');
+    const nullRef = [
+        'NullReferenceException: Object reference not set to an instance of an object',
+        'Game.Combat.Weapon.Fire () (at Assets/Scripts/Combat/Weapon.cs:42)',
+        'Player.Update () (at Assets/Scripts/Player.cs:17)',
+        '',
+        '(Filename: Assets/Scripts/Combat/Weapon.cs Line: 42)',
+        ''
+    ];
+    const log = [
+        "Mono path[0] = 'C:/Game/Game_Data/Managed'",
+        'Initialize engine version: 2022.3.10f1 (ff3792e53c62)',
+        'GfxDevice: creating device client; threaded=1',
+        'Input initialized.'
+    ].concat(nullRef, nullRef, [
+        "UnityEngine.MissingReferenceException: The object of type 'GameObject' has been destroyed but you are still trying to access it.",
+        '  at (wrapper managed-to-native) UnityEngine.Component.get_transform(UnityEngine.Component)',
+        '  at UnityEngine.Component.get_transform () [0x00000] in <8d2d9a4c3bf24d8d8a9a4b5c3a7b7a0c>:0 ',
+        '  at EnemySpawner.Spawn () [0x00012] in <8d2d9a4c3bf24d8d8a9a4b5c3a7b7a0c>:0 ',
+        '',
+        'UnloadTime: 0.5 ms'
+    ]).join('\n');
+    assert.strictEqual(detectLogType(log), 'unity-player-log');
+
+    const res = filterLog(log);
+    assert.strictEqual(res.format, 'unity-player-log');
+    assert.deepStrictEqual(res.exceptions.map(e => [e.line, e.exceptionType, e.function, e.path, e.lineNumber, e.occurrences]), [
+        [5, 'NullReferenceException', 'Game.Combat.Weapon.Fire', 'Assets/Scripts/Combat/Weapon.cs', 42, 2],
+        [17, 'UnityEngine.MissingReferenceException', 'EnemySpawner.Spawn', null, null, 1]
+    ]);
+    assert.deepStrictEqual(res.exceptions[1].frames.map(f => f.kind), ['engine', 'engine', 'project']);
+    assert.ok(res.filteredContent.includes('(Game.Combat.Weapon.Fire in Assets/Scripts/Combat/Weapon.cs:42, thrown 2 times)'));
+    assert.ok(res.filteredContent.includes('  > Game.Combat.Weapon.Fire () (at Assets/Scripts/Combat/Weapon.cs:42)\n    Player.Update () (at Assets/Scripts/Player.cs:17)'));
+    assert.ok(!filterLog(log, { showStackTraces: false }).filteredContent.includes('Player.Update ()'));
+
+    // The same blocks in an Editor.log, ending at the next log line
+    const editorLog = ['Unity Editor version:    2022.3.10f1 (ff3792e53c62)', '[Licensing::Module] Successfully connected']
+        .concat(nullRef.slice(0, 3), ['Reloading assemblies after forced synchronous recompile.'])
+        .join('\n');
+    const editor = filterLog(editorLog);
+    assert.strictEqual(editor.format, 'unity-editor-log');
+    assert.deepStrictEqual(editor.exceptions.map(e => e.trace.length), [2]);
+
+    // `throw new Exception("...")` prints the bare type name
+    const plain = filterLog(['Unity Editor version:    2022.3.10f1 (ff3792e53c62)', '[Licensing::Module] Successfully connected',
+        'Exception: Save slot 3 is corrupt', 'SaveSystem.Load () (at Assets/Scripts/SaveSystem.cs:88)', ''].join('\n'));
+    assert.deepStrictEqual(plain.exceptions.map(e => [e.exceptionType, e.function, e.lineNumber]), [['Exception', 'SaveSystem.Load', 88]]);
+
+    const streamed = await filterStream(Readable.from([log]));
+    assert.strictEqual(streamed.format, 'unity-player-log');
+    assert.deepStrictEqual(streamed.exceptions, res.exceptions);
+});
+
+check('MSBuild binary logs are decoded and filtered like build logs', async () => {
+    const zlib = require('zlib');
+    const fs = require('fs');
+    const os = require('os');
+    const path = require('path');
+    const { Readable } = require('stream');
+    const { filterStream, filterFile, binlogToText } = require('./lib');
+
+    // Minimal format 21 binlog: strings, TargetStarted, TaskStarted, Error and Warning records
+    const varint = (value) => {
+        const bytes = [];
+        let rest = value >>> 0;
+        while (rest >= 0x80) {
+            bytes.push((rest & 0x7f) | 0x80);
+            rest >>>= 7;
+        }
+        bytes.push(rest);
+        return Buffer.from(bytes);
+    };
+    const header = Buffer.alloc(8);
+    header.writeInt32LE(21, 0);
+    header.writeInt32LE(18, 4);
+    const parts = [header];
+    const strings = [];
+    const ref = (text) => {
+        if (text === null) {
+            return varint(0);
+        }
+        if (!strings.includes(text)) {
+            strings.push(text);
+            parts.push(varint(24), varint(Buffer.byteLength(text)), Buffer.from(text));
+        }
+        return varint(strings.indexOf(text) + 10);
+    };
+    const context = (target, task) => Buffer.concat([1, 4, target, task, 0, 2, -1].map(varint));
+    const timestamp = Buffer.concat([Buffer.alloc(8), varint(2)]);
+    const record = (kind, fields) => {
+        const body = Buffer.concat(fields);
+        parts.push(varint(kind), varint(body.length), body);
+    };
+    const project = '/src/App/App.csproj';
+    record(5, [varint(0x21), context(3, -1), timestamp, ref('CoreCompile'), ref(project)]);
+    record(7, [varint(0x21), context(3, 7), timestamp, ref('Csc'), ref(project)]);
+    record(9, [varint(0x2d), ref("The name 'Foo' does not exist in the current context"), context(3, 7), ref('Csc'), timestamp,
+        ref(''), ref('CS0103'), ref('/src/App/Program.cs'), ref(project)].concat([4, 9, 0, 0].map(varint)));
+    const tools = '/src/Tools/Tools.csproj';
+    record(5, [varint(0x21), context(5, -1), timestamp, ref('GenerateCode'), ref(tools)]);
+    record(7, [varint(0x21), context(5, 9), timestamp, ref('Exec'), ref(tools)]);
+    record(9, [varint(0x2d), ref('The command "dotnet tool run gen\n      --out obj/Generated" exited with code 1.'), context(5, 9), ref('Exec'), timestamp,
+        ref(''), ref('MSB3073'), ref(tools), ref(tools)].concat([12, 5, 0, 0].map(varint)));
+    record(10, [varint(0x2d | 0x4000), ref('Package {0} is not found'), context(-1, -1), ref('NuGet'), timestamp,
+        varint(1), ref('Foo.Bar'), ref(null), ref('NU1101'), ref(project), ref(project)].concat([0, 0, 0, 0].map(varint)));
+    parts.push(varint(0));
+    const binlog = zlib.gzipSync(Buffer.concat(parts));
+
+    assert.strictEqual(detectLogType(binlog), 'msbuild-binlog');
+    assert.strictEqual(binlogToText(binlog), [
+        "/src/App/Program.cs(4,9): error CS0103: The name 'Foo' does not exist in the current context [/src/App/App.csproj]",
+        '/src/Tools/Tools.csproj(12,5): error MSB3073: The command "dotnet tool run gen --out obj/Generated" exited with code 1.',
+        '/src/App/App.csproj : warning NU1101: Package Foo.Bar is not found'
+    ].join('\n'));
+
+    const res = filterLog(binlog);
+    assert.strictEqual(res.format, 'msbuild-binlog');
+    assert.deepStrictEqual(
+        [res.errors[0].file, res.errors[0].lineNumber, res.errors[0].code, res.errors[0].project, res.errors[0].target, res.errors[0].task],
+        ['Program.cs', 4, 'CS0103', project, 'CoreCompile', 'Csc']
+    );
+    assert.deepStrictEqual([res.errors[1].code, res.errors[1].project, res.errors[1].target, res.errors[1].task], ['MSB3073', tools, 'GenerateCode', 'Exec']);
+    assert.deepStrictEqual([res.warnings[0].code, res.warnings[0].project, res.warnings[0].target], ['NU1101', project, null]);
+    assert.deepStrictEqual(res.binlog, { formatVersion: 21, projects: [{ project, errors: 1, warnings: 1 }, { project: tools, errors: 1, warnings: 0 }] });
+
+    // Decoded as it is read: records are split across chunks
+    const pieces = [];
+    for (let i = 0; i < binlog.length; i += 7) {
+        pieces.push(binlog.subarray(i, i + 7));
+    }
+    const streamed = await filterStream(Readable.from(pieces));
+    assert.strictEqual(streamed.format, 'msbuild-binlog');
+    assert.deepStrictEqual(streamed.errors, res.errors);
+    assert.deepStrictEqual(streamed.binlog, res.binlog);
+    await assert.rejects(filterStream(Readable.from([binlog.subarray(0, binlog.length - 12)])), /unexpected end of file/);
+
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'binlog-'));
+    try {
+        fs.writeFileSync(path.join(dir, 'build.binlog'), binlog);
+        assert.strictEqual((await filterFile(path.join(dir, 'build.binlog'))).summary.errorCount, 2);
+    } finally {
+        fs.rmSync(dir, { recursive: true, force: true });
+    }
+
+    const old = Buffer.alloc(4);
+    old.writeInt32LE(14, 0);
+    assert.throws(() => filterLog(zlib.gzipSync(old)), /format version 14 is not supported/);
+});
+
+check('parallel build output is split into per-project streams', () => {
+    const log = [
+        'Build started...',
+        "1>------ Build started: Project: Core, Configuration: Debug x64 ------",
+        "2>------ Build started: Project: Game, Configuration: Debug x64 ------",
+        '1>Math.cpp',
+        '2>Player.cpp',
+        "2>D:\\Src\\Game\\Player.cpp(10): error C2065: 'speed': undeclared identifier",
+        "1>D:\\Src\\Core\\Math.cpp(5): warning C4244: 'argument': conversion from 'double' to 'float'",
+        "2>D:\\Src\\Game\\Player.h(12): note: see declaration of 'Player'",
+        "1>D:\\Src\\Core\\Math.cpp(20): error C2143: syntax error: missing ';' before '}'",
+        '1>Done building project "Core.vcxproj" -- FAILED.',
+        '2>Done building project "Game.vcxproj" -- FAILED.',
+        "3>Project \"D:\\Src\\App.sln\" (1) is building \"D:\\Src\\Tools\\Tools.vcxproj\" (3) on node 2 (default targets).",
+        "3>D:\\Src\\Tools\\Tool.cpp(7): error C2065: 'y': undeclared identifier [D:\\Src\\Tools\\Tools.vcxproj]"
+    ].join('\n');
+    const res = filterLog(log, { contextLines: 2 });
+    assert.deepStrictEqual(res.errors.map(e => [e.project, e.configuration, e.node, e.translationUnit]), [
+        ['Game', 'Debug x64', 2, 'Player.cpp'],
+        ['Core', 'Debug x64', 1, 'Math.cpp'],
+        ['Tools', null, 3, null]
+    ]);
+    assert.deepStrictEqual(res.errors[0].notes.map(note => note.file), ['Player.h']);
+    assert.strictEqual(res.errors[1].notes, undefined);
+    // Context comes from the error's own project
+    assert.deepStrictEqual(res.errors[1].context, ['1>Math.cpp', "1>D:\\Src\\Core\\Math.cpp(5): warning C4244: 'argument': conversion from 'double' to 'float'"]);
+    assert.deepStrictEqual(res.projects, [
+        { project: 'Core', configuration: 'Debug x64', errors: 1, warnings: 1 },
+        { project: 'Game', configuration: 'Debug x64', errors: 1, warnings: 0 },
+        { project: 'Tools', configuration: null, errors: 1, warnings: 0 }
+    ]);
+    assert.ok(res.filteredContent.includes('| Core | Debug x64 | 1 | 1 |'));
+    const output = res.filteredContent;
+    assert.ok(output.indexOf('### Core (Debug x64): 1 error') < output.indexOf('### Error at line 9'));
+    assert.ok(output.indexOf('### Game (Debug x64): 1 error') < output.indexOf('### Error at line 6'));
+    assert.ok(filterLog(log, { format: 'minimal' }).filteredContent.includes('--- Tools ---\n[Line 13]'));
+});
+
+check('dotnet build output merges target frameworks and names NuGet packages', () => {
+    const log = [
+        '  Determining projects to restore...',
+        '/src/App/App.csproj : error NU1605: Warning As Error: Detected package downgrade: Contoso.Lib from 2.0.0 to 1.0.0. Reference the package directly from the project to select a different version. ',
+        '/src/App/App.csproj : error NU1605:  App -> Contoso.Mid 1.0.0 -> Contoso.Lib (>= 2.0.0) ',
+        '/src/App/App.csproj : error NU1605:  App -> Contoso.Lib (>= 1.0.0)',
+        '/src/Tools/Tools.csproj : error NU1101: Unable to find package Contoso.Missing. No packages exist with this id in source(s): local',
+        "/src/Multi/A.cs(1,34): error CS0103: The name 'x' does not exist in the current context [/src/Multi/Multi.csproj::TargetFramework=net8.0]",
+        "/src/Multi/A.cs(1,34): error CS0103: The name 'x' does not exist in the current context [/src/Multi/Multi.csproj::TargetFramework=netstandard2.1]",
+        '',
+        'Build FAILED.',
+        '',
+        '/src/App/App.csproj : error NU1605: Warning As Error: Detected package downgrade: Contoso.Lib from 2.0.0 to 1.0.0. Reference the package directly from the project to select a different version. ',
+        '/src/App/App.csproj : error NU1605:  App -> Contoso.Lib (>= 1.0.0)',
+        "/src/Multi/A.cs(1,34): error CS0103: The name 'x' does not exist in the current context [/src/Multi/Multi.csproj::TargetFramework=net8.0]",
+        "/src/Multi/A.cs(1,34): error CS0103: The name 'x' does not exist in the current context [/src/Multi/Multi.csproj::TargetFramework=netstandard2.1]",
+        '    0 Warning(s)',
+        '    3 Error(s)',
+        '',
+        'Time Elapsed 00:00:01.45'
+    ].join('\n');
+    const res = filterLog(log);
+    assert.deepStrictEqual(res.errors.map(e => [e.code, e.tool, e.project, e.file, e.package || null]), [
+        ['NU1605', 'nuget', 'App', null, 'Contoso.Lib'],
+        ['NU1101', 'nuget', 'Tools', null, 'Contoso.Missing'],
+        ['CS0103', 'csc', 'Multi', 'A.cs', null]
+    ]);
+    assert.strictEqual(res.errors[0].notes.length, 2);
+    assert.strictEqual(res.errors[0].text.startsWith('Warning As Error: Detected package downgrade'), true);
+    assert.deepStrictEqual(res.errors[2].targetFrameworks, ['net8.0', 'netstandard2.1']);
+    assert.strictEqual(res.errors[2].text, "The name 'x' does not exist in the current context");
+    assert.ok(res.filteredContent.includes('(target frameworks: net8.0, netstandard2.1)'));
+
+    // A second build after the summary is reported again
+    const twice = filterLog(log + '\n' + log);
+    assert.strictEqual(twice.summary.errorCount, 6);
+});
+
+check('SARIF output maps diagnostics and failed tests to located results', async () => {
+    const { Readable } = require('stream');
+    const { filterStream } = require('./lib');
+    const log = [
+        "1>D:\\Game\\Source\\LC\\LCItem.cpp(42,7): error C2664: 'void ULCItem::Use(int)': cannot convert argument 1 from 'FString' to 'int'",
+        "1>D:\\Game\\Source\\LC\\LCItem.h(20,10): note: see declaration of 'ULCItem::Use'",
+        "1>D:\\Game\\Source\\LC\\LCOther.cpp(11): warning C4100: 'x': unreferenced formal parameter",
+        "LINK : fatal error LNK1181: cannot open input file 'LCGameEvents.obj'"
+    ].join('\n');
+    const res = filterLog(log, { format: 'sarif' });
+    const sarif = JSON.parse(res.filteredContent);
+    assert.strictEqual(sarif.version, '2.1.0');
+    assert.strictEqual(res.summary.format, 'sarif');
+    const run = sarif.runs[0];
+    assert.deepStrictEqual(run.tool.driver.rules.map(rule => rule.id), ['C2664', 'LNK1181', 'C4100']);
+    assert.deepStrictEqual(run.results.map(r => [r.ruleId, r.ruleIndex, r.level]), [['C2664', 0, 'error'], ['LNK1181', 1, 'error'], ['C4100', 2, 'warning']]);
+    assert.deepStrictEqual(run.results[0].locations[0].physicalLocation, {
+        artifactLocation: { uri: 'file:///D:/Game/Source/LC/LCItem.cpp' },
+        region: { startLine: 42, startColumn: 7 }
+    });
+    assert.strictEqual(run.results[0].relatedLocations[0].physicalLocation.artifactLocation.uri, 'file:///D:/Game/Source/LC/LCItem.h');
+    assert.deepStrictEqual(run.results[1].locations, []);
+    assert.strictEqual(run.properties.format, 'build-log');
+
+    const tests = JSON.parse(filterLog(unityTestXml, { format: 'sarif' }).filteredContent).runs[0];
+    assert.strictEqual(tests.results.length, 2);
+    assert.strictEqual(tests.results[0].ruleId, 'unity-test-failure');
+    assert.ok(tests.results[0].message.text.startsWith('ActionWeather.Player.Tests.MeleeCombatTests.OnWeaponHitEnemy_AppliesHeadMultiplier: Head shot'));
+    assert.deepStrictEqual(tests.results[0].locations[0].physicalLocation, {
+        artifactLocation: { uri: 'file:///C:/Projects/ActionWeather/Assets/Scripts/Player/Tests/MeleeCombatTests.cs' },
+        region: { startLine: 292 }
+    });
+
+    const streamed = await filterStream(Readable.from([log]), { format: 'sarif' });
+    assert.deepStrictEqual(JSON.parse(streamed.filteredContent), sarif);
+});
+
+check('SARIF input is filtered into the same diagnostics as a build log', async () => {
+    const { Readable } = require('stream');
+    const { filterStream } = require('./lib');
+    const analyzeLog = JSON.stringify({
+        $schema: 'https://json.schemastore.org/sarif-2.1.0.json',
+        version: '2.1.0',
+        runs: [{
+            tool: { driver: { name: 'clang-tidy', rules: [{ id: 'bugprone-use-after-move', helpUri: 'https://clang.llvm.org/extra/clang-tidy/checks/bugprone/use-after-move.html' }] } },
+            originalUriBaseIds: { SRCROOT: { uri: 'file:///D:/Game/' } },
+            results: [
+                {
+                    ruleId: 'bugprone-use-after-move',
+                    ruleIndex: 0,
+                    level: 'warning',
+                    message: { text: "'Items' used after it was moved" },
+                    locations: [{ physicalLocation: { artifactLocation: { uri: 'Source/LC/LCInventory.cpp', uriBaseId: 'SRCROOT' }, region: { startLine: 88, startColumn: 5 } } }],
+                    relatedLocations: [{ physicalLocation: { artifactLocation: { uri: 'Source/LC/LCInventory.cpp', uriBaseId: 'SRCROOT' }, region: { startLine: 86, startColumn: 19 } }, message: { text: 'move occurred here' } }]
+                },
+                { ruleId: 'C6011', level: 'error', message: { text: "Dereferencing NULL pointer 'Item'." }, locations: [{ physicalLocation: { artifactLocation: { uri: 'file:///D:/Game/Source/LC/LC%20Item.cpp' }, region: { startLine: 12 } } }] },
+                { ruleId: 'C6011', level: 'error', message: { text: 'Suppressed.' }, suppressions: [{ kind: 'inSource' }] },
+                { ruleId: 'readability-braces', level: 'note', message: { text: 'Info only.' } }
+            ]
+        }]
+    }, null, 2);
+    assert.strictEqual(detectLogType(analyzeLog), 'sarif');
+
+    const res = filterLog(analyzeLog, { format: 'full' });
+    assert.strictEqual(res.format, 'sarif');
+    assert.strictEqual(res.errors.length, 1);
+    assert.strictEqual(res.warnings.length, 1);
+    const [error] = res.errors;
+    assert.strictEqual(error.path, 'D:\\Game\\Source\\LC\\LC Item.cpp');
+    assert.strictEqual(error.code, 'C6011');
+    assert.strictEqual(error.lineNumber, 12);
+    const [warning] = res.warnings;
+    assert.strictEqual(warning.code, 'bugprone-use-after-move');
+    assert.strictEqual(warning.path, 'D:\\Game\\Source\\LC\\LCInventory.cpp');
+    assert.strictEqual(warning.column, 5);
+    assert.strictEqual(warning.tool, 'clang-tidy');
+    assert.ok(warning.helpUri.endsWith('use-after-move.html'));
+    assert.strictEqual(warning.notes[0].lineNumber, 86);
+    assert.ok(res.filteredContent.includes("LCInventory.cpp(88,5): warning bugprone-use-after-move: 'Items' used after it was moved"));
+    assert.ok(res.filteredContent.includes('note: move occurred here'));
+    assert.deepStrictEqual(res.sarif.runs, [{ tool: 'clang-tidy', results: 2 }]);
+
+    // Roslyn /errorlog writes SARIF 1.0.0 unless asked for 2.1
+    const roslynLog = JSON.stringify({
+        $schema: 'http://json.schemastore.org/sarif-1.0.0',
+        version: '1.0.0',
+        runs: [{
+            tool: { name: 'Microsoft (R) Visual C# Compiler' },
+            results: [{
+                ruleId: 'CS0103',
+                level: 'error',
+                message: "The name 'x' does not exist in the current context",
+                locations: [{ resultFile: { uri: 'file:///src/App/A.cs', region: { startLine: 1, startColumn: 34 } } }]
+            }],
+            rules: { CS0103: { id: 'CS0103', defaultLevel: 'error' } }
+        }]
+    });
+    const minimal = filterLog(roslynLog, { format: 'minimal' });
+    assert.ok(minimal.filteredContent.includes("/src/App/A.cs(1,34): error CS0103: The name 'x' does not exist in the current context"));
+    assert.strictEqual(minimal.errors[0].tool, 'Microsoft (R) Visual C# Compiler');
+
+    const streamed = await filterStream(Readable.from([analyzeLog]), { format: 'full' });
+    assert.strictEqual(streamed.format, 'sarif');
+    assert.strictEqual(streamed.summary.warningCount, 1);
+    assert.throws(() => filterLog('{"version": "2.1.0", "runs": [', {}), /Invalid SARIF log/);
+});
+
+check('JUnit output lists failed Unity tests and one compile test case per file', async () => {
+    const { Readable } = require('stream');
+    const { filterStream } = require('./lib');
+    const log = [
+        "1>D:\\Game\\Source\\LC\\LCItem.cpp(42,7): error C2664: 'void ULCItem::Use(int)': cannot convert argument 1 from 'FString' to 'int'",
+        "1>D:\\Game\\Source\\LC\\LCItem.h(20,10): note: see declaration of 'ULCItem::Use'",
+        "1>D:\\Game\\Source\\LC\\LCItem.cpp(57): error C2065: 'Count': undeclared identifier",
+        "1>D:\\Game\\Source\\LC\\LCOther.cpp(11): error C3861: 'Tick<A>': identifier not found",
+        "1>D:\\Game\\Source\\LC\\LCOther.cpp(12): warning C4100: 'x': unreferenced formal parameter"
+    ].join('\n');
+    const res = filterLog(log, { format: 'junit' });
+    assert.strictEqual(res.summary.format, 'junit');
+    const xml = res.filteredContent;
+    assert.ok(xml.startsWith('<?xml version="1.0" encoding="UTF-8"?>\n<testsuites name="build-log-filter">'));
+    assert.ok(xml.includes('<testsuite name="compile" tests="2" failures="2" errors="0" skipped="0">'));
+    assert.ok(xml.includes('<testcase classname="compile" name="D:\\Game\\Source\\LC\\LCItem.cpp">'));
+    assert.ok(xml.includes(`<failure message="C2664: 'void ULCItem::Use(int)': cannot convert argument 1 from 'FString' to 'int' (and 1 more)" type="compile">`));
+    assert.ok(xml.includes("  1&gt;D:\\Game\\Source\\LC\\LCItem.h(20,10): note: see declaration of 'ULCItem::Use'"));
+    assert.ok(xml.includes("error C3861: 'Tick&lt;A&gt;': identifier not found</failure>"));
+    assert.ok(!xml.includes('C4100'));
+    assert.ok(filterLog('Build succeeded.', { format: 'junit' }).filteredContent.includes('<testcase classname="compile" name="build"/>'));
+
+    const tests = filterLog(unityTestXml, { format: 'junit' }).filteredContent;
+    assert.ok(tests.includes('<testsuite name="Unity tests" tests="10" failures="2" errors="0" skipped="0">'));
+    assert.ok(tests.includes('<testcase classname="ActionWeather.Player.Tests.MeleeCombatTests" name="OnWeaponHitEnemy_AppliesHeadMultiplier">'));
+    assert.ok(tests.includes('MeleeCombatTests.cs:292'));
+    assert.ok(tests.includes('<system-out>'));
+    const capped = filterLog(unityTestXml, { format: 'junit', maxErrors: 1 }).filteredContent;
+    assert.ok(capped.includes('<testsuite name="Unity tests" tests="10" failures="2" errors="0" skipped="0">'));
+    assert.strictEqual(capped.split('<testcase ').length - 1, 1);
+
+    const streamed = await filterStream(Readable.from([log]), { format: 'junit' });
+    assert.strictEqual(streamed.filteredContent, xml);
+});
+
+check('TRX, xUnit, NUnit 2 and GoogleTest results are reduced to the failed-test report', async () => {
+    const { Readable } = require('stream');
+    const { filterStream } = require('./lib');
+    const trx = `<?xml version="1.0" encoding="utf-8"?>
+<TestRun id="1" xmlns="http://microsoft.com/schemas/VisualStudio/TeamTest/2010">
+  <Results>
+    <UnitTestResult executionId="e1" testId="t1" testName="Billing.Tests.InvoiceTests.Total_IncludesTax" outcome="Failed">
+      <Output>
+        <StdOut>Computing total for &lt;invoice 42&gt;</StdOut>
+        <ErrorInfo>
+          <Message>Assert.Equal() Failure</Message>
+          <StackTrace>   at Billing.Tests.InvoiceTests.Total_IncludesTax() in /src/Billing.Tests/InvoiceTests.cs:line 27</StackTrace>
+        </ErrorInfo>
+      </Output>
+    </UnitTestResult>
+    <UnitTestResult executionId="e2" testId="t2" testName="Discount" outcome="Failed">
+      <InnerResults>
+        <UnitTestResult executionId="e3" testId="t2" testName="Discount (0.5)" outcome="Passed" />
+        <UnitTestResult executionId="e4" testId="t2" testName="Discount (2)" outcome="Failed"><Output><ErrorInfo><Message>Discount must be below 1</Message></ErrorInfo></Output></UnitTestResult>
+      </InnerResults>
+    </UnitTestResult>
+    <UnitTestResult executionId="e5" testId="t3" testName="Slow" outcome="NotExecuted" />
+  </Results>
+  <TestDefinitions>
+    <UnitTest name="Total_IncludesTax" id="t1"><TestMethod className="Billing.Tests.InvoiceTests" name="Total_IncludesTax" /></UnitTest>
+    <UnitTest name="Discount" id="t2"><TestMethod className="Billing.Tests.DiscountTests, Billing.Tests, Version=1.0.0.0" name="Discount" /></UnitTest>
+  </TestDefinitions>
+</TestRun>`;
+    assert.strictEqual(detectLogType(trx), 'trx-test-results');
+    const trxResult = filterLog(trx, {});
+    assert.deepStrictEqual(trxResult.summary, { totalTests: 4, passed: 1, failed: 2, skipped: 1, testFormat: 'trx', filteredLines: trxResult.summary.filteredLines });
+    assert.deepStrictEqual(trxResult.errors.map(t => [t.name, t.fixture, t.message]), [
+        ['Total_IncludesTax', 'Billing.Tests.InvoiceTests', 'Assert.Equal() Failure'],
+        ['Discount (2)', 'Billing.Tests.DiscountTests', 'Discount must be below 1']
+    ]);
+    assert.strictEqual(trxResult.errors[0].output, 'Computing total for <invoice 42>');
+    assert.deepStrictEqual(trxResult.files, ['InvoiceTests.cs']);
+    assert.ok(trxResult.filteredContent.startsWith('# VSTest (TRX) Test Results - Filtered Output\n# Total: 4 | Passed: 1 | Failed: 2 | Skipped: 1'));
+    assert.ok(trxResult.filteredContent.includes('**Full Name:** `Billing.Tests.InvoiceTests.Total_IncludesTax`'));
+
+    // Streamed past the detection head: tokenized as read, keeping only the failed tests within maxErrors
+    const passing = Array.from({ length: 800 }, (_, i) => `    <UnitTestResult executionId="p${i}" testId="p${i}" testName="Billing.Tests.PassTests.Case${i}" outcome="Passed" />`);
+    const largeTrx = trx.replace('<Results>\n', `<Results>\n${passing.join('\n')}\n`);
+    const streamedTrx = await filterStream(Readable.from(largeTrx.match(/[\s\S]{1,1000}/g)), { maxErrors: 1 });
+    assert.strictEqual(streamedTrx.format, 'trx-test-results');
+    assert.deepStrictEqual([streamedTrx.summary.totalTests, streamedTrx.summary.failed], [804, 2]);
+    assert.deepStrictEqual(streamedTrx.errors, trxResult.errors.slice(0, 1));
+
+    const xunit = `<?xml version="1.0" encoding="utf-8"?>
+<assemblies>
+  <assembly name="/src/bin/Billing.Tests.dll" test-framework="xUnit.net 2.4.2" total="2" passed="1" failed="1" skipped="0">
+    <errors>
+      <error type="test-class-cleanup" name="Billing.Tests.DbFixture"><failure exception-type="System.InvalidOperationException"><message><![CDATA[Connection already closed]]></message></failure></error>
+    </errors>
+    <collection name="Test collection for Billing.Tests.InvoiceTests">
+      <test name="Billing.Tests.InvoiceTests.Parse(input: &quot;a&lt;b&quot;)" type="Billing.Tests.InvoiceTests" method="Parse" result="Fail">
+        <output><![CDATA[parsing a<b]]></output>
+        <failure exception-type="Xunit.Sdk.TrueException">
+          <message><![CDATA[Assert.True() Failure]]></message>
+          <stack-trace><![CDATA[   at Billing.Tests.InvoiceTests.Parse(String input) in /src/Billing.Tests/InvoiceTests.cs:line 41]]></stack-trace>
+        </failure>
+      </test>
+      <test name="Billing.Tests.InvoiceTests.Total" type="Billing.Tests.InvoiceTests" method="Total" result="Pass" />
+    </collection>
+  </assembly>
+</assemblies>`;
+    const xunitResult = filterLog(xunit, { format: 'junit' });
+    assert.strictEqual(xunitResult.format, 'xunit-test-results');
+    assert.deepStrictEqual(xunitResult.errors.map(t => [t.name, t.fixture, t.message]), [
+        ['test-class-cleanup: Billing.Tests.DbFixture', null, 'Connection already closed'],
+        ['Parse(input: "a<b")', 'Billing.Tests.InvoiceTests', 'Assert.True() Failure']
+    ]);
+    assert.ok(xunitResult.filteredContent.includes('<testcase classname="Billing.Tests.InvoiceTests" name="Parse(input: &quot;a&lt;b&quot;)">'));
+
+    const nunit2 = `<?xml version="1.0" encoding="utf-8" standalone="no"?>
+<test-results name="Legacy.Tests.dll" total="3" errors="0" failures="1" not-run="1">
+  <test-suite type="TestFixture" name="ParserTests" executed="True" result="Failure">
+    <results>
+      <test-case name="Legacy.ParserTests.Parse(&quot;1.5&quot;)" executed="True" result="Failure" success="False">
+        <failure><message><![CDATA[Expected: 1.5d]]></message><stack-trace><![CDATA[at Legacy.ParserTests.Parse(String text) in c:\\src\\Legacy\\ParserTests.cs:line 33]]></stack-trace></failure>
+      </test-case>
+      <test-case name="Legacy.ParserTests.Empty" executed="True" result="Success" success="True" />
+      <test-case name="Legacy.ParserTests.Later" executed="False" result="Ignored"><reason><message><![CDATA[not yet]]></message></reason></test-case>
+    </results>
+  </test-suite>
+</test-results>`;
+    const nunit2Result = filterLog(nunit2, {});
+    assert.strictEqual(nunit2Result.format, 'nunit2-test-results');
+    assert.deepStrictEqual([nunit2Result.summary.totalTests, nunit2Result.summary.passed, nunit2Result.summary.failed, nunit2Result.summary.skipped], [3, 1, 1, 1]);
+    assert.deepStrictEqual([nunit2Result.errors[0].name, nunit2Result.errors[0].fixture], ['Parse("1.5")', 'Legacy.ParserTests']);
+
+    const gtest = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites tests="3" failures="1" disabled="1" errors="0" name="AllTests">
+  <testsuite name="MathTest" tests="3" failures="1" disabled="1">
+    <testcase name="Add" status="run" result="completed" classname="MathTest" />
+    <testcase name="Divide" status="run" result="completed" classname="MathTest">
+      <failure message="/src/math/math_test.cc:16&#x0A;Expected equality of these values:" type=""><![CDATA[/src/math/math_test.cc:16
+Expected equality of these values:
+  Divide(6, 3)
+    Which is: 3
+  2]]></failure>
+      <failure message="/src/math/math_test.cc:17&#x0A;Value of: ok" type=""><![CDATA[/src/math/math_test.cc:17
+Value of: ok]]></failure>
+    </testcase>
+    <testcase name="DISABLED_Pow" status="notrun" result="suppressed" classname="MathTest" />
+  </testsuite>
+</testsuites>`;
+    const gtestResult = await filterStream(Readable.from([gtest]), {});
+    assert.strictEqual(gtestResult.format, 'gtest-test-results');
+    assert.deepStrictEqual([gtestResult.summary.passed, gtestResult.summary.failed, gtestResult.summary.skipped], [1, 1, 1]);
+    const [divide] = gtestResult.errors;
+    assert.strictEqual(divide.fullname, 'MathTest.Divide');
+    assert.strictEqual(divide.message, 'Expected equality of these values:\n  Divide(6, 3)\n    Which is: 3\n  2\n\nValue of: ok');
+    assert.strictEqual(divide.stackTrace, '/src/math/math_test.cc:16\n/src/math/math_test.cc:17');
+    assert.deepStrictEqual(gtestResult.files, ['math_test.cc']);
+
+    // Our own JUnit output is not mistaken for GoogleTest results
+    assert.strictEqual(detectLogType(filterLog('Build succeeded.', { format: 'junit' }).filteredContent), 'build-log');
+});
+
+check('Unreal Automation reports and log results list failed tests with a RunTests command for them', async () => {
+    const { Readable } = require('stream');
+    const { filterStream, toSarif } = require('./lib');
+    const report = JSON.stringify({
+        devices: [{ deviceName: 'WIN-01', instance: 'WIN-01-1234', platform: 'WindowsEditor' }],
+        reportCreatedOn: '2026.10.19-10.00.00',
+        succeeded: 1,
+        succeededWithWarnings: 0,
+        failed: 2,
+        notRun: 1,
+        tests: [
+            {
+                testDisplayName: 'Spawn Actor', fullTestPath: 'Project.Gameplay.SpawnActor', state: 'Fail',
+                entries: [
+                    { event: { type: 'Error', message: "Expected 'Health' to be 100, but it was 90.", artifact: '' }, filename: 'D:/Game/Source/Game/Tests/SpawnTest.cpp', lineNumber: 42 },
+                    { event: { type: 'Warning', message: 'Actor spawned outside the level bounds', artifact: '' }, filename: '', lineNumber: 0 },
+                    { event: { type: 'Info', message: 'Spawned BP_Enemy', artifact: '' }, filename: '', lineNumber: 0 }
+                ],
+                artifacts: []
+            },
+            {
+                testDisplayName: 'Main Menu', fullTestPath: 'Project.Rendering.Screenshots.MainMenu', state: 'Fail',
+                entries: [{ event: { type: 'Error', message: "Screenshot 'MainMenu' was different than the ground truth.", artifact: '5A3D' }, filename: '', lineNumber: 0 }],
+                artifacts: [{ id: '5A3D', name: 'MainMenu', type: 'Comparison', files: { difference: 'MainMenu/Delta.png', approved: 'MainMenu/Approved.png' } }]
+            },
+            { testDisplayName: 'Load Level', fullTestPath: 'Project.Gameplay.LoadLevel', state: 'Success', entries: [], artifacts: [] },
+            { testDisplayName: 'Network Replay', fullTestPath: 'Project.Net.Replay', state: 'NotRun', entries: [], artifacts: [] }
+        ]
+    }, null, '\t');
+    assert.strictEqual(detectLogType(report), 'ue-automation-report');
+    const result = filterLog(report, {});
+    assert.deepStrictEqual(result.summary, { totalTests: 4, passed: 1, failed: 2, skipped: 1, testFormat: 'ue-automation', filteredLines: result.summary.filteredLines });
+    assert.deepStrictEqual(result.errors.map(t => [t.name, t.fixture, t.path, t.lineNumber]), [
+        ['Spawn Actor', 'Project.Gameplay', 'D:/Game/Source/Game/Tests/SpawnTest.cpp', 42],
+        ['Main Menu', 'Project.Rendering.Screenshots', null, null]
+    ]);
+    assert.deepStrictEqual(result.errors[0].warnings, [{ message: 'Actor spawned outside the level bounds', path: null, lineNumber: null }]);
+    assert.strictEqual(result.rerunCommand, 'Automation RunTests Project.Gameplay.SpawnActor+Project.Rendering.Screenshots.MainMenu');
+    assert.deepStrictEqual(result.files, ['SpawnTest.cpp']);
+    assert.ok(result.filteredContent.includes('- MainMenu (Comparison) - difference: `MainMenu/Delta.png`, approved: `MainMenu/Approved.png`'));
+    assert.ok(result.filteredContent.includes('-ExecCmds="Automation RunTests Project.Gameplay.SpawnActor+Project.Rendering.Screenshots.MainMenu; Quit"'));
+    assert.strictEqual(toSarif(result).runs[0].results[0].locations[0].physicalLocation.region.startLine, 42);
+
+    // maxErrors limits the tests listed, not the count or the tests rerun
+    const capped = filterLog(report, { maxErrors: 1 });
+    assert.strictEqual(capped.errors.length, 1);
+    assert.strictEqual(capped.summary.failed, 2);
+    assert.ok(capped.filteredContent.includes('# Total: 4 | Passed: 1 | Failed: 2 | Skipped: 1'));
+    assert.strictEqual(capped.rerunCommand, result.rerunCommand);
+
+    const log = [
+        '[2026.10.19-10.00.01:000][  1]LogAutomationController: Display: Test Started. Name={Spawn Actor} Path={Project.Gameplay.SpawnActor}',
+        "[2026.10.19-10.00.01:100][  2]LogAutomationController: Error: Expected 'Health' to be 100, but it was 90. [D:\\Game\\Source\\Game\\Tests\\SpawnTest.cpp(42)]",
+        '[2026.10.19-10.00.01:200][  3]LogAutomationController: Error: Test Completed. Result={Fail} Name={Spawn Actor} Path={Project.Gameplay.SpawnActor}',
+        '[2026.10.19-10.00.01:200][  3]LogAutomationController: BeginEvents: Project.Gameplay.SpawnActor',
+        "[2026.10.19-10.00.01:200][  3]LogAutomationController: Error: Expected 'Health' to be 100, but it was 90. [D:\\Game\\Source\\Game\\Tests\\SpawnTest.cpp(42)]",
+        '[2026.10.19-10.00.01:200][  3]LogAutomationController: EndEvents: Project.Gameplay.SpawnActor',
+        '[2026.10.19-10.00.02:000][  4]LogAutomationController: Display: Test Started. Name={Load Level} Path={Project.Gameplay.LoadLevel}',
+        '[2026.10.19-10.00.02:500][  5]LogAutomationController: Display: Test Completed. Result={Success} Name={Load Level} Path={Project.Gameplay.LoadLevel}',
+        '[2026.10.19-10.00.03:000][  6]LogAutomationController: Display: Test Completed. Result={Skipped} Name={Network Replay} Path={Project.Net.Replay}'
+    ].join('\n');
+    const logResult = await filterStream(Readable.from([log]), {});
+    assert.strictEqual(logResult.format, 'ue-runtime-log');
+    assert.deepStrictEqual(logResult.summary.automation, { total: 3, passed: 1, failed: 1, skipped: 1 });
+    // Events of the BeginEvents block replace the ones logged while the test ran
+    assert.deepStrictEqual(logResult.automation.tests[0].errors, [
+        { message: "Expected 'Health' to be 100, but it was 90.", path: 'D:\\Game\\Source\\Game\\Tests\\SpawnTest.cpp', lineNumber: 42 }
+    ]);
+    assert.strictEqual(logResult.automation.rerunCommand, 'Automation RunTests Project.Gameplay.SpawnActor');
+    assert.ok(logResult.filteredContent.includes('## AUTOMATION TESTS\n\nTotal: 3 | Passed: 1 | Failed: 1 | Skipped: 1'));
+});
+
+check('Unity NUnit XML is parsed as XML: attribute order, entities, CDATA splits and OneTimeSetUp failures', async () => {
+    const { Readable } = require('stream');
+    const { filterStream } = require('./lib');
+    const xml = `<?xml version="1.0" encoding="utf-8"?>
+<test-run id="2" testcasecount="6" skipped="1" failed="4" passed="1" total="6" result="Failed">
+  <test-suite type="Assembly" name="Game.Tests.dll" fullname="Game.Tests.dll" result="Failed" site="Child">
+    <failure><message><![CDATA[One or more child tests had errors]]></message></failure>
+    <test-suite type="TestFixture" name="InventoryTests" fullname="Game.Tests.InventoryTests" result="Failed" site="SetUp">
+      <failure>
+        <message><![CDATA[OneTimeSetUp: System.IO.FileNotFoundException : Items.asset]]></message>
+        <stack-trace><![CDATA[at Game.Tests.InventoryTests.LoadItems () [0x00001] in D:\\Game\\Assets\\Tests\\InventoryTests.cs:18]]></stack-trace>
+      </failure>
+      <test-case name="Add" fullname="Game.Tests.InventoryTests.Add" result="Failed" label="Error" site="Parent"><failure><message><![CDATA[OneTimeSetUp: System.IO.FileNotFoundException : Items.asset]]></message></failure></test-case>
+      <test-case name="Remove" fullname="Game.Tests.InventoryTests.Remove" result="Failed" label="Error" site="Parent" />
+    </test-suite>
+    <test-suite type="ParameterizedFixture" name="ParserTests" fullname="Game.Tests.ParserTests" result="Failed" site="Child">
+      <test-case result="Failed" fullname="Game.Tests.ParserTests.Parse(&quot;a&lt;b&quot;)" name="Parse(&quot;a&lt;b&quot;)" id="9"><failure><message><![CDATA[Expected "]]]]><![CDATA[>" but was "&lt;"]]></message><stack-trace><![CDATA[at Game.Tests.ParserTests.Parse (System.String input) [0x0000c] in D:\\Game\\Assets\\Tests\\ParserTests.cs:33
+]]></stack-trace></failure></test-case>
+      <test-case name="Timeout" fullname="Game.Tests.ParserTests.Timeout" result="Failed" label="Cancelled"/>
+      <test-case name="Ok" fullname="Game.Tests.ParserTests.Ok" result="Passed"/>
+      <test-case name="Later" fullname="Game.Tests.ParserTests.Later" result="Skipped"><reason><message><![CDATA[Not ready]]></message></reason></test-case>
+    </test-suite>
+  </test-suite>
+</test-run>`;
+    const res = filterLog(xml);
+    assert.strictEqual(res.format, 'unity-test-results');
+    assert.deepStrictEqual(res.summary, { totalTests: 6, passed: 1, failed: 4, skipped: 1, filteredLines: res.summary.filteredLines });
+    assert.deepStrictEqual(res.errors.map(t => [t.name, t.fixture, t.message]), [
+        ['InventoryTests: OneTimeSetUp failed (2 tests)', 'Game.Tests.InventoryTests', 'OneTimeSetUp: System.IO.FileNotFoundException : Items.asset'],
+        ['Parse("a<b")', 'Game.Tests.ParserTests', 'Expected "]]>" but was "&lt;"'],
+        ['Timeout', 'Game.Tests.ParserTests', '']
+    ]);
+    assert.deepStrictEqual(res.errors[0].affectedTests, ['Game.Tests.InventoryTests.Add', 'Game.Tests.InventoryTests.Remove']);
+    assert.deepStrictEqual(res.files, ['InventoryTests.cs', 'ParserTests.cs']);
+    assert.ok(res.filteredContent.includes('# Total: 6 | Passed: 1 | Failed: 4 | Skipped: 1'));
+
+    // Streamed in chunks that split tags, entities and CDATA sections
+    const streamed = await filterStream(Readable.from(xml.match(/[\s\S]{1,7}/g)), {});
+    assert.strictEqual(streamed.format, 'unity-test-results');
+    assert.deepStrictEqual(streamed.errors, res.errors);
+});
+
+check('streaming many distinct diagnostics past maxErrors and maxWarnings remembers only the reported ones', () => {
+    const { createBuildLogScanner } = require('./lib/build-log');
+    const scanner = createBuildLogScanner({ maxErrors: 5, maxWarnings: 20 });
+    for (let i = 0; i < 50000; i++) {
+        scanner.push(`Src/File${i % 400}.cpp(${i}): ${i % 10 === 0 ? 'error C2065' : 'warning C4996'}: 'Fn${i}': was declared deprecated`);
+    }
+    assert.strictEqual(scanner.repeatKeys, 25);
+    const res = scanner.finish();
+    assert.deepStrictEqual([res.summary.errorCount, res.summary.warningCount], [5, 20]);
+});
+
+check('compiler driver errors and prefixed UBT/UAT ERROR lines are still reported', () => {
+    const log = [
+        'clang++: error: linker command failed with exit code 1 (use -v to see invocation)',
+        'UnrealBuildTool.Main: ERROR: Unable to find platform "LinuxArm64"',
+        'BUILD FAILED: AutomationTool exiting with ExitCode=6 ERROR: Command failed (Result:6)'
+    ].join('\n');
+    const res = filterBuildLog(log, { contextLines: 0 });
+    assert.deepStrictEqual(res.errors.map(e => [e.line, e.rule, e.tool]), [
+        [1, 'clang.driver-error', 'clang'],
+        [2, 'ubt.error', 'UBT'],
+        [3, 'ubt.error', 'UBT']
+    ]);
+});
+
+check('test result counts include failed tests past maxErrors', () => {
+    const cases = [1, 2, 3, 4, 5].map(i => `    <testcase name="Case${i}" status="run" classname="MathTest"><failure message="boom ${i}" /></testcase>`);
+    const gtest = `<?xml version="1.0" encoding="UTF-8"?>
+<testsuites tests="6" failures="5" name="AllTests">
+  <testsuite name="MathTest" tests="6" failures="5">
+${cases.join('\n')}
+    <testcase name="Passes" status="run" classname="MathTest" />
+  </testsuite>
+</testsuites>`;
+    const res = filterLog(gtest, { maxErrors: 2 });
+    assert.strictEqual(res.format, 'gtest-test-results');
+    assert.strictEqual(res.errors.length, 2);
+    assert.strictEqual(res.summary.failed, 5);
+    assert.ok(res.filteredContent.includes('# Total: 6 | Passed: 1 | Failed: 5 | Skipped: 0'));
+});
+
+check('UE runtime log messages are capped by maxMessages', () => {
+    const log = ['[2026.01.21-20.00.00:000][  0]LogInit: Error: Failed to load plugin']
+        .concat(Array.from({ length: 50 }, (_, i) => `[2026.01.21-20.00.01:${String(i).padStart(3, '0')}][  1]LogStreaming: Display: Loaded package ${i}`))
+        .join('\n');
+    const res = filterLog(log, { minVerbosity: 'Display', maxMessages: 10 });
+    assert.strictEqual(res.format, 'ue-runtime-log');
+    assert.strictEqual(res.messages.length, 10);
+    assert.strictEqual(res.summary.messageCount, 10);
+    assert.strictEqual(res.summary.omittedMessages, 40);
+    assert.ok(res.filteredContent.includes('(40 more messages not shown, see maxMessages)'));
+    assert.strictEqual(normalizeOptions({ maxMessages: '5' }).maxMessages, 5);
+});
+
+check('assertion warnings and headlines without a callstack do not hide later errors', () => {
+    const log = [
+        '[2026.01.21-20.00.04:500][ 14]LogTemp: Display: Starting',
+        '[2026.01.21-20.00.04:600][ 14]LogStreaming: Warning: Assertion failed: Package->IsFullyLoaded() [File:D:\\UE\\Engine\\Source\\Runtime\\CoreUObject\\Private\\Serialization\\AsyncLoading.cpp] [Line: 2100]',
+        '[2026.01.21-20.00.04:700][ 14]LogNet: Error: Connection to host lost',
+        '[2026.01.21-20.00.04:800][ 14]LogCore: Error: Assertion failed: Slot != INDEX_NONE',
+        '[2026.01.21-20.00.04:900][ 14]LogBlueprint: Error: Accessed None trying to read property Stamina',
+        '[2026.01.21-20.00.05:000][ 15]LogNet: Error: Connection to host lost again'
+    ].join('\n');
+    const res = filterLog(log);
+    assert.strictEqual(res.format, 'ue-runtime-log');
+    assert.strictEqual(res.crash, undefined);
+    assert.strictEqual(res.summary.errorCount, 4);
+    assert.deepStrictEqual(res.errors.map(e => e.category), ['LogNet', 'LogCore', 'LogBlueprint', 'LogNet']);
+    assert.strictEqual(res.summary.warningCount, 1);
+});
+
+check('logs that mention a crash near their start are still streamed line by line', async () => {
+    const { Readable } = require('stream');
+    const { filterStream } = require('./lib');
+    const padding = Array.from({ length: 2000 }, (_, i) => `  Compiling module Game${i} (shared PCH)`);
+    const chunks = (text) => text.match(/[\s\S]{1,4096}/g);
+
+    const build = [
+        'Packaging CrashReportClient: <FGenericCrashContext> template copied',
+        'Foo.cpp(3): error C2065: "x": undeclared identifier'
+    ].concat(padding).join('\n');
+    const streamedBuild = await filterStream(Readable.from(chunks(build)));
+    assert.strictEqual(streamedBuild.format, 'build-log');
+    assert.deepStrictEqual(streamedBuild.errors.map(e => e.code), ['C2065']);
+
+    const crashText = [
+        'Unhandled Exception: SIGSEGV: invalid attempt to read memory at address 0x0000000000000008',
+        '',
+        '[Callstack] 0x0000000000001234 libUnrealEditor-LastCourier.so!ALCCharacterBase::Tick() [D:\\Game\\Source\\LastCourier\\Player\\LCCharacterBase.cpp:120]',
+        '[Callstack] 0x0000000000005678 libUnrealEditor-Engine.so!AActor::TickActor() [D:\\UE\\Engine\\Source\\Runtime\\Engine\\Private\\Actor.cpp:1100]'
+    ].concat(padding).join('\n');
+    const streamedCrash = await filterStream(Readable.from(chunks(crashText)));
+    assert.strictEqual(streamedCrash.format, 'crash-report');
+    assert.deepStrictEqual(streamedCrash.summary, filterLog(crashText).summary);
+
+    const headlineOnly = ['Fatal error: out of disk space', 'Foo.cpp(3): error C2065: "x": undeclared identifier'].concat(padding).join('\n');
+    const streamedHeadline = await filterStream(Readable.from(chunks(headlineOnly)));
+    assert.strictEqual(streamedHeadline.format, 'build-log');
+    assert.deepStrictEqual(streamedHeadline.errors, filterLog(headlineOnly).errors);
+});
+
+checkQueue.then(() => {
+    if (checksFailed > 0) {
+        console.log(`\n❌ ${checksFailed} check(s) failed`);
+        process.exit(1);
+    }
+    console.log('\n✅ Shared core checks completed!');
+});
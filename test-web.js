@@ -114,6 +114,20 @@ async function runTests() {
       if (!data.filteredContent.includes('C2065')) throw new Error('Missing error code in output');
     });
 
+    await test('Filter raw log body (streamed)', async () => {
+      const res = await request({
+        path: '/api/filter?showWarnings=false&contextLines=1',
+        method: 'POST',
+        headers: { 'Content-Type': 'text/plain' }
+      }, 'Building Project...\nFoo.cpp(3): error C2065: "x": undeclared identifier\nFoo.cpp(4): warning C4100: unused\nDone.');
+
+      if (res.statusCode !== 200) throw new Error(`Status ${res.statusCode}`);
+      const data = JSON.parse(res.data);
+      if (data.summary.errorCount !== 1) throw new Error(`Expected 1 error, got ${data.summary.errorCount}`);
+      if (data.summary.warningCount !== 0) throw new Error('showWarnings=false was ignored');
+      if (data.errors[0].context[0] !== 'Building Project...') throw new Error('Missing context from query options');
+    });
+
     // 4. Unity Test Results Filtering
     await test('Filter Unity Results API', async () => {
       const xml = `<?xml version="1.0" encoding="utf-8"?>
@@ -155,6 +169,58 @@ async function runTests() {
       if (!res.data.includes('filter_build_log')) throw new Error('Missing tool: filter_build_log');
     });
 
+    await test('MCP Call filter_build_log', async () => {
+      const res = await request({
+        path: '/mcp',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json, text/event-stream'
+        }
+      }, {
+        jsonrpc: '2.0',
+        method: 'tools/call',
+        params: {
+          name: 'filter_build_log',
+          arguments: { logContent: 'Foo.cpp(3): error C2065: "x": undeclared identifier' }
+        },
+        id: 2
+      });
+
+      if (res.statusCode !== 200) throw new Error(`Status ${res.statusCode}`);
+      if (!res.data.includes('1 errors')) throw new Error('Missing error summary in tool result');
+      if (!res.data.includes('"code":"C2065"')) throw new Error('Missing structured diagnostics in tool result');
+    });
+
+    await test('MCP Call filter_build_log with test results', async () => {
+      const xml = `<?xml version="1.0" encoding="utf-8"?>
+<test-run id="2" total="1" passed="0" failed="1" skipped="0">
+  <test-case name="TestFailure" result="Failed">
+    <failure><message><![CDATA[Expected 1 but was 0]]></message></failure>
+  </test-case>
+</test-run>`;
+      const res = await request({
+        path: '/mcp',
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Accept': 'application/json, text/event-stream'
+        }
+      }, {
+        jsonrpc: '2.0',
+        method: 'tools/call',
+        params: {
+          name: 'filter_build_log',
+          arguments: { logContent: xml }
+        },
+        id: 3
+      });
+
+      if (res.statusCode !== 200) throw new Error(`Status ${res.statusCode}`);
+      if (!res.data.includes('1 failed')) throw new Error('Test results were not detected by filter_build_log');
+      if (!res.data.includes('TestFailure')) throw new Error('Missing test name in tool result');
+    });
+
     // 6. Error Handling
     await test('Handle empty content', async () => {
       const res = await request({ 